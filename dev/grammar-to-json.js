@@ -0,0 +1,122 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const fs = require('fs');
+const {GrammarVM} = require('./grammar-vm');
+
+const ruleTypes = new Set(['suffix', 'prefix', 'infix', 'wholeWord']);
+
+
+function convertVariant({type, affix, deinflected, rulesIn, rulesOut, conditions}) {
+    if (!ruleTypes.has(type) || typeof affix !== 'string' || typeof deinflected !== 'string') {
+        return null;
+    }
+    const rule = {
+        type,
+        inflected: affix,
+        deinflected,
+        rulesIn: [...rulesIn],
+        rulesOut: [...rulesOut]
+    };
+    if (typeof conditions === 'object' && conditions !== null && type !== 'wholeWord') {
+        const conditions2 = {};
+        for (const key of ['precededBy', 'followedBy']) {
+            if (typeof conditions[key] === 'string' && conditions[key].length > 0) {
+                conditions2[key] = conditions[key];
+            }
+        }
+        if (Object.keys(conditions2).length > 0) { rule.conditions = conditions2; }
+    }
+    return rule;
+}
+
+/**
+ * Converts the deinflection reasons of a language's grammar.js file into the
+ * declarative format described by `ext/data/schemas/deinflection-rules-schema.json`.
+ * Rules which use custom matching logic cannot be represented and are returned separately.
+ * @param {GrammarVM} grammarVM The VM used to load the grammar.
+ * @param {string} language The ISO code of the language.
+ * @returns {{rulesData: object, unconvertible: {reason: string|string[], inflected: string}[]}} The converted rules.
+ */
+async function convertGrammarToJson(grammarVM, language) {
+    const reasons = await grammarVM.getGrammarScriptDeinflectionReasons(language);
+    const languageRuleTypes = await grammarVM.languageUtil.getRuleTypes(language);
+
+    const rulesData = {};
+    if (languageRuleTypes !== null) {
+        rulesData.ruleTypes = Object.fromEntries(languageRuleTypes.entries());
+    }
+    rulesData.reasons = [];
+
+    const unconvertible = [];
+    for (const [reason, variants] of reasons) {
+        const name = Array.isArray(reason) ? [...reason] : reason;
+        const rules = [];
+        for (const variant of variants) {
+            const rule = convertVariant(variant);
+            if (rule !== null) {
+                rules.push(rule);
+            } else {
+                unconvertible.push({reason: name, inflected: `${variant.inflected}`});
+            }
+        }
+        if (rules.length > 0) {
+            rulesData.reasons.push({name, rules});
+        }
+    }
+
+    return {rulesData, unconvertible};
+}
+
+
+async function main() {
+    const args = process.argv.slice(2);
+    if (args.length < 1) {
+        console.log([
+            'Usage:',
+            '  node grammar-to-json <language> [output-file-name]'
+        ].join('\n'));
+        return;
+    }
+
+    const [language, outputFileName] = args;
+    const grammarVM = new GrammarVM();
+    await grammarVM.prepare();
+    if (!grammarVM.hasGrammarScript(language)) {
+        throw new Error(`No grammar.js found for language ${language}`);
+    }
+
+    const {rulesData, unconvertible} = await convertGrammarToJson(grammarVM, language);
+    for (const {reason, inflected} of unconvertible) {
+        console.warn(`Skipped rule ${inflected} of reason ${JSON.stringify(reason)}: custom matching logic cannot be converted`);
+    }
+
+    const json = JSON.stringify(rulesData, null, 4);
+    if (typeof outputFileName === 'string') {
+        fs.writeFileSync(outputFileName, json + '\n', {encoding: 'utf8'});
+    } else {
+        console.log(json);
+    }
+}
+
+
+if (require.main === module) { main(); }
+
+
+module.exports = {
+    convertGrammarToJson
+};
@@ -0,0 +1,91 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {VM} = require('./vm');
+
+const extDirectory = path.join(__dirname, '..', 'ext');
+
+/**
+ * VM which loads language grammar modules outside of the browser,
+ * using the extension's LanguageUtil with a file system based `loadModule`.
+ */
+class GrammarVM extends VM {
+    constructor(globals) {
+        super(globals);
+        this.set({
+            window: {languages: {}},
+            fetchAsset: async (url) => fs.readFileSync(path.join(extDirectory, url), {encoding: 'utf8'}),
+            loadModule: async (url) => this._loadModule(url)
+        });
+        this.execute([
+            'js/core.js',
+            'js/general/cache-map.js',
+            'js/data/json-schema.js',
+            'js/language/deinflection-ruleset.js',
+            'js/language/deinflector.js'
+        ]);
+        const {LanguageUtil} = this.executeModule('js/language/language-util.js');
+        this._languageUtil = new LanguageUtil();
+    }
+
+    get languageUtil() {
+        return this._languageUtil;
+    }
+
+    async prepare() {
+        await this._languageUtil.prepare();
+    }
+
+    createDeinflector() {
+        const Deinflector = this.get('Deinflector');
+        return new Deinflector(this._languageUtil);
+    }
+
+    getLanguageDirectory(language) {
+        return path.join(extDirectory, 'js', 'language', 'languages', language);
+    }
+
+    hasGrammarScript(language) {
+        return fs.existsSync(path.join(this.getLanguageDirectory(language), 'grammar.js'));
+    }
+
+    /**
+     * Gets the deinflection reasons declared by a language's grammar.js only, without those of its grammar.json.
+     * @param {string} language The ISO code of the language.
+     * @returns {Promise<Map>} The deinflection reasons.
+     */
+    async getGrammarScriptDeinflectionReasons(language) {
+        // Loading the rule types loads the grammar of the language
+        await this._languageUtil.getRuleTypes(language);
+        const {getDeinflectionReasons} = this.get('window').languages[language];
+        return new Map(await getDeinflectionReasons());
+    }
+
+    // Private
+
+    _loadModule(url) {
+        // Like the browser, a missing module is not an error for the caller
+        if (!fs.existsSync(path.join(extDirectory, url))) { return; }
+        this.executeModule(url.replace(/^\//, ''));
+    }
+}
+
+module.exports = {
+    GrammarVM
+};
@@ -0,0 +1,127 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {getAllFiles, getArgs} = require('./util');
+
+
+const defaultLocale = 'en';
+
+
+function getKeys(translations, prefix='') {
+    const keys = [];
+    for (const [key, value] of Object.entries(translations)) {
+        const fullKey = `${prefix}${key}`;
+        if (typeof value === 'object' && value !== null) {
+            keys.push(...getKeys(value, `${fullKey}.`));
+        } else {
+            keys.push(fullKey);
+        }
+    }
+    return keys;
+}
+
+function loadTranslations(languagesDir) {
+    const translations = new Map();
+    for (const locale of fs.readdirSync(languagesDir)) {
+        const fileName = path.join(languagesDir, locale, 'i18n.json');
+        if (!fs.existsSync(fileName)) { continue; }
+        translations.set(locale, JSON.parse(fs.readFileSync(fileName, {encoding: 'utf8'})));
+    }
+    return translations;
+}
+
+function getHtmlKeys(extDir) {
+    const attributePattern = /\si18n(?:-title|-placeholder)?="([^"$]+)"/g;
+    const keys = new Map();
+    const fileNames = getAllFiles(extDir, (f) => /\.html$/.test(f) && !/^lib[\\/]/.test(f));
+    for (const fileName of fileNames) {
+        const source = fs.readFileSync(path.join(extDir, fileName), {encoding: 'utf8'});
+        for (const [, key] of source.matchAll(attributePattern)) {
+            if (!keys.has(key)) { keys.set(key, fileName); }
+        }
+    }
+    return keys;
+}
+
+function getScriptKeys(extDir) {
+    // Keys may be written in full, or built from a prefix such as `inflectionFeatures.${name}`
+    const keyPattern = /['"`]([a-zA-Z]\w*(?:\.\w+)+)['"`]/g;
+    const prefixPattern = /['"`]([a-zA-Z]\w*(?:\.\w+)*\.)\$\{/g;
+    const keys = new Set();
+    const prefixes = new Set();
+    const fileNames = getAllFiles(extDir, (f) => /\.js$/.test(f) && !/^lib[\\/]/.test(f));
+    for (const fileName of fileNames) {
+        const source = fs.readFileSync(path.join(extDir, fileName), {encoding: 'utf8'});
+        for (const [, key] of source.matchAll(keyPattern)) { keys.add(key); }
+        for (const [, prefix] of source.matchAll(prefixPattern)) { prefixes.add(prefix); }
+    }
+    return {keys, prefixes};
+}
+
+function printList(title, values, verbose) {
+    if (values.length === 0) { return; }
+    console.log(`  ${title}: ${values.length}`);
+    if (!verbose) { return; }
+    for (const value of values) {
+        console.log(`    ${value}`);
+    }
+}
+
+
+function main() {
+    const args = getArgs(process.argv.slice(2), new Map([
+        ['verbose', false],
+        ['locale', null]
+    ]));
+    const verbose = args.get('verbose');
+    const localeFilter = args.get('locale');
+
+    const extDir = path.resolve(__dirname, '..', 'ext');
+    const translations = loadTranslations(path.join(extDir, 'js', 'language', 'languages'));
+    const defaultKeys = new Set(getKeys(translations.get(defaultLocale)));
+    const htmlKeys = getHtmlKeys(extDir);
+    const scriptKeys = getScriptKeys(extDir);
+
+    // Keys used by the interface which have no default translation
+    const undefinedKeys = [...htmlKeys].filter(([key]) => !defaultKeys.has(key)).map(([key, fileName]) => `${key} (${fileName})`);
+    console.log(`${defaultLocale}:`);
+    printList('Undefined keys', undefinedKeys, true);
+
+    const unusedKeys = [...defaultKeys].filter((key) => (
+        !htmlKeys.has(key) &&
+        !scriptKeys.keys.has(key) &&
+        ![...scriptKeys.prefixes].some((prefix) => key.startsWith(prefix))
+    ));
+    printList('Unused keys', unusedKeys, verbose);
+
+    for (const [locale, localeTranslations] of translations) {
+        if (locale === defaultLocale || (localeFilter !== null && locale !== localeFilter)) { continue; }
+        const keys = new Set(getKeys(localeTranslations));
+        const missingKeys = [...defaultKeys].filter((key) => !keys.has(key));
+        const extraKeys = [...keys].filter((key) => !defaultKeys.has(key));
+        console.log(`${locale}: ${defaultKeys.size - missingKeys.length}/${defaultKeys.size} translated`);
+        printList('Missing keys', missingKeys, verbose);
+        printList('Keys not in the default locale', extraKeys, verbose);
+    }
+
+    process.exit(undefinedKeys.length > 0 ? 1 : 0);
+}
+
+
+if (require.main === module) { main(); }
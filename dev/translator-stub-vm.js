@@ -0,0 +1,148 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const {VM} = require('./vm');
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * VM which runs the Translator against an in-memory list of term entries,
+ * with a LanguageUtil stub whose methods can be replaced by each test.
+ */
+class TranslatorStubVM extends VM {
+    constructor(globals) {
+        super(globals);
+        this.execute([
+            'js/general/regex-util.js',
+            'js/general/text-source-map.js',
+            'js/language/compound-splitter.js',
+            'js/language/inflection-feature-parser.js',
+            'js/language/deinflector.js',
+            'js/language/translator.js',
+            'js/language/word-segmenter.js'
+        ]);
+    }
+
+    /**
+     * Creates a term entry in the format returned by `DictionaryDatabase.findTermsBulk`.
+     * @param {number} id The ID of the entry.
+     * @param {string} term The term.
+     * @param {object} [details] Properties which replace the default ones, such as `dictionary`.
+     * @returns {object} The entry.
+     */
+    createTermEntry(id, term, details={}) {
+        return Object.assign({
+            id,
+            term,
+            reading: '',
+            definitionTags: [],
+            termTags: [],
+            rules: [],
+            definitions: [`definition of ${term}`],
+            score: 0,
+            dictionary: 'Test',
+            sequence: -1
+        }, details);
+    }
+
+    /**
+     * Creates a database stub which finds the given entries by exact term.
+     * @param {object[]} entries The entries of the database, see `createTermEntry`.
+     * @param {?string[][]} [lookups] An array which the non-empty term lists of `findTermsBulk` are added to.
+     * @returns {object} The database.
+     */
+    createDatabase(entries, lookups=null) {
+        return {
+            findTermsBulk: async (termList, dictionaries, matchType) => {
+                if (lookups !== null && termList.length > 0) { lookups.push([...termList]); }
+                const results = [];
+                termList.forEach((term, index) => {
+                    for (const entry of entries) {
+                        if (entry.term !== term || !dictionaries.has(entry.dictionary)) { continue; }
+                        results.push(Object.assign(clone(entry), {index, matchType, matchSource: 'term'}));
+                    }
+                });
+                return results;
+            },
+            getDictionaryInfo: async () => []
+        };
+    }
+
+    /**
+     * Creates a LanguageUtil stub for a language without any grammar.
+     * @param {object} [overrides] Methods which replace the default ones.
+     * @returns {object} The LanguageUtil.
+     */
+    createLanguageUtil(overrides={}) {
+        return Object.assign({
+            getDeinflectionReasons: async () => [],
+            getMaxDeinflectionDepth: async () => null,
+            getRuleTypes: async () => null,
+            getSentenceVariants: async () => [],
+            getCompoundSplitting: async () => null,
+            getWordSegmentation: async () => null,
+            getMultiSyllableWords: async () => null
+        }, overrides);
+    }
+
+    /**
+     * Creates the options of `Translator.findTerms` for a single dictionary named `Test`.
+     * @param {object} [overrides] Options which replace the default ones.
+     * @returns {object} The options.
+     */
+    createFindTermsOptions(overrides={}) {
+        return Object.assign({
+            matchType: 'exact',
+            deinflect: true,
+            mainDictionary: 'Test',
+            sortFrequencyDictionary: null,
+            sortFrequencyDictionaryOrder: 'descending',
+            removeNonJapaneseCharacters: false,
+            collapseEmphaticSequences: 'false',
+            searchResolution: 'letter',
+            textReplacements: [null],
+            enabledDictionaryMap: new Map([['Test', {index: 0, priority: 0}]]),
+            excludeDictionaryDefinitions: null,
+            textTransformations: {},
+            deinflectionSource: 'dictionary',
+            deinflectionPosFilter: false,
+            nonLemmaEntries: 'show',
+            language: 'en',
+            sentence: null,
+            maxResults: 32,
+            debugInfo: false
+        }, overrides);
+    }
+
+    /**
+     * Creates a translator.
+     * @param {object} database The database, see `createDatabase`.
+     * @param {object} [languageUtil] The LanguageUtil, see `createLanguageUtil`.
+     * @returns {Translator} The translator.
+     */
+    createTranslator(database, languageUtil=this.createLanguageUtil()) {
+        const Translator = this.get('Translator');
+        return new Translator({languageUtil, japaneseUtil: null, database});
+    }
+}
+
+
+module.exports = {
+    TranslatorStubVM
+};
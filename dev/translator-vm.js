@@ -47,12 +47,15 @@ class TranslatorVM extends DatabaseVM {
             'js/general/cache-map.js',
             'js/general/regex-util.js',
             'js/general/text-source-map.js',
+            'js/language/compound-splitter.js',
+            'js/language/inflection-feature-parser.js',
             'js/language/deinflector.js',
             'js/dictionary/dictionary-data-util.js',
             'js/dictionary/dictionary-importer.js',
             'js/dictionary/dictionary-database.js',
             'js/language/languages/ja/japanese-util.js',
             'js/language/translator.js',
+            'js/language/word-segmenter.js',
             'js/media/media-util.js'
         ]);
         const [
@@ -118,8 +118,8 @@ function deepStrictEqual(actual, expected) {
 
 function createURLClass() {
     const BaseURL = URL;
-    const result = function URL(url) {
-        const u = new BaseURL(url);
+    const result = function URL(url, base) {
+        const u = new BaseURL(url, base);
         this.hash = u.hash;
         this.host = u.host;
         this.hostname = u.hostname;
@@ -150,6 +150,7 @@ class VM {
             }
         };
         this._context = vm.createContext(context);
+        this._modules = new Map();
         this._assert = {
             deepStrictEqual
         };
@@ -198,6 +199,40 @@ class VM {
         return single ? results[0] : results;
     }
 
+    /**
+     * Executes an ES module. Its imports are executed first, and each module is only executed once.
+     * Only named imports and exported declarations are supported.
+     * @param {string} fileName The path of the module, relative to the ext directory.
+     * @returns {object} The exports of the module.
+     */
+    executeModule(fileName) {
+        const extDirectory = path.resolve(__dirname, '..', 'ext');
+        const absoluteFileName = path.resolve(extDirectory, fileName);
+        let moduleExports = this._modules.get(absoluteFileName);
+        if (typeof moduleExports !== 'undefined') { return moduleExports; }
+        moduleExports = {};
+        this._modules.set(absoluteFileName, moduleExports);
+
+        const imports = [];
+        const exportNames = [];
+        const source = fs.readFileSync(absoluteFileName, {encoding: 'utf8'})
+            .replace(/^import\s*\{([^}]*)\}\s*from\s*'([^']+)';/gm, (match, names, specifier) => {
+                const importFileName = path.relative(extDirectory, path.resolve(path.dirname(absoluteFileName), specifier));
+                const index = imports.push(this.executeModule(importFileName)) - 1;
+                return `const {${names}} = __imports[${index}];`;
+            })
+            .replace(/^export\s+((?:async\s+)?function|class|const|let)\s+([\w$]+)/gm, (match, kind, name) => {
+                exportNames.push(name);
+                return `${kind} ${name}`;
+            });
+
+        // The module is wrapped in a function, so that its top level declarations do not conflict with other modules
+        const exportAssignments = exportNames.map((name) => `__exports.${name} = ${name};`).join(' ');
+        const script = new vm.Script(`(function(__imports, __exports) { 'use strict'; ${source}\n${exportAssignments}\n})`, {filename: absoluteFileName});
+        script.runInContext(this._context, {})(imports, moduleExports);
+        return moduleExports;
+    }
+
     executeString(codeString){
         return vm.runInContext(codeString, this._context);
     }
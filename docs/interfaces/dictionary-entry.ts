@@ -260,6 +260,54 @@ namespace Translation {
     export interface InflectionHypothesis{
         source: DeinflectionSource;
         inflections: string[];
+        /**
+         * The grammatical features described by the inflections, such as `{person: 'second', number: 'plural', tense: 'present'}`.
+         */
+        features: InflectionFeatures;
+        /**
+         * The inflections which are not described by the features, in their original order.
+         */
+        otherInflections: string[];
+        /**
+         * The form-of pointers which were followed to reach the term, if any.
+         */
+        formOfChain?: FormOfHop[];
+    }
+
+    /**
+     * Grammatical features of an inflected form. Only the features which are known are present.
+     */
+    export interface InflectionFeatures {
+        person?: 'first' | 'second' | 'third';
+        number?: 'singular' | 'dual' | 'plural';
+        gender?: 'masculine' | 'feminine' | 'neuter';
+        case?: 'nominative' | 'genitive' | 'dative' | 'accusative' | 'instrumental' | 'prepositional' | 'locative' | 'vocative' | 'ablative';
+        definiteness?: 'definite' | 'indefinite';
+        degree?: 'comparative' | 'superlative';
+        tense?: 'present' | 'nonPast' | 'past' | 'preterite' | 'imperfect' | 'aorist' | 'future';
+        mood?: 'indicative' | 'subjunctive' | 'conditional' | 'imperative' | 'optative';
+        voice?: 'active' | 'passive' | 'mediopassive' | 'reflexive';
+        verbForm?: 'infinitive' | 'participle' | 'gerund';
+        polarity?: 'negative';
+        politeness?: 'polite';
+    }
+
+    /**
+     * A form-of pointer of a non-lemma dictionary entry.
+     */
+    export interface FormOfHop {
+        /**
+         * The term of the non-lemma entry.
+         */
+        term: string;
+        /**
+         * The term which the entry is a form of.
+         */
+        formOf: string;
+        /**
+         * The dictionary which contains the entry.
+         */
+        dictionary: string;
     }
 
     /**
@@ -86,6 +86,37 @@ namespace Translation {
          * A set of dictionary names which should have definitions removed.
          */
         excludeDictionaryDefinitions: Set<string> | null;
+        /**
+         * How entries for forms of another word are handled: hidden, shown alongside lemmas,
+         * or hidden while their form-of pointers are followed until a lemma is found.
+         */
+        nonLemmaEntries: 'hide' | 'show' | 'follow';
+        /**
+         * The sentence containing the text, used by languages whose words can be split across it.
+         */
+        sentence: FindTermsSentence | null;
+        /**
+         * The number of entries after which no more variants of the text are searched.
+         */
+        maxResults: number;
+        /**
+         * Whether or not the time spent searching the variants of the text should be logged.
+         */
+        debugInfo: boolean;
+    }
+
+    /**
+     * The sentence surrounding the text being looked up.
+     */
+    export interface FindTermsSentence {
+        /**
+         * The full sentence.
+         */
+        text: string;
+        /**
+         * The offset from the start of `text` to the text being looked up.
+         */
+        offset: number;
     }
 
     /**
@@ -153,5 +184,10 @@ namespace Translation {
          * Whether or not secondary term searches are allowed for this dictionary.
          */
         allowSecondarySearches: boolean;
+        /**
+         * The language the dictionary was tagged with in the settings, which is used
+         * if the dictionary's index does not declare a source language.
+         */
+        sourceLanguage?: string;
     }
 }
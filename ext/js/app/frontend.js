@@ -80,7 +80,9 @@ class Frontend {
             ignorePoint: this._ignorePoint.bind(this),
             getSearchContext: this._getSearchContext.bind(this),
             searchTerms: true,
-            searchKanji: true
+            searchKanji: true,
+            // The lang attributes of extension pages describe the interface rather than the text being read
+            useLanguageTags: pageType === 'web'
         });
         this._textScannerHasBeenEnabled = false;
         this._popupCache = new Map();
@@ -385,6 +387,9 @@ class Frontend {
         const optionsContext = await this._getOptionsContext();
         const options = await yomichan.api.optionsGet(optionsContext);
         const {scanning: scanningOptions, sentenceParsing: sentenceParsingOptions} = options;
+        // The options context of a nested popup can contain the language detected by its parent
+        const language = await yomichan.api.getLookupLanguage(optionsContext);
+        const languageSentenceParsing = await yomichan.api.getSentenceParsing(language);
         this._options = options;
 
         this._hotkeyHandler.setHotkeys('web', options.inputs.hotkeys);
@@ -404,7 +409,10 @@ class Frontend {
             layoutAwareScan: scanningOptions.layoutAwareScan,
             matchTypePrefix: scanningOptions.matchTypePrefix,
             preventMiddleMouse,
-            sentenceParsingOptions
+            sentenceParsingOptions,
+            language,
+            languageDetection: options.general.languageDetection,
+            languageSentenceParsing
         });
         this._updateTextScannerEnabled();
 
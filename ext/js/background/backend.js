@@ -24,6 +24,7 @@
  * ClipboardMonitor
  * ClipboardReader
  * DictionaryDatabase
+ * DictionaryUpdateChecker
  * Environment
  * LanguageUtil
  * JapaneseUtil
@@ -81,6 +82,9 @@ export class Backend {
             japaneseUtil: this._japaneseUtil,
             requestBuilder: this._requestBuilder
         });
+        this._dictionaryUpdateChecker = new DictionaryUpdateChecker({
+            requestBuilder: this._requestBuilder
+        });
         this._optionsUtil = new OptionsUtil();
         this._scriptManager = new ScriptManager();
         this._accessibilityController = new AccessibilityController(this._scriptManager);
@@ -130,6 +134,7 @@ export class Backend {
             ['getDefaultAnkiFieldTemplates', {async: false, contentScript: true,  handler: this._onApiGetDefaultAnkiFieldTemplates.bind(this)}],
             ['getDictionaryInfo',            {async: true,  contentScript: true,  handler: this._onApiGetDictionaryInfo.bind(this)}],
             ['purgeDatabase',                {async: true,  contentScript: false, handler: this._onApiPurgeDatabase.bind(this)}],
+            ['checkDictionaryUpdates',       {async: true,  contentScript: false, handler: this._onApiCheckDictionaryUpdates.bind(this)}],
             ['getMedia',                     {async: true,  contentScript: true,  handler: this._onApiGetMedia.bind(this)}],
             ['log',                          {async: false, contentScript: true,  handler: this._onApiLog.bind(this)}],
             ['logIndicatorClear',            {async: false, contentScript: true,  handler: this._onApiLogIndicatorClear.bind(this)}],
@@ -149,6 +154,8 @@ export class Backend {
             ['getLanguages',                 {async: true,  contentScript: true,  handler: this._onApiGetLanguages.bind(this)}],
             ['getLocales',                   {async: true,  contentScript: true,  handler: this._onApiGetLocales.bind(this)}],
             ['getTranslations',              {async: true,  contentScript: true,  handler: this._onApiGetTranslations.bind(this)}],
+            ['getSentenceParsing',           {async: true,  contentScript: true,  handler: this._onApiGetSentenceParsing.bind(this)}],
+            ['getLookupLanguage',            {async: false, contentScript: true,  handler: this._onApiGetLookupLanguage.bind(this)}],
         ]);
         this._messageHandlersWithProgress = new Map([
         ]);
@@ -439,10 +446,11 @@ export class Backend {
     async _onApiTermsFind({text, details, optionsContext}) {
         const options = this._getProfileOptions(optionsContext);
         const {general: {resultOutputMode: mode, maxResults}} = options;
-        const findTermsOptions = await this._getTranslatorFindTermsOptions(mode, details, options);
-        const {dictionaryEntries, originalTextLength} = await this._translator.findTerms(mode, text, findTermsOptions);
+        const language = this._getLookupLanguage(options, optionsContext);
+        const findTermsOptions = await this._getTranslatorFindTermsOptions(mode, details, options, language);
+        const {dictionaryEntries, originalTextLength, originalTextOffset} = await this._translator.findTerms(mode, text, findTermsOptions);
         dictionaryEntries.splice(maxResults);
-        return {dictionaryEntries, originalTextLength};
+        return {dictionaryEntries, originalTextLength, originalTextOffset};
     }
 
     async _onApiParseText({text, optionsContext, scanLength, useInternalParser, useMecabParser}) {
@@ -665,6 +673,11 @@ export class Backend {
         this._triggerDatabaseUpdated('dictionary', 'purge');
     }
 
+    async _onApiCheckDictionaryUpdates() {
+        const dictionaries = await this._dictionaryDatabase.getDictionaryInfo();
+        return await this._dictionaryUpdateChecker.checkForUpdates(dictionaries);
+    }
+
     async _onApiGetMedia({targets}) {
         return await this._getNormalizedDictionaryDatabaseMedia(targets);
     }
@@ -820,6 +833,15 @@ export class Backend {
         return await this._languageUtil.getTranslations(language);
     }
 
+    async _onApiGetSentenceParsing({language}) {
+        return await this._languageUtil.getSentenceParsing(language);
+    }
+
+    _onApiGetLookupLanguage({optionsContext}) {
+        const options = this._getProfileOptions(optionsContext);
+        return this._getLookupLanguage(options, optionsContext);
+    }
+
     // Command handlers
 
     async _onCommandOpenSearchPage(params) {
@@ -1096,6 +1118,26 @@ export class Backend {
         return this._getProfileOptions(optionsContext, useSchema).general.language;
     }
 
+    /**
+     * Gets the language used to look up text. This is the language detected for the text
+     * if the profile enables language detection, and the language of the profile otherwise.
+     * @param {object} options The profile options.
+     * @param {object} optionsContext The options context, which contains the detected `language`, if any.
+     * @returns {string} The ISO code of the language.
+     */
+    _getLookupLanguage(options, optionsContext) {
+        const {language, languageDetection} = options.general;
+        const detectedLanguage = optionsContext.language;
+        if (
+            languageDetection &&
+            typeof detectedLanguage === 'string' &&
+            this._languageUtil.getLanguages().some(({iso}) => iso === detectedLanguage)
+        ) {
+            return detectedLanguage;
+        }
+        return language;
+    }
+
     _getProfile(optionsContext, useSchema=false) {
         const options = this._getOptionsFull(useSchema);
         const profiles = options.profiles;
@@ -2097,21 +2139,24 @@ export class Backend {
     /**
      * Creates an options object for use with `Translator.findTerms`.
      * @param {string} mode The display mode for the dictionary entries.
-     * @param {{matchType: string, deinflect: boolean}} details Custom info for finding terms.
+     * @param {{matchType: string, deinflect: boolean, sentence: ?{text: string, offset: number}}} details Custom info for finding terms.
      * @param {object} options The options.
+     * @param {string} [language] The language to look up text in, which defaults to the language of the options.
      * @returns {FindTermsOptions} An options object.
      */
-    async _getTranslatorFindTermsOptions(mode, details, options) {
-        let {matchType, deinflect} = details;
+    async _getTranslatorFindTermsOptions(mode, details, options, language=options.general.language) {
+        let {matchType, deinflect, sentence} = details;
         if (typeof matchType !== 'string') { matchType = 'exact'; }
         if (typeof deinflect !== 'boolean') { deinflect = true; }
+        if (!isObject(sentence) || typeof sentence.text !== 'string' || typeof sentence.offset !== 'number') { sentence = null; }
         const enabledDictionaryMap = this._getTranslatorEnabledDictionaryMap(options);
         const {
             general: {
                 mainDictionary,
                 sortFrequencyDictionary,
                 sortFrequencyDictionaryOrder,
-                language
+                maxResults,
+                debugInfo
             },
             scanning: {alphanumeric},
             translation: {
@@ -2119,7 +2164,8 @@ export class Backend {
                 collapseEmphaticSequences,
                 textReplacements: textReplacementsOptions,
                 deinflectionSource,
-                deinflectionPosFilter
+                deinflectionPosFilter,
+                nonLemmaEntries
             }
         } = options;
 
@@ -2151,7 +2197,11 @@ export class Backend {
             textTransformations,
             deinflectionSource,
             deinflectionPosFilter,
-            language
+            nonLemmaEntries,
+            language,
+            sentence,
+            maxResults,
+            debugInfo
         };
     }
 
@@ -2172,7 +2222,8 @@ export class Backend {
             enabledDictionaryMap.set(dictionary.name, {
                 index: enabledDictionaryMap.size,
                 priority: dictionary.priority,
-                allowSecondarySearches: dictionary.allowSecondarySearches
+                allowSecondarySearches: dictionary.allowSecondarySearches,
+                sourceLanguage: dictionary.sourceLanguage
             });
         }
         return enabledDictionaryMap;
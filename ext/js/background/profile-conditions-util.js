@@ -86,6 +86,15 @@ class ProfileConditionsUtil {
                         ['notInclude', this._createSchemaFlagsNotInclude.bind(this)]
                     ])
                 }
+            ],
+            [
+                'language',
+                {
+                    operators: new Map([
+                        ['equal', this._createSchemaLanguageEqual.bind(this)],
+                        ['notEqual', this._createSchemaLanguageNotEqual.bind(this)]
+                    ])
+                }
             ]
         ]);
     }
@@ -283,6 +292,29 @@ class ProfileConditionsUtil {
         return this._createSchemaArrayCheck('flags', value, false, true);
     }
 
+    // language schema creation functions
+
+    _createSchemaLanguageEqual(value) {
+        const oneOf = [];
+        for (let language of this._split(value)) {
+            if (language.length === 0) { continue; }
+            language = language.toLowerCase();
+            oneOf.push({const: language});
+        }
+        return {
+            required: ['language'],
+            properties: {
+                language: {oneOf}
+            }
+        };
+    }
+
+    _createSchemaLanguageNotEqual(value) {
+        return {
+            not: [this._createSchemaLanguageEqual(value)]
+        };
+    }
+
     // Generic
 
     _createSchemaArrayCheck(key, value, exact, none) {
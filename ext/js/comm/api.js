@@ -124,6 +124,10 @@ class API {
         return this._invoke('purgeDatabase');
     }
 
+    checkDictionaryUpdates() {
+        return this._invoke('checkDictionaryUpdates');
+    }
+
     getMedia(targets) {
         return this._invoke('getMedia', {targets});
     }
@@ -196,6 +200,14 @@ class API {
         return this._invoke('getTranslations', {language});
     }
 
+    getSentenceParsing(language) {
+        return this._invoke('getSentenceParsing', {language});
+    }
+
+    getLookupLanguage(optionsContext) {
+        return this._invoke('getLookupLanguage', {optionsContext});
+    }
+
     // Utilities
 
     _createActionPort(timeout=5000) {
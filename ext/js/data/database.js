@@ -155,6 +155,15 @@ class Database {
         }
     }
 
+    put(objectStoreName, item) {
+        return new Promise((resolve, reject) => {
+            const transaction = this._readWriteTransaction([objectStoreName], resolve, reject);
+            const objectStore = transaction.objectStore(objectStoreName);
+            objectStore.put(item);
+            transaction.commit();
+        });
+    }
+
     delete(objectStoreName, key) {
         return new Promise((resolve, reject) => {
             const transaction = this._readWriteTransaction([objectStoreName], resolve, reject);
@@ -313,6 +313,7 @@ class AnkiNoteDataCreator {
         const termTags = this.createCachedValue(this._getTermTags.bind(this, dictionaryEntry, type));
         const expressions = this.createCachedValue(this._getTermExpressions.bind(this, dictionaryEntry));
         const frequencies = this.createCachedValue(this._getTermFrequencies.bind(this, dictionaryEntry));
+        const inflectionHypotheses = this.createCachedValue(this._getTermInflectionHypotheses.bind(this, dictionaryEntry));
         const pitches = this.createCachedValue(this._getTermPitches.bind(this, dictionaryEntry));
         const phoneticTranscriptions = this._getTermPhoneticTranscriptions.bind(this, dictionaryEntry);
         const glossary = this.createCachedValue(this._getTermGlossaryArray.bind(this, dictionaryEntry, type));
@@ -327,6 +328,7 @@ class AnkiNoteDataCreator {
             rawSource: (primarySource !== null ? primarySource.originalText : null),
             sourceTerm: (type !== 'termMerged' ? (primarySource !== null ? primarySource.deinflectedText : null) : void 0),
             reasons: inflections,
+            get inflectionHypotheses() { return self.getCachedValue(inflectionHypotheses); },
             score,
             isPrimary: (type === 'term' ? dictionaryEntry.isPrimary : void 0),
             get sequence() { return self.getCachedValue(sequence); },
@@ -407,6 +409,19 @@ class AnkiNoteDataCreator {
         };
     }
 
+    _getTermInflectionHypotheses(dictionaryEntry) {
+        const results = [];
+        for (const {source, inflections, features, otherInflections} of dictionaryEntry.inflectionHypotheses) {
+            results.push({
+                source,
+                inflections: [...inflections],
+                features: Object.assign({}, features),
+                otherInflections: [...otherInflections]
+            });
+        }
+        return results;
+    }
+
     _getTermFrequencies(dictionaryEntry) {
         const results = [];
         const {headwords} = dictionaryEntry;
@@ -207,6 +207,18 @@ class DictionaryDataUtil {
         return disambiguations;
     }
 
+    /**
+     * Compares two revisions of a dictionary. Revisions are commonly dates or version numbers,
+     * so numbers are compared by their values, and `10` is newer than `9`.
+     * @param {string} revision1 The first revision.
+     * @param {string} revision2 The second revision.
+     * @returns {number} A positive number if the first revision is newer, a negative number if it is older,
+     *   or `0` if they are the same.
+     */
+    static compareRevisions(revision1, revision2) {
+        return `${revision1}`.localeCompare(`${revision2}`, 'en', {numeric: true});
+    }
+
     static isNonNounVerbOrAdjective(wordClasses) {
         let isVerbOrAdjective = false;
         let isSuruVerb = false;
@@ -41,7 +41,7 @@ class DictionaryDatabase {
     async prepare() {
         await this._db.open(
             this._dbName,
-            60,
+            70,
             [
                 {
                     version: 20,
@@ -107,6 +107,15 @@ class DictionaryDatabase {
                             indices: ['dictionary', 'path']
                         }
                     }
+                },
+                {
+                    version: 70,
+                    stores: {
+                        imports: {
+                            primaryKey: {keyPath: 'title'},
+                            indices: []
+                        }
+                    }
                 }
             ]
         );
@@ -146,6 +155,8 @@ class DictionaryDatabase {
             onProgress = () => {};
         }
 
+        // The data of an interrupted update of the dictionary is also deleted
+        const dictionaryNames = [dictionaryName, this.getUpdateTitle(dictionaryName)];
         const targetGroups = [
             [
                 ['kanji', 'dictionary'],
@@ -156,13 +167,14 @@ class DictionaryDatabase {
                 ['media', 'dictionary']
             ],
             [
-                ['dictionaries', 'title']
+                ['dictionaries', 'title'],
+                ['imports', null]
             ]
         ];
 
         let storeCount = 0;
         for (const targets of targetGroups) {
-            storeCount += targets.length;
+            storeCount += targets.length * dictionaryNames.length;
         }
 
         const progressData = {
@@ -189,14 +201,105 @@ class DictionaryDatabase {
         for (const targets of targetGroups) {
             const promises = [];
             for (const [objectStoreName, indexName] of targets) {
-                const query = IDBKeyRange.only(dictionaryName);
-                const promise = this._db.bulkDelete(objectStoreName, indexName, query, filterKeys, onProgress2);
-                promises.push(promise);
+                for (const name of dictionaryNames) {
+                    const query = IDBKeyRange.only(name);
+                    const promise = this._db.bulkDelete(objectStoreName, indexName, query, filterKeys, onProgress2);
+                    promises.push(promise);
+                }
             }
             await Promise.all(promises);
         }
     }
 
+    /**
+     * Deletes the data of an import which has not completed.
+     * When the import was an update, only the data of the new revision is deleted and the installed revision is kept.
+     * @param {string} dictionaryName The title of the dictionary.
+     */
+    async discardImport(dictionaryName) {
+        if (await this.dictionaryExists(dictionaryName)) {
+            await this.deleteDictionary(this.getUpdateTitle(dictionaryName), 1000, null);
+            await this.deleteImportState(dictionaryName);
+        } else {
+            await this.deleteDictionary(dictionaryName, 1000, null);
+        }
+    }
+
+    /**
+     * Deletes the entries of a dictionary which were added after the first entries of each store.
+     * This is used to remove the data of a bank file which was only partially imported.
+     * @param {string} dictionaryName The title of the dictionary.
+     * @param {object} counts The number of entries to keep for each store, such as `{terms: 1000}`.
+     */
+    async truncateDictionary(dictionaryName, counts) {
+        const promises = [];
+        for (const [objectStoreName, count] of Object.entries(counts)) {
+            const query = IDBKeyRange.only(dictionaryName);
+            // Keys are auto-incremented, so the entries which were added first have the lowest keys
+            const filterKeys = (keys) => [...keys].sort((a, b) => a - b).slice(count);
+            promises.push(this._db.bulkDelete(objectStoreName, 'dictionary', query, filterKeys, null));
+        }
+        await Promise.all(promises);
+    }
+
+    /**
+     * Gets the title which the data of a new revision of a dictionary is added under,
+     * until it replaces the installed revision.
+     * Lookups only search the titles of installed dictionaries, so this data is not found before then.
+     * @param {string} dictionaryName The title of the dictionary.
+     * @returns {string} The title of the update.
+     */
+    getUpdateTitle(dictionaryName) {
+        return `${dictionaryName}\u0000update`;
+    }
+
+    /**
+     * Replaces the data of an installed dictionary with the data which was added under its update title,
+     * and its summary with the summary of the new revision.
+     * This is done in a single transaction, so lookups find the data of either revision but never of both.
+     * @param {string} dictionaryName The title of the dictionary.
+     * @param {object} summary The summary of the new revision.
+     * @returns {Promise<void>}
+     */
+    replaceDictionary(dictionaryName, summary) {
+        return new Promise((resolve, reject) => {
+            const objectStoreNames = ['kanji', 'kanjiMeta', 'terms', 'termMeta', 'tagMeta', 'media'];
+            const transaction = this._db.transaction([...objectStoreNames, 'dictionaries', 'imports'], 'readwrite');
+            transaction.onerror = (e) => reject(e.target.error);
+            transaction.onabort = () => reject(new Error('Transaction aborted'));
+            transaction.oncomplete = () => resolve();
+
+            const query = IDBKeyRange.only(dictionaryName);
+            const updateQuery = IDBKeyRange.only(this.getUpdateTitle(dictionaryName));
+            for (const objectStoreName of objectStoreNames) {
+                const objectStore = transaction.objectStore(objectStoreName);
+                const index = objectStore.index('dictionary');
+                this._db.getAllKeys(index, query, (keys) => {
+                    for (const key of keys) {
+                        objectStore.delete(key);
+                    }
+                    // The entries of the update are renamed once those of the installed revision have been found
+                    const request = index.openCursor(updateQuery, 'next');
+                    request.onsuccess = (e) => {
+                        const cursor = e.target.result;
+                        if (!cursor) { return; }
+                        cursor.update(Object.assign(cursor.value, {dictionary: dictionaryName}));
+                        cursor.continue();
+                    };
+                }, reject);
+            }
+
+            const dictionariesObjectStore = transaction.objectStore('dictionaries');
+            this._db.getAllKeys(dictionariesObjectStore.index('title'), query, (keys) => {
+                for (const key of keys) {
+                    dictionariesObjectStore.delete(key);
+                }
+                dictionariesObjectStore.add(summary);
+            }, reject);
+            transaction.objectStore('imports').delete(dictionaryName);
+        });
+    }
+
     findTermsBulk(termList, dictionaries, matchType) {
         const visited = new Set();
         const predicate = (row) => {
@@ -264,6 +367,31 @@ class DictionaryDatabase {
         return this._findMultiBulk('media', ['path'], items, this._createOnlyQuery4, predicate, this._createMediaBind);
     }
 
+    /**
+     * Gets the details of the media files of a dictionary, without their content.
+     * @param {string} dictionaryName The title of the dictionary.
+     * @returns {Promise<{path: string, mediaType: string, width: number, height: number}[]>} The details of each media file.
+     */
+    getMediaDetails(dictionaryName) {
+        return new Promise((resolve, reject) => {
+            const transaction = this._db.transaction(['media'], 'readonly');
+            const index = transaction.objectStore('media').index('dictionary');
+            const results = [];
+            const request = index.openCursor(IDBKeyRange.only(dictionaryName), 'next');
+            request.onerror = (e) => reject(e.target.error);
+            request.onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor) {
+                    resolve(results);
+                    return;
+                }
+                const {path, mediaType, width, height} = cursor.value;
+                results.push({path, mediaType, width, height});
+                cursor.continue();
+            };
+        });
+    }
+
     getDictionaryInfo() {
         return new Promise((resolve, reject) => {
             const transaction = this._db.transaction(['dictionaries'], 'readonly');
@@ -322,6 +450,30 @@ class DictionaryDatabase {
         });
     }
 
+    /**
+     * Gets the progress of the dictionary imports which have not completed.
+     * @returns {Promise<object[]>} The import states, as stored by `setImportState`.
+     */
+    getImportStates() {
+        return new Promise((resolve, reject) => {
+            const transaction = this._db.transaction(['imports'], 'readonly');
+            const objectStore = transaction.objectStore('imports');
+            this._db.getAll(objectStore, null, resolve, reject);
+        });
+    }
+
+    getImportState(title) {
+        return this._db.find('imports', null, IDBKeyRange.only(title), null, null, null);
+    }
+
+    setImportState(importState) {
+        return this._db.put('imports', importState);
+    }
+
+    deleteImportState(title) {
+        return this._db.delete('imports', title);
+    }
+
     async dictionaryExists(title) {
         const query = IDBKeyRange.only(title);
         const result = await this._db.find('dictionaries', 'title', query, null, null, void 0);
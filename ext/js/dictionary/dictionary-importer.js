@@ -16,6 +16,7 @@
  */
 
 /* global
+ * DictionaryDataUtil
  * JSZip
  * JsonSchema
  * MediaUtil
@@ -39,6 +40,7 @@ class DictionaryImporter {
         this._progressReset();
 
         // Read archive
+        // JSZip cannot read entries lazily, so the whole archive is held in memory until the import is complete.
         const archive = await JSZip.loadAsync(archiveContent);
 
         // Read and validate index
@@ -60,10 +62,10 @@ class DictionaryImporter {
             throw new Error('Unrecognized dictionary format');
         }
 
-        // Verify database is not already imported
-        if (await dictionaryDatabase.dictionaryExists(dictionaryTitle)) {
-            throw new Error('Dictionary is already imported');
-        }
+        // Verify database is not already imported, unless this is a newer revision which updates it
+        const previousSummary = await this._getPreviousSummary(dictionaryDatabase, dictionaryTitle, index.revision);
+        // The data of an update is added under a different title, so that it is not found until the update is complete
+        const importTitle = (previousSummary !== null ? dictionaryDatabase.getUpdateTitle(dictionaryTitle) : dictionaryTitle);
 
         // Data format converters
         const convertTermBankEntry = this[`_convertTermBankEntryV${version}`].bind(this);
@@ -84,97 +86,86 @@ class DictionaryImporter {
         const kanjiMetaFiles = this._getArchiveFiles(archive, 'kanji_meta_bank_?.json');
         const tagFiles       = this._getArchiveFiles(archive, 'tag_bank_?.json');
 
-        // Load data
-        this._progressNextStep(termFiles.length + termMetaFiles.length + kanjiFiles.length + kanjiMetaFiles.length + tagFiles.length);
-        const termList      = await this._readFileSequence(termFiles,      convertTermBankEntry,      dataBankSchemas[0], dictionaryTitle);
-        const termMetaList  = await this._readFileSequence(termMetaFiles,  convertTermMetaBankEntry,  dataBankSchemas[1], dictionaryTitle);
-        const kanjiList     = await this._readFileSequence(kanjiFiles,     convertKanjiBankEntry,     dataBankSchemas[2], dictionaryTitle);
-        const kanjiMetaList = await this._readFileSequence(kanjiMetaFiles, convertKanjiMetaBankEntry, dataBankSchemas[3], dictionaryTitle);
-        const tagList       = await this._readFileSequence(tagFiles,       convertTagBankEntry,       dataBankSchemas[4], dictionaryTitle);
-        this._addOldIndexTags(index, tagList, dictionaryTitle);
-
-        // Prefix wildcard support
+        // Import data
+        // Each file is parsed, validated, converted and added in chunks before the next one is read,
+        // so the converted entries of the whole dictionary are never held in memory at once.
+        // Peak memory use still grows with the size of the archive, which is held in memory throughout,
+        // and with the size of the largest bank file, which is parsed and validated as a whole.
+        // Dictionaries should therefore split their data into many bank files of a bounded size.
         const prefixWildcardsSupported = !!details.prefixWildcardsSupported;
-        if (prefixWildcardsSupported) {
-            for (const entry of termList) {
-                entry.expressionReverse = stringReverse(entry.expression);
-                entry.readingReverse = stringReverse(entry.reading);
-            }
-        }
-
-        // Extended data support
-        this._progressNextStep(termList.length);
-        const formatProgressInterval = 1000;
-        const requirements = [];
-        for (let i = 0, ii = termList.length; i < ii; ++i) {
-            const entry = termList[i];
-            const glossaryList = entry.glossary;
-            for (let j = 0, jj = glossaryList.length; j < jj; ++j) {
-                const glossary = glossaryList[j];
-                if (typeof glossary !== 'object' || glossary === null) { continue; }
-                glossaryList[j] = this._formatDictionaryTermGlossaryObject(glossary, entry, requirements);
-            }
-            if ((i % formatProgressInterval) === 0) {
-                this._progressData.index = i;
-                this._progress();
-            }
-        }
-        this._progress();
-
-        // Async requirements
-        this._progressNextStep(requirements.length);
-        const {media} = await this._resolveAsyncRequirements(requirements, archive);
-
-        // Add dictionary descriptor
-        this._progressNextStep(termList.length + termMetaList.length + kanjiList.length + kanjiMetaList.length + tagList.length + media.length);
-
-        const counts = {
-            terms: {total: termList.length},
-            termMeta: this._getMetaCounts(termMetaList),
-            kanji: {total: kanjiList.length},
-            kanjiMeta: this._getMetaCounts(kanjiMetaList),
-            tagMeta: {total: tagList.length},
-            media: {total: media.length}
+        const importState = await this._prepareImportState(dictionaryDatabase, dictionaryTitle, importTitle, index.revision, prefixWildcardsSupported);
+        const context = {
+            dictionaryDatabase,
+            archive,
+            dictionaryTitle,
+            importTitle,
+            prefixWildcardsSupported,
+            importState,
+            fileIndex: 0,
+            media: await this._getImportedMedia(dictionaryDatabase, importTitle, importState),
+            errors: []
         };
-        const summary = this._createSummary(dictionaryTitle, version, index, {prefixWildcardsSupported, counts});
-        dictionaryDatabase.bulkAdd('dictionaries', [summary], 0, 1);
-
-        // Add data
-        const errors = [];
-        const maxTransactionLength = 1000;
 
-        const bulkAdd = async (objectStoreName, entries) => {
-            const ii = entries.length;
-            for (let i = 0; i < ii; i += maxTransactionLength) {
-                const count = Math.min(maxTransactionLength, ii - i);
+        let summary;
+        try {
+            this._progressNextStep(termFiles.length + termMetaFiles.length + kanjiFiles.length + kanjiMetaFiles.length + tagFiles.length);
+            await this._importFileSequence(context, 'terms',     termFiles,      convertTermBankEntry,      dataBankSchemas[0]);
+            await this._importFileSequence(context, 'termMeta',  termMetaFiles,  convertTermMetaBankEntry,  dataBankSchemas[1]);
+            await this._importFileSequence(context, 'kanji',     kanjiFiles,     convertKanjiBankEntry,     dataBankSchemas[2]);
+            await this._importFileSequence(context, 'kanjiMeta', kanjiMetaFiles, convertKanjiMetaBankEntry, dataBankSchemas[3]);
+            await this._importFileSequence(context, 'tagMeta',   tagFiles,       convertTagBankEntry,       dataBankSchemas[4]);
+
+            // Tags declared by the index are added as if they were the last file
+            if (context.fileIndex++ >= importState.fileCount) {
+                const indexTagList = [];
+                this._addOldIndexTags(index, indexTagList, importTitle);
+                await this._addEntries(context, 'tagMeta', indexTagList);
+                await this._completeImportFile(context);
+            }
 
-                try {
-                    await dictionaryDatabase.bulkAdd(objectStoreName, entries, i, count);
-                } catch (e) {
-                    errors.push(e);
+            // Add dictionary descriptor
+            // This is added last, so that the dictionary is only listed once all of its data has been added.
+            // The descriptor and data of the previous revision of an updated dictionary are replaced at the same time.
+            const {counts} = importState;
+            summary = this._createSummary(dictionaryTitle, version, index, {
+                prefixWildcardsSupported,
+                counts: {
+                    terms: {total: counts.terms.total},
+                    termMeta: this._getMetaCounts(counts.termMeta),
+                    kanji: {total: counts.kanji.total},
+                    kanjiMeta: this._getMetaCounts(counts.kanjiMeta),
+                    tagMeta: {total: counts.tagMeta.total},
+                    media: {total: counts.media.total}
                 }
-
-                this._progressData.index += count;
-                this._progress();
+            });
+            if (previousSummary !== null) {
+                await dictionaryDatabase.replaceDictionary(dictionaryTitle, summary);
+            } else {
+                await dictionaryDatabase.bulkAdd('dictionaries', [summary], 0, 1);
             }
-        };
+        } catch (e) {
+            // Remove the data which was already added, so that a partially imported dictionary is not left behind.
+            // The previous revision of an updated dictionary is kept.
+            try {
+                await dictionaryDatabase.deleteDictionary(importTitle, 1000, null);
+                await dictionaryDatabase.deleteImportState(dictionaryTitle);
+            } catch (e2) {
+                // NOP
+            }
+            throw e;
+        }
 
-        await bulkAdd('terms', termList);
-        await bulkAdd('termMeta', termMetaList);
-        await bulkAdd('kanji', kanjiList);
-        await bulkAdd('kanjiMeta', kanjiMetaList);
-        await bulkAdd('tagMeta', tagList);
-        await bulkAdd('media', media);
+        await dictionaryDatabase.deleteImportState(dictionaryTitle);
 
         this._progress();
 
-        return {result: summary, errors};
+        return {result: summary, errors: context.errors, previousResult: previousSummary};
     }
 
     _progressReset() {
         this._progressData = {
             stepIndex: 0,
-            stepCount: 6,
+            stepCount: 3,
             index: 0,
             count: 0
         };
@@ -192,6 +183,77 @@ class DictionaryImporter {
         this._onProgress(this._progressData);
     }
 
+    async _getPreviousSummary(dictionaryDatabase, dictionaryTitle, revision) {
+        const dictionaries = await dictionaryDatabase.getDictionaryInfo();
+        const previousSummary = dictionaries.find(({title}) => title === dictionaryTitle);
+        if (typeof previousSummary === 'undefined') { return null; }
+        const comparison = DictionaryDataUtil.compareRevisions(revision, previousSummary.revision);
+        if (comparison === 0) {
+            throw new Error('Dictionary is already imported');
+        }
+        if (comparison < 0) {
+            throw new Error(`Dictionary is already imported with a newer revision: ${previousSummary.revision}`);
+        }
+        return previousSummary;
+    }
+
+    async _prepareImportState(dictionaryDatabase, dictionaryTitle, importTitle, revision, prefixWildcardsSupported) {
+        const importState = await dictionaryDatabase.getImportState(dictionaryTitle);
+        if (
+            importState !== null &&
+            importState.revision === revision &&
+            importState.prefixWildcardsSupported === prefixWildcardsSupported
+        ) {
+            // Resume an interrupted import of the same dictionary, after removing the data
+            // of the file which was being added when it was interrupted
+            const counts = {};
+            for (const [objectStoreName, {total}] of Object.entries(importState.counts)) {
+                counts[objectStoreName] = total;
+            }
+            await dictionaryDatabase.truncateDictionary(importTitle, counts);
+            return importState;
+        }
+
+        // Remove any data which was left by an import which cannot be resumed
+        // The data of the previous revision of an updated dictionary is kept until the update is complete.
+        await dictionaryDatabase.deleteDictionary(importTitle, 1000, null);
+
+        const createCounts = () => ({total: 0, modes: {}});
+        const newImportState = {
+            title: dictionaryTitle,
+            revision,
+            prefixWildcardsSupported,
+            fileCount: 0,
+            counts: {
+                terms: createCounts(),
+                termMeta: createCounts(),
+                kanji: createCounts(),
+                kanjiMeta: createCounts(),
+                tagMeta: createCounts(),
+                media: createCounts()
+            }
+        };
+        await dictionaryDatabase.setImportState(newImportState);
+        return newImportState;
+    }
+
+    async _getImportedMedia(dictionaryDatabase, importTitle, importState) {
+        // Media is only added once per path, including the media which was added before a resumed import was interrupted
+        const media = new Map();
+        if (importState.counts.media.total > 0) {
+            for (const {path, mediaType, width, height} of await dictionaryDatabase.getMediaDetails(importTitle)) {
+                media.set(path, {mediaType, width, height});
+            }
+        }
+        return media;
+    }
+
+    async _completeImportFile(context) {
+        const {dictionaryDatabase, importState} = context;
+        ++importState.fileCount;
+        await dictionaryDatabase.setImportState(importState);
+    }
+
     _createSummary(dictionaryTitle, version, index, details) {
         const summary = {
             title: dictionaryTitle,
@@ -201,12 +263,17 @@ class DictionaryImporter {
             importDate: Date.now()
         };
 
-        const {author, url, description, attribution, frequencyMode} = index;
+        const {author, url, description, attribution, frequencyMode, sourceLanguage, targetLanguage, isUpdatable, indexUrl, downloadUrl} = index;
         if (typeof author === 'string') { summary.author = author; }
         if (typeof url === 'string') { summary.url = url; }
         if (typeof description === 'string') { summary.description = description; }
         if (typeof attribution === 'string') { summary.attribution = attribution; }
         if (typeof frequencyMode === 'string') { summary.frequencyMode = frequencyMode; }
+        if (typeof sourceLanguage === 'string') { summary.sourceLanguage = sourceLanguage; }
+        if (typeof targetLanguage === 'string') { summary.targetLanguage = targetLanguage; }
+        if (typeof isUpdatable === 'boolean') { summary.isUpdatable = isUpdatable; }
+        if (typeof indexUrl === 'string') { summary.indexUrl = indexUrl; }
+        if (typeof downloadUrl === 'string') { summary.downloadUrl = downloadUrl; }
 
         Object.assign(summary, details);
 
@@ -330,17 +397,16 @@ class DictionaryImporter {
         return target;
     }
 
-    async _resolveAsyncRequirements(requirements, archive) {
-        const media = new Map();
-        const context = {archive, media};
+    async _resolveAsyncRequirements(context, requirements) {
+        const {archive, dictionaryTitle, media} = context;
+        const mediaList = [];
+        const requirementContext = {archive, dictionaryTitle, media, mediaList};
 
         for (const requirement of requirements) {
-            await this._resolveAsyncRequirement(context, requirement);
+            await this._resolveAsyncRequirement(requirementContext, requirement);
         }
 
-        return {
-            media: [...media.values()]
-        };
+        return mediaList;
     }
 
     async _resolveAsyncRequirement(context, requirement) {
@@ -357,8 +423,6 @@ class DictionaryImporter {
                 return;
         }
         Object.assign(target, result);
-        ++this._progressData.index;
-        this._progress();
     }
 
     async _resolveDictionaryTermGlossaryImage(context, data, entry) {
@@ -403,13 +467,13 @@ class DictionaryImporter {
     }
 
     async _getImageMedia(context, path, entry) {
-        const {media} = context;
+        const {dictionaryTitle, media, mediaList} = context;
         const {dictionary} = entry;
 
         const createError = (message) => {
             const {expression, reading} = entry;
             const readingSource = reading.length > 0 ? ` (${reading})`: '';
-            return new Error(`${message} at path ${JSON.stringify(path)} for ${expression}${readingSource} in ${dictionary}`);
+            return new Error(`${message} at path ${JSON.stringify(path)} for ${expression}${readingSource} in ${dictionaryTitle}`);
         };
 
         // Check if already added
@@ -444,6 +508,7 @@ class DictionaryImporter {
         }
 
         // Create image data
+        // The content is not kept once the media has been added, only the details needed to reuse it.
         mediaData = {
             dictionary,
             path,
@@ -452,7 +517,8 @@ class DictionaryImporter {
             height,
             content
         };
-        media.set(path, mediaData);
+        media.set(path, {mediaType, width, height});
+        mediaList.push(mediaData);
 
         return mediaData;
     }
@@ -541,48 +607,112 @@ class DictionaryImporter {
         return results;
     }
 
-    async _readFileSequence(files, convertEntry, schema, dictionaryTitle) {
+    async _importFileSequence(context, objectStoreName, files, convertEntry, schema) {
         const progressData = this._progressData;
+        const {importTitle, importState} = context;
+        const maxChunkLength = 1000;
         let count = 0;
         let startIndex = 0;
-        if (typeof this._onProgress === 'function') {
-            schema.progressInterval = 1000;
-            schema.progress = (s) => {
-                const index = s.getValueStackLength() > 1 ? s.getValueStackItem(1).path : 0;
-                progressData.index = startIndex + (index / count);
-                this._progress();
-            };
-        }
+        // Validation is the first half of the progress of each file, and adding the data the second half
+        schema.progressInterval = 1000;
+        schema.progress = (s) => {
+            const index = s.getValueStackLength() > 1 ? s.getValueStackItem(1).path : 0;
+            progressData.index = startIndex + (index / count) * 0.5;
+            this._progress();
+        };
 
-        const results = [];
         for (const file of files) {
-            const entries = JSON.parse(await file.async('string'));
-
-            count = Array.isArray(entries) ? Math.max(entries.length, 1) : 1;
             startIndex = progressData.index;
-            this._progress();
 
-            this._validateJsonSchema(entries, schema, file.name);
+            // Files which were completed before the import was interrupted are skipped
+            if (context.fileIndex++ >= importState.fileCount) {
+                let entries = JSON.parse(await file.async('string'));
+
+                count = Array.isArray(entries) ? Math.max(entries.length, 1) : 1;
+                this._progress();
+
+                this._validateJsonSchema(entries, schema, file.name);
+
+                for (let i = 0, ii = entries.length; i < ii; i += maxChunkLength) {
+                    const chunk = [];
+                    for (let j = i, jj = Math.min(i + maxChunkLength, ii); j < jj; ++j) {
+                        chunk.push(convertEntry(entries[j], importTitle));
+                    }
+                    if (objectStoreName === 'terms') {
+                        await this._prepareTermChunk(context, chunk);
+                    }
+                    await this._addEntries(context, objectStoreName, chunk);
+
+                    progressData.index = startIndex + 0.5 + ((i + chunk.length) / count) * 0.5;
+                    this._progress();
+                }
+
+                // Release the file before reading the next one
+                entries = null;
+                await this._completeImportFile(context);
+            }
 
             progressData.index = startIndex + 1;
             this._progress();
+        }
+    }
 
-            for (const entry of entries) {
-                results.push(convertEntry(entry, dictionaryTitle));
+    async _prepareTermChunk(context, termList) {
+        // Prefix wildcard support
+        if (context.prefixWildcardsSupported) {
+            for (const entry of termList) {
+                entry.expressionReverse = stringReverse(entry.expression);
+                entry.readingReverse = stringReverse(entry.reading);
             }
         }
-        return results;
+
+        // Extended data support
+        const requirements = [];
+        for (const entry of termList) {
+            const glossaryList = entry.glossary;
+            for (let j = 0, jj = glossaryList.length; j < jj; ++j) {
+                const glossary = glossaryList[j];
+                if (typeof glossary !== 'object' || glossary === null) { continue; }
+                glossaryList[j] = this._formatDictionaryTermGlossaryObject(glossary, entry, requirements);
+            }
+        }
+
+        // Async requirements
+        if (requirements.length === 0) { return; }
+        const mediaList = await this._resolveAsyncRequirements(context, requirements);
+        await this._addEntries(context, 'media', mediaList);
+    }
+
+    async _addEntries(context, objectStoreName, entries) {
+        const {dictionaryDatabase, importState, errors} = context;
+        const counts = importState.counts[objectStoreName];
+        const maxTransactionLength = 1000;
+        for (let i = 0, ii = entries.length; i < ii; i += maxTransactionLength) {
+            const count = Math.min(maxTransactionLength, ii - i);
+            try {
+                await dictionaryDatabase.bulkAdd(objectStoreName, entries, i, count);
+            } catch (e) {
+                errors.push(e);
+                continue;
+            }
+            // Only entries which were added are counted, so that they match the contents of the database if the import is resumed
+            this._addCounts(counts, entries, i, count);
+        }
     }
 
-    _getMetaCounts(metaList) {
-        const countsMap = new Map();
-        for (const {mode} of metaList) {
-            let count = countsMap.get(mode);
-            count = typeof count !== 'undefined' ? count + 1 : 1;
-            countsMap.set(mode, count);
+    _addCounts(counts, entries, start, count) {
+        const {modes} = counts;
+        counts.total += count;
+        for (let i = start, ii = start + count; i < ii; ++i) {
+            const {mode} = entries[i];
+            if (typeof mode !== 'string') { continue; }
+            modes[mode] = Object.prototype.hasOwnProperty.call(modes, mode) ? modes[mode] + 1 : 1;
         }
-        const counts = {total: metaList.length};
-        for (const [key, value] of countsMap.entries()) {
+    }
+
+    _getMetaCounts({total, modes}) {
+        const counts = {total};
+        for (const [key, value] of Object.entries(modes)) {
             if (Object.prototype.hasOwnProperty.call(counts, key)) { continue; }
             counts[key] = value;
         }
@@ -0,0 +1,114 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* global
+ * DictionaryDataUtil
+ */
+
+/**
+ * Class which checks whether newer revisions of installed dictionaries are available,
+ * using the `indexUrl` declared by their index.
+ */
+class DictionaryUpdateChecker {
+    /**
+     * Creates a new instance of the class.
+     * @param {object} details The details for the instance.
+     * @param {RequestBuilder} details.requestBuilder The request builder used to fetch the remote index files.
+     */
+    constructor({requestBuilder}) {
+        this._requestBuilder = requestBuilder;
+    }
+
+    /**
+     * Checks for updates of dictionaries. Dictionaries which are not updatable are skipped.
+     * @param {object[]} dictionaries The summaries of the installed dictionaries, as returned by `DictionaryDatabase.getDictionaryInfo`.
+     * @returns {Promise<{title: string, revision: string, latestRevision: ?string, downloadUrl: ?string, hasUpdate: boolean, error: ?string}[]>}
+     *   The results for each updatable dictionary. `error` is the reason the latest revision could not be found, if any.
+     */
+    async checkForUpdates(dictionaries) {
+        const promises = [];
+        for (const dictionary of dictionaries) {
+            if (!this.isUpdatable(dictionary)) { continue; }
+            promises.push(this._checkForUpdate(dictionary));
+        }
+        return await Promise.all(promises);
+    }
+
+    /**
+     * Checks whether a dictionary declares where to find its newer revisions.
+     * @param {object} dictionary The summary of the dictionary.
+     * @returns {boolean} `true` if the dictionary can be updated, `false` otherwise.
+     */
+    isUpdatable(dictionary) {
+        const {isUpdatable, indexUrl} = dictionary;
+        return isUpdatable === true && typeof indexUrl === 'string' && indexUrl.length > 0;
+    }
+
+    // Private
+
+    async _checkForUpdate({title, revision, indexUrl, downloadUrl}) {
+        const result = {
+            title,
+            revision,
+            latestRevision: null,
+            downloadUrl: null,
+            hasUpdate: false,
+            error: null
+        };
+        try {
+            const index = await this._fetchIndex(indexUrl);
+            if (index.title !== title) {
+                throw new Error(`Index is for a different dictionary: ${index.title}`);
+            }
+            if (typeof index.downloadUrl === 'string') {
+                downloadUrl = index.downloadUrl;
+            }
+            result.latestRevision = index.revision;
+            // Relative URLs are resolved against the URL of the index
+            result.downloadUrl = typeof downloadUrl === 'string' ? new URL(downloadUrl, indexUrl).href : null;
+            result.hasUpdate = DictionaryDataUtil.compareRevisions(index.revision, revision) > 0;
+        } catch (e) {
+            result.error = e.message;
+        }
+        return result;
+    }
+
+    async _fetchIndex(url) {
+        const response = await this._requestBuilder.fetchAnonymous(url, {
+            method: 'GET',
+            mode: 'cors',
+            cache: 'no-cache',
+            credentials: 'omit',
+            redirect: 'follow',
+            referrerPolicy: 'no-referrer'
+        });
+
+        if (!response.ok) {
+            throw new Error(`Invalid response: ${response.status}`);
+        }
+
+        const index = await response.json();
+        if (
+            typeof index !== 'object' || index === null ||
+            typeof index.title !== 'string' ||
+            typeof index.revision !== 'string'
+        ) {
+            throw new Error('Invalid dictionary index');
+        }
+        return index;
+    }
+}
@@ -41,9 +41,15 @@ class DictionaryWorkerHandler {
             case 'deleteDictionary':
                 this._onMessageWithProgress(params, this._deleteDictionary.bind(this));
                 break;
+            case 'discardImport':
+                this._onMessageWithProgress(params, this._discardImport.bind(this));
+                break;
             case 'getDictionaryCounts':
                 this._onMessageWithProgress(params, this._getDictionaryCounts.bind(this));
                 break;
+            case 'getImportStates':
+                this._onMessageWithProgress(params, this._getImportStates.bind(this));
+                break;
             case 'getImageDetails.response':
                 this._mediaLoader.handleMessage(params);
                 break;
@@ -71,10 +77,11 @@ class DictionaryWorkerHandler {
         const dictionaryDatabase = await this._getPreparedDictionaryDatabase();
         try {
             const dictionaryImporter = new DictionaryImporter(this._mediaLoader, onProgress);
-            const {result, errors} = await dictionaryImporter.importDictionary(dictionaryDatabase, archiveContent, details);
+            const {result, errors, previousResult} = await dictionaryImporter.importDictionary(dictionaryDatabase, archiveContent, details);
             return {
                 result,
-                errors: errors.map((error) => serializeError(error))
+                errors: errors.map((error) => serializeError(error)),
+                previousResult
             };
         } finally {
             dictionaryDatabase.close();
@@ -90,6 +97,15 @@ class DictionaryWorkerHandler {
         }
     }
 
+    async _discardImport({dictionaryTitle}) {
+        const dictionaryDatabase = await this._getPreparedDictionaryDatabase();
+        try {
+            return await dictionaryDatabase.discardImport(dictionaryTitle);
+        } finally {
+            dictionaryDatabase.close();
+        }
+    }
+
     async _getDictionaryCounts({dictionaryNames, getTotal}) {
         const dictionaryDatabase = await this._getPreparedDictionaryDatabase();
         try {
@@ -99,6 +115,15 @@ class DictionaryWorkerHandler {
         }
     }
 
+    async _getImportStates() {
+        const dictionaryDatabase = await this._getPreparedDictionaryDatabase();
+        try {
+            return await dictionaryDatabase.getImportStates();
+        } finally {
+            dictionaryDatabase.close();
+        }
+    }
+
     async _getPreparedDictionaryDatabase() {
         const dictionaryDatabase = new DictionaryDatabase();
         await dictionaryDatabase.prepare();
@@ -25,6 +25,7 @@ self.importScripts(
     '/js/data/database.js',
     '/js/data/json-schema.js',
     '/js/general/cache-map.js',
+    '/js/dictionary/dictionary-data-util.js',
     '/js/dictionary/dictionary-database.js',
     '/js/dictionary/dictionary-importer.js',
     '/js/dictionary/dictionary-worker-handler.js',
@@ -38,10 +38,18 @@ class DictionaryWorker {
         return this._invoke('deleteDictionary', {dictionaryTitle}, [], onProgress);
     }
 
+    discardImport(dictionaryTitle) {
+        return this._invoke('discardImport', {dictionaryTitle}, [], null);
+    }
+
     getDictionaryCounts(dictionaryNames, getTotal) {
         return this._invoke('getDictionaryCounts', {dictionaryNames, getTotal}, [], null);
     }
 
+    getImportStates() {
+        return this._invoke('getImportStates', {}, [], null);
+    }
+
     // Private
 
     _invoke(action, params, transfer, onProgress, formatResult) {
@@ -16,6 +16,7 @@
  */
 
 /* global
+ * ChineseUtil
  * DictionaryDataUtil
  * HtmlTemplateCollection
  * PronunciationGenerator
@@ -23,10 +24,16 @@
  */
 
 class DisplayGenerator {
-    constructor({japaneseUtil, contentManager, hotkeyHelpController=null}) {
+    constructor({japaneseUtil, contentManager, hotkeyHelpController=null, localizationController=null}) {
         this._japaneseUtil = japaneseUtil;
         this._contentManager = contentManager;
         this._hotkeyHelpController = hotkeyHelpController;
+        this._localizationController = localizationController;
+        this._chineseUtil = new ChineseUtil();
+        this._language = null;
+        this._rightToLeftLanguages = new Set();
+        // Languages whose inflections form a chain in which the order is meaningful, so they are not merged into features
+        this._orderedInflectionLanguages = new Set();
         this._templates = null;
         this._structuredContentGenerator = new StructuredContentGenerator(this._contentManager, japaneseUtil, document);
         this._pronunciationGenerator = new PronunciationGenerator(japaneseUtil);
@@ -35,9 +42,25 @@ class DisplayGenerator {
     async prepare() {
         const html = await yomichan.api.getDisplayTemplatesHtml();
         this._templates = new HtmlTemplateCollection(html);
+        const languages = await yomichan.api.getLanguages();
+        this._rightToLeftLanguages = new Set(languages.filter(({direction}) => direction === 'rtl').map(({iso}) => iso));
+        this._orderedInflectionLanguages = new Set(languages.filter(({orderedInflections}) => orderedInflections === true).map(({iso}) => iso));
+        this.updateLocalization();
         this.updateHotkeys();
     }
 
+    updateLocalization() {
+        const localizationController = this._localizationController;
+        if (localizationController === null || this._templates === null) { return; }
+        for (const template of this._templates.getAllTemplates()) {
+            localizationController.translate(template.content);
+        }
+    }
+
+    setLanguage(language) {
+        this._language = language;
+    }
+
     updateHotkeys() {
         const hotkeyHelpController = this._hotkeyHelpController;
         if (hotkeyHelpController === null) { return; }
@@ -297,16 +320,32 @@ class DisplayGenerator {
             node.dataset.wordClasses = wordClasses.join(' ');
         }
 
-        this._setTextContent(node.querySelector('.headword-reading'), reading);
+        const readingContainer = node.querySelector('.headword-reading');
+        const pinyinSegments = (this._language === 'zh' ? this._chineseUtil.distributePinyin(term, reading) : null);
+        if (pinyinSegments !== null) {
+            this._appendPinyinReading(readingContainer, pinyinSegments);
+            this._appendPinyin(termContainer, pinyinSegments, this._appendKanjiLinks.bind(this));
+        } else {
+            this._setTextContent(readingContainer, reading);
+            this._appendFurigana(termContainer, term, reading, this._appendKanjiLinks.bind(this));
+        }
 
-        this._appendFurigana(termContainer, term, reading, this._appendKanjiLinks.bind(this));
+        if (this._rightToLeftLanguages.has(this._language)) {
+            // Readings can be transliterations, so their direction depends on their text
+            termContainer.lang = this._language;
+            termContainer.dir = 'rtl';
+            readingContainer.dir = 'auto';
+        }
 
         return node;
     }
 
     _createInflectionHypothesis(inflectionHypothesis) {
-        const {source, inflections} = inflectionHypothesis;
-        if (!Array.isArray(inflections) || inflections.length === 0) { return null; }
+        const {source, inflections, features, otherInflections, formOfChain} = inflectionHypothesis;
+        const hasFeatures = (typeof features === 'object' && features !== null && Object.keys(features).length > 0);
+        const hasInflections = (hasFeatures || (Array.isArray(otherInflections) && otherInflections.length > 0));
+        const hasFormOfChain = (Array.isArray(formOfChain) && formOfChain.length > 0);
+        if (!hasInflections && !hasFormOfChain) { return null; }
         const fragment = this._templates.instantiateFragment('inflection-list');
         const node = fragment.querySelector('.inflection-list');
 
@@ -316,7 +355,24 @@ class DisplayGenerator {
 
         node.appendChild(sourceIcon);
 
-        this._appendMultiple(node, this._createTermInflection.bind(this), inflections);
+        if (hasInflections) {
+            const chain = this._getInflectionChain(inflections, hasFeatures ? features : null, otherInflections);
+            this._appendMultiple(node, this._createInflectionChainItem.bind(this), chain);
+        }
+        if (hasFormOfChain) {
+            this._appendMultiple(fragment.querySelector('.form-of-chain'), this._createFormOfHop.bind(this), formOfChain);
+        }
+        return fragment;
+    }
+
+    _createFormOfHop(hop) {
+        const {term, formOf, dictionary} = hop;
+        const fragment = this._templates.instantiateFragment('form-of-hop');
+        const node = fragment.querySelector('.form-of-hop');
+        this._setTextContent(node.querySelector('.form-of-hop-term'), term);
+        this._setTextContent(node.querySelector('.form-of-hop-lemma'), formOf);
+        node.querySelector('.form-of-hop-dictionary').appendChild(this._createTag(this._createTagData(dictionary, 'dictionary')));
+        node.dataset.dictionary = dictionary;
         return fragment;
     }
 
@@ -331,6 +387,38 @@ class DisplayGenerator {
         }
     }
 
+    _getInflectionChain(inflections, features, otherInflections) {
+        if (!Array.isArray(inflections)) {
+            return features !== null ? [features, ...otherInflections] : [...otherInflections];
+        }
+        if (features === null || this._orderedInflectionLanguages.has(this._language)) {
+            return [...inflections];
+        }
+
+        // Inflections keep the order of the chain, and the ones described by the features are shown once, in their place,
+        // if they are adjacent
+        const remainingInflections = [...otherInflections];
+        const chain = [];
+        let featuresIndex = -1;
+        for (const inflection of inflections) {
+            const index = remainingInflections.indexOf(inflection);
+            if (index >= 0) {
+                remainingInflections.splice(index, 1);
+                chain.push(inflection);
+            } else if (featuresIndex < 0) {
+                featuresIndex = chain.length;
+                chain.push(features);
+            } else if (featuresIndex !== chain.length - 1) {
+                return [...inflections];
+            }
+        }
+        return chain;
+    }
+
+    _createInflectionChainItem(item) {
+        return typeof item === 'string' ? this._createTermInflection(item) : this._createInflectionFeatures(item);
+    }
+
     _createTermInflection(inflection) {
         const fragment = this._templates.instantiateFragment('inflection');
         const node = fragment.querySelector('.inflection');
@@ -339,6 +427,20 @@ class DisplayGenerator {
         return fragment;
     }
 
+    _createInflectionFeatures(features) {
+        const fragment = this._templates.instantiateFragment('inflection');
+        const node = fragment.querySelector('.inflection');
+        const entries = Object.entries(features);
+        this._setTextContent(node, entries.map(([name, value]) => this._getInflectionFeatureLabel(name, value)).join(' '));
+        node.dataset.features = entries.map(([name, value]) => `${name}-${value}`).join(' ');
+        return fragment;
+    }
+
+    _getInflectionFeatureLabel(name, value) {
+        const label = (this._localizationController !== null ? this._localizationController.getTranslation(`inflectionFeatures.${name}.${value}`) : null);
+        return label !== null ? label : value;
+    }
+
     _createTermDefinition(definition, dictionaryTag, headwords, uniqueTerms, uniqueReadings) {
         const {dictionary, tags, headwordIndices, entries} = definition;
         const disambiguations = DictionaryDataUtil.getDisambiguations(headwords, headwordIndices, uniqueTerms, uniqueReadings);
@@ -752,6 +854,36 @@ class DisplayGenerator {
         }
     }
 
+    _appendPinyin(container, segments, addText) {
+        container.lang = 'zh';
+        for (const {text, reading, tone} of segments) {
+            if (reading.length === 0) {
+                addText(container, text);
+                continue;
+            }
+            const ruby = document.createElement('ruby');
+            const rt = document.createElement('rt');
+            ruby.dataset.tone = `${tone}`;
+            addText(ruby, text);
+            ruby.appendChild(rt);
+            rt.appendChild(document.createTextNode(reading));
+            container.appendChild(ruby);
+        }
+    }
+
+    _appendPinyinReading(container, segments) {
+        container.lang = 'zh-Latn-pinyin';
+        for (const {text, reading, tone} of segments) {
+            if (container.childNodes.length > 0) {
+                container.appendChild(document.createTextNode(' '));
+            }
+            const syllable = document.createElement('span');
+            syllable.dataset.tone = `${tone}`;
+            syllable.textContent = (reading.length > 0 ? reading : text);
+            container.appendChild(syllable);
+        }
+    }
+
     _createDictionaryTag(dictionary) {
         return this._createTagData(dictionary, 'dictionary');
     }
@@ -24,6 +24,7 @@
  * FrameEndpoint
  * Frontend
  * HotkeyHelpController
+ * LocalizationController
  * OptionToggleHotkeyHandler
  * PopupFactory
  * PopupMenu
@@ -96,16 +97,20 @@ class Display extends EventDispatcher {
         this._dictionaryEntryNodes = [];
         this._optionsContext = {depth: 0, url: window.location.href};
         this._options = null;
+        this._language = null;
+        this._languageSentenceParsing = null;
         this._index = 0;
         this._styleNode = null;
         this._eventListeners = new EventListenerCollection();
         this._setContentToken = null;
         this._contentManager = new DisplayContentManager(this);
         this._hotkeyHelpController = new HotkeyHelpController();
+        this._localizationController = new LocalizationController();
         this._displayGenerator = new DisplayGenerator({
             japaneseUtil,
             contentManager: this._contentManager,
-            hotkeyHelpController: this._hotkeyHelpController
+            hotkeyHelpController: this._hotkeyHelpController,
+            localizationController: this._localizationController
         });
         this._messageHandlers = new Map();
         this._directMessageHandlers = new Map();
@@ -346,7 +351,15 @@ class Display extends EventDispatcher {
         const options = await yomichan.api.optionsGet(this.getOptionsContext());
         const {scanning: scanningOptions, sentenceParsing: sentenceParsingOptions} = options;
         this._options = options;
+        // The language detected for the looked up text, if it is used instead of the language of the profile
+        this._language = await yomichan.api.getLookupLanguage(this.getOptionsContext());
+        this._languageSentenceParsing = await yomichan.api.getSentenceParsing(this._language);
 
+        if (await this._localizationController.setLocale(options.general.locale)) {
+            this._displayGenerator.updateLocalization();
+        }
+
+        this._displayGenerator.setLanguage(this._language);
         this._updateHotkeys(options);
         this._updateDocumentOptions(options);
         this._setTheme(options);
@@ -373,7 +386,10 @@ class Display extends EventDispatcher {
                 layoutAwareScan: scanningOptions.layoutAwareScan,
                 preventMiddleMouse: scanningOptions.preventMiddleMouse.onSearchQuery,
                 matchTypePrefix: false,
-                sentenceParsingOptions
+                sentenceParsingOptions,
+                language: this._language,
+                languageDetection: options.general.languageDetection,
+                languageSentenceParsing: this._languageSentenceParsing
             }
         });
 
@@ -1537,7 +1553,10 @@ class Display extends EventDispatcher {
             scanLength: scanningOptions.length,
             layoutAwareScan: scanningOptions.layoutAwareScan,
             preventMiddleMouse: false,
-            sentenceParsingOptions
+            sentenceParsingOptions,
+            language: this._language,
+            languageDetection: options.general.languageDetection,
+            languageSentenceParsing: this._languageSentenceParsing
         });
 
         this._contentTextScanner.setEnabled(true);
@@ -129,9 +129,11 @@ class DocumentUtil {
      *   ```js
      *   new Map([ [character: string, [otherCharacter: string, includeCharacterAtEnd: boolean]], ... ])
      *   ```
+     * @param {string[]} [abbreviations] Abbreviations whose terminator characters do not terminate a sentence,
+     *   such as `Dr.` or `z. B.`.
      * @returns {{sentence: string, offset: number}} The sentence and the offset to the original source.
      */
-    static extractSentence(source, layoutAwareScan, extent, terminateAtNewlines, terminatorMap, forwardQuoteMap, backwardQuoteMap) {
+    static extractSentence(source, layoutAwareScan, extent, terminateAtNewlines, terminatorMap, forwardQuoteMap, backwardQuoteMap, abbreviations=[]) {
         // Scan text
         source = source.clone();
         const startLength = source.setStartOffset(extent, layoutAwareScan);
@@ -150,7 +152,7 @@ class DocumentUtil {
 
             if (quoteStack.length === 0) {
                 const terminatorInfo = terminatorMap.get(c);
-                if (typeof terminatorInfo !== 'undefined') {
+                if (typeof terminatorInfo !== 'undefined' && !this._isAbbreviation(text, pos1 - 1, abbreviations)) {
                     if (terminatorInfo[0]) { --pos1; }
                     break;
                 }
@@ -181,7 +183,7 @@ class DocumentUtil {
 
             if (quoteStack.length === 0) {
                 const terminatorInfo = terminatorMap.get(c);
-                if (typeof terminatorInfo !== 'undefined') {
+                if (typeof terminatorInfo !== 'undefined' && !this._isAbbreviation(text, pos2, abbreviations)) {
                     if (terminatorInfo[1]) { ++pos2; }
                     break;
                 }
@@ -726,6 +728,30 @@ class DocumentUtil {
         return string.trim().length === 0;
     }
 
+    /**
+     * Checks whether the character at an index of a text is part of an abbreviation.
+     * @param {string} text The text.
+     * @param {number} index The index of the character.
+     * @param {string[]} abbreviations The abbreviations.
+     * @returns {boolean} `true` if the character is part of an abbreviation which starts a word, `false` otherwise.
+     */
+    static _isAbbreviation(text, index, abbreviations) {
+        const c = text[index];
+        for (const abbreviation of abbreviations) {
+            for (let i = abbreviation.indexOf(c); i >= 0; i = abbreviation.indexOf(c, i + 1)) {
+                const start = index - i;
+                if (
+                    start >= 0 &&
+                    text.startsWith(abbreviation, start) &&
+                    (start === 0 || !this._wordCharacterPattern.test(text[start - 1]))
+                ) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
     static _caretRangeFromPoint(x, y) {
         if (typeof document.caretRangeFromPoint === 'function') {
             // Chrome, Edge
@@ -932,3 +958,5 @@ DocumentUtil._transparentColorPattern = /rgba\s*\([^)]*,\s*0(?:\.0+)?\s*\)/;
 DocumentUtil._cssZoomSupported = null;
 // eslint-disable-next-line no-underscore-dangle
 DocumentUtil._getRangeFromPointHandlers = [];
+// eslint-disable-next-line no-underscore-dangle
+DocumentUtil._wordCharacterPattern = /[\p{L}\p{M}\p{N}]/u;
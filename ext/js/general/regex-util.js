@@ -23,10 +23,12 @@ class RegexUtil {
      * Applies string.replace using a regular expression and replacement string as arguments.
      * A source map of the changes is also maintained.
      * @param {string} text A string of the text to replace.
-     * @param {TextSourceMap} sourceMap An instance of `TextSourceMap` which corresponds to `text`.
+     * @param {?TextSourceMap} sourceMap An instance of `TextSourceMap` which corresponds to `text`,
+     *   or `null` if the changes do not need to be mapped.
      * @param {RegExp} pattern A regular expression to use as the replacement.
-     * @param {string} replacement A replacement string that follows the format of the standard
-     *   JavaScript regular expression replacement string.
+     * @param {string|Function} replacement A replacement string that follows the format of the standard
+     *   JavaScript regular expression replacement string, or a function which is called with the match
+     *   and its groups and returns the replacement, as with `String.prototype.replace`.
      * @returns {string} A new string with the pattern replacements applied and the source map updated.
      */
     static applyTextReplacement(text, sourceMap, pattern, replacement) {
@@ -38,16 +40,24 @@ class RegexUtil {
 
             const matchText = match[0];
             const index = match.index;
-            const actualReplacement = this.applyMatchReplacement(replacement, match);
+            const actualReplacement = (
+                typeof replacement === 'function' ?
+                replacement(...match) :
+                this.applyMatchReplacement(replacement, match)
+            );
             const actualReplacementLength = actualReplacement.length;
             const delta = actualReplacementLength - (matchText.length > 0 ? matchText.length : -1);
 
             text = `${text.substring(0, index)}${actualReplacement}${text.substring(index + matchText.length)}`;
             pattern.lastIndex += delta;
 
+            if (sourceMap === null) { continue; }
             if (actualReplacementLength > 0) {
                 sourceMap.insert(index, ...(new Array(actualReplacementLength).fill(0)));
                 sourceMap.combine(index - 1 + actualReplacementLength, matchText.length);
+            } else if (index > 0 && index === text.length) {
+                // Text removed from the end is combined with the preceding character
+                sourceMap.combine(index - 1, matchText.length);
             } else {
                 sourceMap.combine(index, matchText.length);
             }
@@ -0,0 +1,123 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Class which splits compound words into parts that are known terms,
+ * for languages which write compounds as a single word.
+ */
+class CompoundSplitter {
+    /**
+     * Creates a new instance of the class.
+     * @param {object} details The compound splitting settings of a language.
+     * @param {number} [details.minLength] The minimum length of each part.
+     * @param {number} [details.maxLength] Words longer than this are not split.
+     * @param {number} [details.maxPartLength] The maximum length of each part.
+     * @param {number} [details.maxCandidates] Words with more candidate terms than this are not split,
+     *   so that the number of terms looked up for a single word stays small.
+     * @param {string[]} [details.linkingElements] Letters which can join two parts
+     *   without belonging to either of them, such as the German "s" in "Arbeitsplatz".
+     */
+    constructor({minLength=3, maxLength=40, maxPartLength=20, maxCandidates=500, linkingElements=[]}={}) {
+        this._minLength = minLength;
+        this._maxLength = maxLength;
+        this._maxPartLength = maxPartLength;
+        this._maxCandidates = maxCandidates;
+        this._linkingElements = ['', ...linkingElements];
+    }
+
+    /**
+     * Gets the word at the start of a text.
+     * @param {string} text The text.
+     * @returns {string} The leading run of letters, which may be empty.
+     */
+    getWord(text) {
+        const match = /^\p{Letter}+/u.exec(text);
+        return match !== null ? match[0] : '';
+    }
+
+    /**
+     * Gets every term which could be a part of a word. Each substring is included
+     * as written, in lower case, and with its first letter capitalized.
+     * @param {string} word The word to split.
+     * @returns {string[]} The unique candidate terms, or an empty array if the word is not split.
+     */
+    getCandidates(word) {
+        const minLength = this._minLength;
+        const maxCandidates = this._maxCandidates;
+        const candidates = new Set();
+        if (word.length < minLength * 2 || word.length > this._maxLength) { return []; }
+        for (let i = 0, ii = word.length - minLength; i <= ii; ++i) {
+            for (let j = i + minLength, jj = Math.min(word.length, i + this._maxPartLength); j <= jj; ++j) {
+                for (const candidate of this._getPartForms(word.substring(i, j))) {
+                    candidates.add(candidate);
+                }
+                if (candidates.size > maxCandidates) { return []; }
+            }
+        }
+        return [...candidates];
+    }
+
+    /**
+     * Splits a word into the smallest number of known parts. When several splits have
+     * the same number of parts, the one with the longest leading parts is used.
+     * @param {string} word The word to split.
+     * @param {Set<string>} knownTerms The candidate terms which exist in a dictionary.
+     * @returns {?{text: string, term: string}[]} The parts, each with its text in the word and
+     *   the matching known term, or `null` if the word cannot be split into at least two parts.
+     */
+    split(word, knownTerms) {
+        const minLength = this._minLength;
+        const length = word.length;
+        if (length < minLength * 2 || length > this._maxLength) { return null; }
+
+        // bestParts[i] holds the best split of word.substring(i), or null if there is none
+        const bestParts = new Array(length + 1).fill(null);
+        bestParts[length] = [];
+        for (let i = length - minLength; i >= 0; --i) {
+            for (let j = Math.min(length, i + this._maxPartLength); j >= i + minLength; --j) {
+                const text = word.substring(i, j);
+                const term = this._getPartForms(text).find((form) => knownTerms.has(form));
+                if (typeof term === 'undefined') { continue; }
+
+                for (const linkingElement of this._linkingElements) {
+                    const next = j + linkingElement.length;
+                    if (
+                        (linkingElement.length > 0 && (next >= length || !word.startsWith(linkingElement, j))) ||
+                        bestParts[next] === null
+                    ) {
+                        continue;
+                    }
+                    const parts = [{text, term}, ...bestParts[next]];
+                    if (bestParts[i] === null || parts.length < bestParts[i].length) {
+                        bestParts[i] = parts;
+                    }
+                }
+            }
+        }
+
+        const parts = bestParts[0];
+        return (parts !== null && parts.length >= 2) ? parts : null;
+    }
+
+    // Private
+
+    _getPartForms(text) {
+        const lowerCase = text.toLowerCase();
+        const capitalized = lowerCase.charAt(0).toUpperCase() + lowerCase.substring(1);
+        return [...new Set([text, lowerCase, capitalized])];
+    }
+}
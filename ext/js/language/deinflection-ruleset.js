@@ -14,33 +14,50 @@
  * You should have received a copy of the GNU General Public License
  * along with this program.  If not, see <https://www.gnu.org/licenses/>.
  */
-function suffixInflection(inflectedSuffix, deinflectedSuffix, rulesIn, rulesOut){
+function suffixInflection(inflectedSuffix, deinflectedSuffix, rulesIn, rulesOut, conditions={}){
+    const {precededBy=''} = conditions;
     return {
-        inflected: new RegExp('.*' + inflectedSuffix + '$'),
+        type: 'suffix',
+        inflected: new RegExp('.*' + precededBy + inflectedSuffix + '$'),
+        affix: inflectedSuffix,
         deinflected: deinflectedSuffix,
         uninflect: (term) =>  term.replace(new RegExp(inflectedSuffix + '$'), deinflectedSuffix),
         rulesIn,
-        rulesOut
+        rulesOut,
+        conditions
     };
 }
 
-function prefixInflection(inflectedPrefix, deinflectedPrefix, rulesIn, rulesOut){
+function prefixInflection(inflectedPrefix, deinflectedPrefix, rulesIn, rulesOut, conditions={}){
+    const {followedBy=''} = conditions;
     return {
-        inflected: new RegExp('^' + inflectedPrefix + '.*'),
+        type: 'prefix',
+        inflected: new RegExp('^' + inflectedPrefix + followedBy + '.*'),
+        affix: inflectedPrefix,
         deinflected: deinflectedPrefix,
         uninflect: (term) =>  term.replace(new RegExp('^' + inflectedPrefix), deinflectedPrefix),
         rulesIn,
-        rulesOut
+        rulesOut,
+        conditions
     };
 }
 
-function infixInflection(inflectedInfix, deinflectedInfix, rulesIn, rulesOut){
+function infixInflection(inflectedInfix, deinflectedInfix, rulesIn, rulesOut, conditions={}){
+    const {precededBy='', followedBy=''} = conditions;
+    const pattern = (
+        precededBy.length > 0 || followedBy.length > 0 ?
+        `(?<=${precededBy})${inflectedInfix}(?=${followedBy})` :
+        inflectedInfix
+    );
     return {
-        inflected: new RegExp('.*' + inflectedInfix + '.*'),
+        type: 'infix',
+        inflected: new RegExp('.*' + precededBy + inflectedInfix + followedBy + '.*'),
+        affix: inflectedInfix,
         deinflected: deinflectedInfix,
-        uninflect: (term) =>  term.replace(new RegExp(inflectedInfix), deinflectedInfix),
+        uninflect: (term) =>  term.replace(new RegExp(pattern), deinflectedInfix),
         rulesIn,
-        rulesOut
+        rulesOut,
+        conditions
     };
 }
 
@@ -50,7 +67,7 @@ function separatedPrefix(prefix, rulesIn, rulesOut) {
     return {
         inflected: regex,
         uninflect: (term) => {
-            return term.replace(regex, '$1 ' + prefix);
+            return term.replace(regex, prefix + '$1');
         },
         rulesIn,
         rulesOut
@@ -59,10 +76,69 @@ function separatedPrefix(prefix, rulesIn, rulesOut) {
 
 function wholeWordInflection(inflected, deinflected, rulesIn, rulesOut){
     return {
+        type: 'wholeWord',
         inflected: new RegExp('^' + inflected + '$'),
+        affix: inflected,
         deinflected,
         uninflect: () =>  deinflected,
         rulesIn,
         rulesOut
     };
-}
\ No newline at end of file
+}
+
+/**
+ * Creates the deinflection reasons for one tense of a regular conjugation table.
+ * Each paradigm lists the inflected endings of a verb class in the order
+ * 1sg, 2sg, 3sg, 1pl, 2pl, 3pl; `null` endings are skipped.
+ * @param {string[]} features The features shared by the tense, such as `['present', 'indicative']`.
+ * @param {Array<Array>} paradigms Tuples of the lemma ending,
+ *   the inflected endings and optional suffix conditions.
+ * @param {string[]} rulesIn The rules the inflected forms must satisfy.
+ * @param {string[]} rulesOut The rules the lemma satisfies.
+ * @returns {Array<Array>} `[reason, variants]` entries which can be spread into a deinflection reasons Map.
+ */
+function conjugationReasons(features, paradigms, rulesIn, rulesOut) {
+    const persons = [
+        ['first-person', 'singular'],
+        ['second-person', 'singular'],
+        ['third-person', 'singular'],
+        ['first-person', 'plural'],
+        ['second-person', 'plural'],
+        ['third-person', 'plural']
+    ];
+    return persons.map((person, i) => [
+        [...features, ...person],
+        paradigms
+            .filter(([, endings]) => endings[i] !== null)
+            .map(([lemmaEnding, endings, conditions={}]) => suffixInflection(endings[i], lemmaEnding, rulesIn, rulesOut, conditions))
+    ]);
+}
+
+/**
+ * Creates deinflection reasons from declarative rules, as described by
+ * `/data/schemas/deinflection-rules-schema.json`.
+ * @param {object} rulesData The parsed contents of a language's grammar.json file.
+ * @returns {Map<string|string[], object[]>} The deinflection reasons, in the same format
+ *   as the result of a language's `getDeinflectionReasons` function.
+ */
+function createDeinflectionReasonsFromJson(rulesData) {
+    const inflectionFactories = new Map([
+        ['suffix', suffixInflection],
+        ['prefix', prefixInflection],
+        ['infix', infixInflection],
+        ['wholeWord', wholeWordInflection]
+    ]);
+
+    const reasons = new Map();
+    for (const {name, rules} of rulesData.reasons) {
+        const variants = rules.map(({type, inflected, deinflected, rulesIn=[], rulesOut=[], conditions={}}) => {
+            const createInflection = inflectionFactories.get(type);
+            if (typeof createInflection === 'undefined') {
+                throw new Error(`Unknown deinflection rule type: ${type}`);
+            }
+            return createInflection(inflected, deinflected, rulesIn, rulesOut, conditions);
+        });
+        reasons.set(name, variants);
+    }
+    return reasons;
+}
@@ -19,15 +19,41 @@
 class Deinflector {
     constructor(languageUtil) {
         this._languageUtil = languageUtil;
+        this._deinflectionReasonsCache = new Map();
+        // Maximum number of rules applied in a chain, used by languages whose grammar does not declare a limit
+        this._defaultMaxDepth = 10;
+        // Maximum number of deinflections returned for a single source text, regardless of language
+        this._maxResults = 1000;
     }
 
+    /**
+     * Finds the possible uninflected forms of a term by applying deinflection rules repeatedly.
+     * Each term and rule combination is only expanded once, and chains which return to a combination
+     * they have already passed through are skipped, so rules which undo each other cannot loop
+     * or add redundant hypotheses. Chains stop growing once the language's maximum depth is reached.
+     * @param {string} source The text to deinflect.
+     * @param {object} options The find terms options; `language` and `deinflectionPosFilter` are used.
+     * @returns {Promise<{deinflections: {term: string, rules: number, reasons: string[]}[], limitReached: boolean}>}
+     *   The deinflections, starting with the source itself, and whether the depth or result limit
+     *   prevented further rules from being applied.
+     */
     async deinflect(source, options) {
-        const checkRules = options.deinflectionPosFilter;
-        const results = [this._createDeinflection(source, 0, [])];
+        const {language, deinflectionPosFilter: checkRules} = options;
+        const deinflectionReasons = await this._getDeinflectionReasons(language);
+        const maxDepth = await this._getMaxDepth(language);
+        const maxResults = this._maxResults;
 
-        for (let i = 0; i < results.length && i < 200; ++i) {
-            const {rules, term, reasons} = results[i];
-            const deinflectionReasons = Deinflector.normalizeReasons(await this._languageUtil.getDeinflectionReasons(options.language));
+        const sourceDeinflection = this._createDeinflection(source, 0, []);
+        const deinflections = [sourceDeinflection];
+        const sourceStateKey = this._getStateKey(source, 0);
+        const queue = [{deinflection: sourceDeinflection, depth: 0, stateKey: sourceStateKey, parent: null}];
+        const expandedStates = new Set([sourceStateKey]);
+        const resultKeys = new Set([this._getResultKey(sourceDeinflection)]);
+        let limitReached = false;
+
+        for (let i = 0; i < queue.length; ++i) {
+            const item = queue[i];
+            const {deinflection: {term, rules, reasons}, depth} = item;
             for (const [reason, variants] of deinflectionReasons) {
                 for (const [inflected, uninflect, rulesIn, rulesOut] of variants) {
                     if (
@@ -37,16 +63,63 @@ class Deinflector {
                         continue;
                     }
 
-                    results.push(this._createDeinflection(
+                    if (depth >= maxDepth || deinflections.length >= maxResults) {
+                        limitReached = true;
+                        continue;
+                    }
+
+                    const deinflection = this._createDeinflection(
                         uninflect(term),
                         rulesOut,
                         [...reason, ...reasons]
-                    ));
+                    );
+
+                    const stateKey = this._getStateKey(deinflection.term, deinflection.rules);
+                    if (this._isStateInChain(item, stateKey)) { continue; }
+
+                    const resultKey = this._getResultKey(deinflection);
+                    if (resultKeys.has(resultKey)) { continue; }
+                    resultKeys.add(resultKey);
+                    deinflections.push(deinflection);
+
+                    if (expandedStates.has(stateKey)) { continue; }
+                    expandedStates.add(stateKey);
+                    queue.push({deinflection, depth: depth + 1, stateKey, parent: item});
                 }
             }
         }
 
-        return results;
+        return {deinflections, limitReached};
+    }
+
+    async _getDeinflectionReasons(language) {
+        let deinflectionReasons = this._deinflectionReasonsCache.get(language);
+        if (typeof deinflectionReasons === 'undefined') {
+            const ruleTypes = await this._languageUtil.getRuleTypes(language);
+            deinflectionReasons = Deinflector.normalizeReasons(await this._languageUtil.getDeinflectionReasons(language), ruleTypes);
+            this._deinflectionReasonsCache.set(language, deinflectionReasons);
+        }
+        return deinflectionReasons;
+    }
+
+    async _getMaxDepth(language) {
+        const maxDepth = await this._languageUtil.getMaxDeinflectionDepth(language);
+        return (typeof maxDepth === 'number' ? maxDepth : this._defaultMaxDepth);
+    }
+
+    _getStateKey(term, rules) {
+        return `${rules}:${term}`;
+    }
+
+    _isStateInChain(item, stateKey) {
+        for (; item !== null; item = item.parent) {
+            if (item.stateKey === stateKey) { return true; }
+        }
+        return false;
+    }
+
+    _getResultKey({term, rules, reasons}) {
+        return JSON.stringify([term, rules, reasons]);
     }
 
     _rulesFit(rules1, rules2) {
@@ -57,7 +130,7 @@ class Deinflector {
         return {term, rules, reasons};
     }
 
-    static normalizeReasons(reasons) {
+    static normalizeReasons(reasons, ruleTypes=null) {
         const normalizedReasons = new Map();
 
         for (let [reason, reasonInfo] of reasons) {
@@ -67,8 +140,8 @@ class Deinflector {
             const variants = reasonInfo.map(({inflected, uninflect, rulesIn, rulesOut}) => [
                 inflected,
                 uninflect,
-                this.rulesToRuleFlags(rulesIn),
-                this.rulesToRuleFlags(rulesOut)
+                this.rulesToRuleFlags(rulesIn, ruleTypes),
+                this.rulesToRuleFlags(rulesOut, ruleTypes)
             ]);
             normalizedReasons.set(reason, variants);
         }
@@ -76,8 +149,15 @@ class Deinflector {
         return normalizedReasons;
     }
 
-    static rulesToRuleFlags(rules) {
-        const ruleTypes = this._ruleTypes;
+    /**
+     * Converts a list of part-of-speech rule names into a bit flag value.
+     * @param {string[]} rules The rule names.
+     * @param {?Map<string, number>} ruleTypes The rule type table of the language,
+     *   or `null` to use the language-independent defaults.
+     * @returns {number} The combined rule flags. Unknown rule names are ignored.
+     */
+    static rulesToRuleFlags(rules, ruleTypes=null) {
+        if (ruleTypes === null) { ruleTypes = this._ruleTypes; }
         let value = 0;
         for (const rule of rules) {
             const ruleBits = ruleTypes.get(rule);
@@ -88,20 +168,13 @@ class Deinflector {
     }
 }
 
-// TODO: generalize, extract to language-specific file?
+// Default rule types, used by languages whose grammar does not declare its own table.
 // eslint-disable-next-line no-underscore-dangle
 Deinflector._ruleTypes = new Map([
-    ['v',       0b0000011111], // Verb
-    ['verb',    0b0000011111], // Verb
-    ['v1',      0b0000000001], // Verb ichidan
-    ['v5',      0b0000000010], // Verb godan
-    ['vs',      0b0000000100], // Verb suru
-    ['vk',      0b0000001000], // Verb kuru
-    ['vz',      0b0000010000], // Verb zuru
-    ['adj',     0b0000100000], // Adjective
-    ['adj-i',   0b0000100000], // Adjective i
-    ['iru',     0b0001000000], // Intermediate -iru endings for progressive or perfect tens
-    ['n',       0b0010000000], // Noun
-    ['noun',    0b0010000000], // Noun'
-    ['pn',      0b0100000000] // Pronoun
+    ['v',       0b00000001], // Verb
+    ['verb',    0b00000001], // Verb
+    ['adj',     0b00000010], // Adjective
+    ['n',       0b00000100], // Noun
+    ['noun',    0b00000100], // Noun
+    ['pn',      0b00001000] // Pronoun
 ]);
@@ -0,0 +1,153 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Class which converts inflection names, such as the reasons of the deinflection algorithm
+ * or the inflection hypotheses of a dictionary, into grammatical features.
+ */
+class InflectionFeatureParser {
+    /**
+     * Creates a new instance of the class.
+     */
+    constructor() {
+        // Features are listed in the order in which their labels are shown
+        this._featureValues = new Map([
+            ['person', ['first', 'second', 'third']],
+            ['number', ['singular', 'dual', 'plural']],
+            ['gender', ['masculine', 'feminine', 'neuter']],
+            ['case', ['nominative', 'genitive', 'dative', 'accusative', 'instrumental', 'prepositional', 'locative', 'vocative', 'ablative']],
+            ['definiteness', ['definite', 'indefinite']],
+            ['degree', ['comparative', 'superlative']],
+            ['tense', ['present', 'nonPast', 'past', 'preterite', 'imperfect', 'aorist', 'future']],
+            ['mood', ['indicative', 'subjunctive', 'conditional', 'imperative', 'optative']],
+            ['voice', ['active', 'passive', 'mediopassive', 'reflexive']],
+            ['verbForm', ['infinitive', 'participle', 'gerund']],
+            ['polarity', ['negative']],
+            ['politeness', ['polite']]
+        ]);
+        this._aliases = this._createAliases();
+        this._maxAliasWordCount = Math.max(...[...this._aliases.keys()].map((alias) => alias.split(' ').length));
+    }
+
+    /**
+     * Gets the features and their possible values, in the order in which their labels are shown.
+     * @returns {Map<string, string[]>} A map of feature names to values.
+     */
+    getFeatureValues() {
+        return new Map([...this._featureValues].map(([name, values]) => [name, [...values]]));
+    }
+
+    /**
+     * Converts a list of inflections into grammatical features. Each inflection is read as
+     * a sequence of feature names, such as "second-person", "2nd person plural" or "pl".
+     * Inflections which contain any other word, or which would change a feature that was
+     * already set by a different inflection, are left unchanged.
+     * @param {string[]} inflections The inflections.
+     * @returns {{features: object, otherInflections: string[]}} The features, which are ordered
+     *   by `getFeatureValues`, and the inflections which are not described by them.
+     */
+    parse(inflections) {
+        const features = new Map();
+        const otherInflections = [];
+        for (const inflection of inflections) {
+            const inflectionFeatures = this._parseInflection(inflection);
+            if (
+                inflectionFeatures === null ||
+                inflectionFeatures.some(([name, value]) => features.has(name) && features.get(name) !== value)
+            ) {
+                otherInflections.push(inflection);
+                continue;
+            }
+            for (const [name, value] of inflectionFeatures) {
+                features.set(name, value);
+            }
+        }
+
+        const orderedFeatures = {};
+        for (const name of this._featureValues.keys()) {
+            if (features.has(name)) {
+                orderedFeatures[name] = features.get(name);
+            }
+        }
+        return {features: orderedFeatures, otherInflections};
+    }
+
+    // Private
+
+    _parseInflection(inflection) {
+        const words = inflection.toLowerCase().replace(/[-_.,;:]/g, ' ').trim().split(/\s+/);
+        const results = [];
+        for (let i = 0; i < words.length;) {
+            let wordCount = Math.min(this._maxAliasWordCount, words.length - i);
+            for (; wordCount > 0; --wordCount) {
+                const features = this._aliases.get(words.slice(i, i + wordCount).join(' '));
+                if (typeof features !== 'undefined') {
+                    results.push(...features);
+                    break;
+                }
+            }
+            if (wordCount === 0) { return null; }
+            i += wordCount;
+        }
+        return results.length > 0 ? results : null;
+    }
+
+    _createAliases() {
+        const aliases = new Map();
+        for (const [name, values] of this._featureValues) {
+            for (const value of values) {
+                aliases.set(value.replace(/[A-Z]/g, (c) => ` ${c.toLowerCase()}`), [[name, value]]);
+            }
+        }
+
+        const otherAliases = [
+            [['first person', '1st person', '1st', '1p'], [['person', 'first']]],
+            [['second person', '2nd person', '2nd', '2p'], [['person', 'second']]],
+            [['third person', '3rd person', '3rd', '3p'], [['person', 'third']]],
+            [['sg', 'sing'], [['number', 'singular']]],
+            [['du'], [['number', 'dual']]],
+            [['pl', 'plur'], [['number', 'plural']]],
+            [['masc'], [['gender', 'masculine']]],
+            [['fem'], [['gender', 'feminine']]],
+            [['neut'], [['gender', 'neuter']]],
+            [['nom'], [['case', 'nominative']]],
+            [['gen'], [['case', 'genitive']]],
+            [['dat'], [['case', 'dative']]],
+            [['acc'], [['case', 'accusative']]],
+            [['ins', 'instr'], [['case', 'instrumental']]],
+            [['prep'], [['case', 'prepositional']]],
+            [['loc'], [['case', 'locative']]],
+            [['voc'], [['case', 'vocative']]],
+            [['abl'], [['case', 'ablative']]],
+            [['pres'], [['tense', 'present']]],
+            [['simple past', 'past historic'], [['tense', 'preterite']]],
+            [['fut'], [['tense', 'future']]],
+            [['ind', 'indic'], [['mood', 'indicative']]],
+            [['subj', 'subjunct'], [['mood', 'subjunctive']]],
+            [['cond'], [['mood', 'conditional']]],
+            [['imper'], [['mood', 'imperative']]],
+            [['present participle'], [['tense', 'present'], ['verbForm', 'participle']]],
+            [['past participle'], [['tense', 'past'], ['verbForm', 'participle']]]
+        ];
+        for (const [names, features] of otherAliases) {
+            for (const name of names) {
+                aliases.set(name, features);
+            }
+        }
+        return aliases;
+    }
+}
@@ -0,0 +1,191 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Class which guesses the language of a text from the scripts and letters it uses,
+ * and from the `lang` attribute of the page it was found on.
+ */
+class LanguageDetector {
+    /**
+     * Creates a new instance of the class.
+     */
+    constructor() {
+        this._maxTextLength = 1000;
+        // The letters which are characteristic of a language are its markers. Each script has a default language,
+        // which is used when no markers are found, or `null` if the languages of the script cannot be told apart.
+        this._scripts = [
+            {
+                pattern: /\p{Script=Latin}/u,
+                defaultLanguage: null,
+                markers: new Map([
+                    ['de', /[äöüß]/],
+                    ['es', /[áéíñóú¿¡]/],
+                    ['fr', /[àâæçèéêëîïôœùûüÿ]/],
+                    ['hu', /[áéíóöőúüű]/],
+                    ['it', /[àèéìíîòóù]/],
+                    ['pl', /[ąćęłńóśźż]/],
+                    ['pt', /[àáâãçéêíóôõú]/],
+                    ['ro', /[âăîșşțţ]/],
+                    ['sh', /[čćđšž]/],
+                    ['sq', /[çë]/],
+                    ['sv', /[åäö]/],
+                    ['vi', /[àáâãèéêìíòóôõùúýăđĩũơư\u1ea0-\u1ef9]/],
+                    ['en', null],
+                    ['id', null],
+                    ['la', null]
+                ])
+            },
+            {
+                pattern: /\p{Script=Cyrillic}/u,
+                defaultLanguage: 'ru',
+                markers: new Map([
+                    ['ru', /[ёыэъ]/],
+                    ['sh', /[ђјљњћџ]/]
+                ])
+            },
+            {
+                pattern: /\p{Script=Greek}/u,
+                defaultLanguage: 'el',
+                markers: new Map([
+                    ['el', null],
+                    // Breathings and the other polytonic letters are in the Greek Extended block
+                    ['grc', /[\u1f00-\u1fff]/]
+                ])
+            },
+            {
+                pattern: /\p{Script=Arabic}/u,
+                defaultLanguage: 'ar',
+                markers: new Map([
+                    ['ar', /[ةيك]/],
+                    ['fa', /[پچژگکی]/]
+                ])
+            },
+            {
+                pattern: /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u,
+                defaultLanguage: 'zh',
+                markers: new Map([
+                    ['zh', null],
+                    ['ja', /[\p{Script=Hiragana}\p{Script=Katakana}]/u]
+                ])
+            },
+            {
+                pattern: /\p{Script=Thai}/u,
+                defaultLanguage: 'th',
+                markers: new Map([['th', null]])
+            },
+            {
+                pattern: /\p{Script=Khmer}/u,
+                defaultLanguage: 'km',
+                markers: new Map([['km', null]])
+            }
+        ];
+        // Languages which share a dictionary language in this extension
+        this._languageTagAliases = new Map([
+            ['bs', 'sh'],
+            ['cnr', 'sh'],
+            ['hr', 'sh'],
+            ['sr', 'sh']
+        ]);
+    }
+
+    /**
+     * Guesses the language of a text.
+     * The language of the `lang` attribute is used when it is written in the script of the text,
+     * unless the text has letters which are characteristic of another language only.
+     * @param {string} text The text.
+     * @param {?string} [languageTag] The BCP 47 language tag of the element containing the text, such as `de-AT`.
+     * @returns {?string} The ISO code of the language, or `null` if it cannot be determined.
+     */
+    detect(text, languageTag=null) {
+        text = text.substring(0, this._maxTextLength).toLowerCase();
+        const tagLanguage = this._getTagLanguage(languageTag);
+
+        const script = this._getScript(text);
+        if (script === null) {
+            return this._scripts.some(({markers}) => markers.has(tagLanguage)) ? tagLanguage : null;
+        }
+
+        const scores = this._getMarkerScores(script, text);
+        let bestLanguage = null;
+        let bestScore = 0;
+        for (const [language, score] of scores) {
+            if (score > bestScore) {
+                bestLanguage = language;
+                bestScore = score;
+            } else if (score === bestScore) {
+                bestLanguage = null;
+            }
+        }
+
+        if (script.markers.has(tagLanguage) && (scores.get(tagLanguage) > 0 || bestScore < 1)) {
+            return tagLanguage;
+        }
+        if (bestLanguage !== null && bestScore >= 0.5) {
+            return bestLanguage;
+        }
+        return script.defaultLanguage;
+    }
+
+    // Private
+
+    _getTagLanguage(languageTag) {
+        if (typeof languageTag !== 'string') { return null; }
+        const language = languageTag.split('-')[0].toLowerCase();
+        if (language.length === 0) { return null; }
+        const alias = this._languageTagAliases.get(language);
+        return typeof alias !== 'undefined' ? alias : language;
+    }
+
+    _getScript(text) {
+        const counts = new Map();
+        for (const c of text) {
+            for (const script of this._scripts) {
+                if (!script.pattern.test(c)) { continue; }
+                counts.set(script, (counts.get(script) || 0) + 1);
+                break;
+            }
+        }
+        let bestScript = null;
+        let bestCount = 0;
+        for (const [script, count] of counts) {
+            if (count > bestCount) {
+                bestScript = script;
+                bestCount = count;
+            }
+        }
+        return bestScript;
+    }
+
+    _getMarkerScores(script, text) {
+        const scores = new Map();
+        for (const language of script.markers.keys()) {
+            scores.set(language, 0);
+        }
+        // A letter which is characteristic of several languages counts less towards each of them
+        const languages = [];
+        for (const c of text) {
+            languages.length = 0;
+            for (const [language, pattern] of script.markers) {
+                if (pattern !== null && pattern.test(c)) { languages.push(language); }
+            }
+            for (const language of languages) {
+                scores.set(language, scores.get(language) + 1 / languages.length);
+            }
+        }
+        return scores;
+    }
+}
@@ -16,16 +16,19 @@
  */
 
 /* global
- * loadScript
+ * JsonSchema
+ * createDeinflectionReasonsFromJson
+ * fetchAsset
+ * getDeinflectionReasons
  * loadModule
+ * loadScript
  * removeScript
- * getDeinflectionReasons
- * fetchAsset
  */
 
 export class LanguageUtil {
     constructor() {
         this.languages = [];
+        this._deinflectionRulesSchema = null;
     }
 
     async prepare() {
@@ -47,11 +50,13 @@ export class LanguageUtil {
     async getDeinflectionReasons(language) {
         try {
             if (!window.languages[language].deinflectionReasons) {
-                if (!window.languages[language].getDeinflectionReasons) {
-                    await loadModule(`/js/language/languages/${language}/grammar.js`);
-                    window.languages[language].getDeinflectionReasons ??= () => [];
+                await this._loadGrammar(language);
+                const {getDeinflectionReasons, deinflectionRules} = window.languages[language];
+                let reasons = await getDeinflectionReasons();
+                if (deinflectionRules !== null) {
+                    reasons = this._mergeDeinflectionReasons(reasons, createDeinflectionReasonsFromJson(deinflectionRules));
                 }
-                window.languages[language].deinflectionReasons = await window.languages[language].getDeinflectionReasons();
+                window.languages[language].deinflectionReasons = reasons;
             }
             return window.languages[language].deinflectionReasons;
         } catch (e){
@@ -60,6 +65,199 @@ export class LanguageUtil {
         }
     }
 
+    /**
+     * Gets the part-of-speech rule type table declared by a language's grammar.
+     * @param {string} language The ISO code of the language.
+     * @returns {?Map<string, number>} A map of rule names to bit flags,
+     *   or `null` if the language does not declare its own rule types.
+     */
+    async getRuleTypes(language) {
+        try {
+            await this._loadGrammar(language);
+            return window.languages[language].ruleTypes;
+        } catch (e){
+            console.error(e);
+            return null;
+        }
+    }
+
+    /**
+     * Gets the maximum number of deinflection rules which can be chained for a language.
+     * The limit is read from `maxDeinflectionDepth` in grammar.js, or `maxDepth` in grammar.json.
+     * @param {string} language The ISO code of the language.
+     * @returns {?number} The maximum depth, or `null` if the language does not declare one.
+     */
+    async getMaxDeinflectionDepth(language) {
+        try {
+            await this._loadGrammar(language);
+            const {maxDeinflectionDepth, deinflectionRules} = window.languages[language];
+            if (typeof maxDeinflectionDepth === 'number') { return maxDeinflectionDepth; }
+            if (deinflectionRules !== null && typeof deinflectionRules.maxDepth === 'number') { return deinflectionRules.maxDepth; }
+            return null;
+        } catch (e){
+            console.error(e);
+            return null;
+        }
+    }
+
+    /**
+     * Gets alternative texts to look up which a language derives from the sentence around the text,
+     * using the `getSentenceVariants` function of grammar.js.
+     * @param {string} language The ISO code of the language.
+     * @param {string} text The text being looked up.
+     * @param {{text: string, offset: number}} sentence The sentence containing the text,
+     *   and the offset of the text within it.
+     * @returns {{text: string, originalLength: number, reasons: string[]}[]} The variants,
+     *   or an empty array if the language does not use the sentence.
+     */
+    async getSentenceVariants(language, text, sentence) {
+        try {
+            await this._loadGrammar(language);
+            const {getSentenceVariants} = window.languages[language];
+            return typeof getSentenceVariants === 'function' ? getSentenceVariants(text, sentence) : [];
+        } catch (e){
+            console.error(e);
+            return [];
+        }
+    }
+
+    /**
+     * Gets the settings used to split compound words, as declared by `compoundSplitting` in grammar.js.
+     * @param {string} language The ISO code of the language.
+     * @returns {?object} The details for `CompoundSplitter`, or `null` if the language does not split compounds.
+     */
+    async getCompoundSplitting(language) {
+        try {
+            await this._loadGrammar(language);
+            const {compoundSplitting} = window.languages[language];
+            return typeof compoundSplitting === 'object' ? compoundSplitting : null;
+        } catch (e){
+            console.error(e);
+            return null;
+        }
+    }
+
+    /**
+     * Gets the settings used to find words in text without spaces, as declared by `wordSegmentation` in grammar.js.
+     * @param {string} language The ISO code of the language.
+     * @returns {?object} The details for `WordSegmenter`, or `null` if the language separates words with spaces.
+     */
+    async getWordSegmentation(language) {
+        try {
+            await this._loadGrammar(language);
+            const {wordSegmentation} = window.languages[language];
+            return typeof wordSegmentation === 'object' ? wordSegmentation : null;
+        } catch (e){
+            console.error(e);
+            return null;
+        }
+    }
+
+    /**
+     * Gets the settings used to find words of several syllables, as declared by `multiSyllableWords` in grammar.js.
+     * @param {string} language The ISO code of the language.
+     * @returns {?{maxSyllables: number}} The maximum number of syllables in a word,
+     *   or `null` if the language does not separate syllables with spaces.
+     */
+    async getMultiSyllableWords(language) {
+        try {
+            await this._loadGrammar(language);
+            const {multiSyllableWords} = window.languages[language];
+            return typeof multiSyllableWords === 'object' ? multiSyllableWords : null;
+        } catch (e){
+            console.error(e);
+            return null;
+        }
+    }
+
+    /**
+     * Gets the default sentence parsing rules of a language, as declared by `sentenceParsing` in grammar.js.
+     * Termination characters have the format of `sentenceParsing.terminationCharacters` in the options,
+     * without `enabled`, and abbreviations are texts whose periods do not end a sentence, such as `Dr.`.
+     * `lookupUsesSentence` is whether the translator needs the sentence around a looked up text, which is the
+     * case for languages with sentence variants, word segmentation or words of several syllables.
+     * @param {string} language The ISO code of the language.
+     * @returns {{terminationCharacters: object[], abbreviations: string[], lookupUsesSentence: boolean}} The rules,
+     *   which are empty if the language does not declare any.
+     */
+    async getSentenceParsing(language) {
+        try {
+            await this._loadGrammar(language);
+            const {sentenceParsing, getSentenceVariants, wordSegmentation, multiSyllableWords} = window.languages[language];
+            const {terminationCharacters=[], abbreviations=[]} = sentenceParsing || {};
+            const lookupUsesSentence = (
+                typeof getSentenceVariants === 'function' ||
+                typeof wordSegmentation === 'object' ||
+                typeof multiSyllableWords === 'object'
+            );
+            return {terminationCharacters, abbreviations, lookupUsesSentence};
+        } catch (e){
+            console.error(e);
+            return {terminationCharacters: [], abbreviations: [], lookupUsesSentence: false};
+        }
+    }
+
+    async _loadGrammar(language) {
+        const languageData = window.languages[language];
+        if (!languageData.getDeinflectionReasons) {
+            await loadModule(`/js/language/languages/${language}/grammar.js`);
+            languageData.getDeinflectionReasons ??= () => [];
+        }
+        if (typeof languageData.deinflectionRules === 'undefined') {
+            languageData.deinflectionRules = await this._loadDeinflectionRules(language);
+        }
+        if (!languageData.ruleTypes) {
+            const {deinflectionRules} = languageData;
+            languageData.ruleTypes = (
+                deinflectionRules !== null && typeof deinflectionRules.ruleTypes === 'object' ?
+                new Map(Object.entries(deinflectionRules.ruleTypes)) :
+                null
+            );
+        }
+    }
+
+    async _loadDeinflectionRules(language) {
+        // Only languages with `grammarRules` set in languages.json have a grammar.json
+        const languageInfo = this.languages.find(({iso}) => iso === language);
+        if (typeof languageInfo === 'undefined' || languageInfo.grammarRules !== true) { return null; }
+
+        let rulesData;
+        try {
+            rulesData = JSON.parse(await fetchAsset(`/js/language/languages/${language}/grammar.json`));
+        } catch (e) {
+            console.error(new Error(`Failed to load deinflection rules for language ${language}: ${e.message}`));
+            return null;
+        }
+
+        try {
+            if (this._deinflectionRulesSchema === null) {
+                this._deinflectionRulesSchema = new JsonSchema(JSON.parse(await fetchAsset('/data/schemas/deinflection-rules-schema.json')));
+            }
+            this._deinflectionRulesSchema.validate(rulesData);
+        } catch (e) {
+            console.error(new Error(`Invalid deinflection rules for language ${language}: ${e.message}`));
+            return null;
+        }
+        return rulesData;
+    }
+
+    _mergeDeinflectionReasons(reasons1, reasons2) {
+        const results = new Map(reasons1);
+        const keys = new Map();
+        for (const reason of results.keys()) {
+            keys.set(JSON.stringify(reason), reason);
+        }
+        for (const [reason, variants] of reasons2) {
+            const key = keys.get(JSON.stringify(reason));
+            if (typeof key !== 'undefined') {
+                results.set(key, [...results.get(key), ...variants]);
+            } else {
+                results.set(reason, variants);
+            }
+        }
+        return results;
+    }
+
     async getTextTransformations(language) {
         try {
             if (!window.languages[language].textTransformations) {
@@ -74,16 +272,65 @@ export class LanguageUtil {
         }
     }
 
+    /**
+     * Gets the interface translations of a locale. Keys which are missing from the locale
+     * are filled in from the locales of its fallback chain, see `getLocaleFallbacks`.
+     * @param {string} locale The ISO code of the locale.
+     * @returns {object} The translations, in the format of `i18n.json`.
+     */
     async getTranslations(locale) {
         try {
-            if (!window.languages[locale].translations) {
-                window.languages[locale].translations = JSON.parse(await fetchAsset(`/js/language/languages/${locale}/i18n.json`));
+            let translations = {};
+            for (const fallbackLocale of this.getLocaleFallbacks(locale).reverse()) {
+                translations = this._mergeTranslations(translations, await this._loadTranslations(fallbackLocale));
             }
-            return window.languages[locale].translations;
+            return translations;
         } catch (e){
             console.error(e);
             return {};
         }
     }
+
+    /**
+     * Gets the locales whose translations are used for a locale, in order of priority.
+     * A locale falls back to the locale named by `i18nFallback` in languages.json, if any,
+     * and every chain ends with English.
+     * @param {string} locale The ISO code of the locale.
+     * @returns {string[]} The ISO codes of the locales, starting with the locale itself.
+     */
+    getLocaleFallbacks(locale) {
+        const locales = [];
+        while (typeof locale === 'string' && !locales.includes(locale)) {
+            locales.push(locale);
+            const language = this.languages.find(({iso}) => iso === locale);
+            locale = (typeof language !== 'undefined' && typeof language.i18nFallback === 'string') ? language.i18nFallback : null;
+        }
+        if (!locales.includes('en')) { locales.push('en'); }
+        return locales;
+    }
+
+    async _loadTranslations(locale) {
+        // Locales without an i18n.json are skipped
+        const language = this.languages.find(({iso}) => iso === locale);
+        if (typeof language === 'undefined' || !language.i18n) { return {}; }
+        const languageData = window.languages[locale];
+        if (!languageData.translations) {
+            languageData.translations = JSON.parse(await fetchAsset(`/js/language/languages/${locale}/i18n.json`));
+        }
+        return languageData.translations;
+    }
+
+    _mergeTranslations(translations1, translations2) {
+        const results = Object.assign({}, translations1);
+        for (const [key, value] of Object.entries(translations2)) {
+            const value1 = results[key];
+            results[key] = (
+                typeof value === 'object' && value !== null && typeof value1 === 'object' && value1 !== null ?
+                this._mergeTranslations(value1, value) :
+                value
+            );
+        }
+        return results;
+    }
 }
 
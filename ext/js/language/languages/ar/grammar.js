@@ -0,0 +1,60 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* global
+ * prefixInflection
+ * suffixInflection
+*/
+
+// Words are separated by spaces, but their letters are joined, so the word under the cursor is scanned from its start
+window.languages.ar.wordSegmentation = {
+    spaceDelimited: true
+};
+
+// A word can carry a conjunction, a preposition, the article and a pronoun at once: وبكتابها, "and with her book"
+window.languages.ar.maxDeinflectionDepth = 4;
+
+window.languages.ar.getDeinflectionReasons = async () => {
+    const pronouns = ['ه', 'ها', 'هما', 'هم', 'هن', 'ك', 'كما', 'كم', 'كن', 'ي', 'نا', 'ني'];
+
+    return new Map([
+        ['conjunction', [
+            prefixInflection('و', '', [], []), // وكتاب
+            prefixInflection('ف', '', [], []) // فكتب
+        ]],
+        ['preposition', [
+            prefixInflection('ب', '', [], []), // بقلم
+            prefixInflection('ل', '', [], []), // لمحمد
+            prefixInflection('ك', '', [], []) // كبيت
+        ]],
+        ['definite', [
+            prefixInflection('ال', '', [], []) // الكتاب
+        ]],
+        // The alef of the article is not written after the preposition li-
+        [['preposition', 'definite'], [
+            prefixInflection('لل', '', [], []) // للبيت
+        ]],
+        ['future', [
+            prefixInflection('س', '', [], []) // سيكتب
+        ]],
+        // Taa marbuta is written as taa before a suffix: مدرستها, from مدرسة
+        ['pronoun suffix', [
+            ...pronouns.map((pronoun) => suffixInflection(pronoun, '', [], [])), // كتابها
+            ...pronouns.map((pronoun) => suffixInflection(`ت${pronoun}`, 'ة', [], [])) // مدرستها
+        ]]
+    ]);
+};
@@ -16,7 +16,8 @@
  */
 
 /* global
-*/
+ * RegexUtil
+ */
 
 window.languages.ar.textTransformations = [
     {
@@ -28,8 +29,42 @@ window.languages.ar.textTransformations = [
             true: 'Enabled',
             variant: 'Use both variants'
         },
-        transform: (text) => {
-            return text.replace(/[\u064E-\u0650]/g, '');
+        transform: (text, sourceMap=null) => {
+            // Diacritics are combined with the letters they follow
+            return RegexUtil.applyTextReplacement(text, sourceMap, /([^\u064E-\u0650]?)[\u064E-\u0650]+/g, '$1');
         }
     },
-];
\ No newline at end of file
+    {
+        id: 'normalizeAlef',
+        name: 'Normalize alef',
+        description: 'أ, إ, آ, ٱ ⬅️ ا',
+        options: {
+            false: 'Disabled',
+            true: 'Enabled',
+            variant: 'Use both variants'
+        },
+        transform: (text) => text.replace(/[أإآٱ]/g, 'ا')
+    },
+    {
+        id: 'normalizeYeh',
+        name: 'Normalize yeh',
+        description: 'ی, ى ⬅️ ي',
+        options: {
+            false: 'Disabled',
+            true: 'Enabled',
+            variant: 'Use both variants'
+        },
+        transform: (text) => text.replace(/[یى]/g, 'ي')
+    },
+    {
+        id: 'normalizeKaf',
+        name: 'Normalize kaf',
+        description: 'ک ⬅️ ك',
+        options: {
+            false: 'Disabled',
+            true: 'Enabled',
+            variant: 'Use both variants'
+        },
+        transform: (text) => text.replace(/ک/g, 'ك')
+    }
+];
@@ -16,95 +16,168 @@
  */
 
 /* global
+ * conjugationReasons
+ * prefixInflection
  * separatedPrefix
  * suffixInflection
 */
 
+window.languages.de.ruleTypes = new Map([
+    ['v',       0b000000011], // Verb
+    ['verb',    0b000000011], // Verb
+    ['v-sep',   0b000000001], // Verb with separable prefix
+    ['v-insep', 0b000000010], // Verb without separable prefix
+    ['n',       0b000011100], // Noun
+    ['noun',    0b000011100], // Noun
+    ['n-m',     0b000000100], // Noun masculine
+    ['n-f',     0b000001000], // Noun feminine
+    ['n-n',     0b000010000], // Noun neuter
+    ['adj',     0b000100000], // Adjective
+    ['adjective', 0b000100000], // Adjective
+    ['pn',      0b001000000] // Pronoun
+]);
+
+const separablePrefixes = [ // https://www.dartmouth.edu/~deutsch/Grammatik/Wortbildung/Separables.html
+    'ab',
+    'an',
+    'auf',
+    'aus',
+    'auseinander',
+    'bei',
+    'da',
+    'dabei',
+    'dar',
+    'daran',
+    'dazwischen',
+    'durch',
+    'ein',
+    'empor',
+    'entgegen',
+    'entlang',
+    'entzwei',
+    'fehl',
+    'fern',
+    'fest',
+    'fort',
+    'frei',
+    'gegenüber',
+    'gleich',
+    'heim',
+    'her',
+    'herab',
+    'heran',
+    'herauf',
+    'heraus',
+    'herbei',
+    'herein',
+    'herüber',
+    'herum',
+    'herunter',
+    'hervor',
+    'hin',
+    'hinab',
+    'hinauf',
+    'hinaus',
+    'hinein',
+    'hinterher',
+    'hinunter',
+    'hinweg',
+    'hinzu',
+    'hoch',
+    'los',
+    'mit',
+    'nach',
+    'nebenher',
+    'nieder',
+    'statt',
+    'um',
+    'vor',
+    'voran',
+    'voraus',
+    'vorbei',
+    'vorüber',
+    'vorweg',
+    'weg',
+    'weiter',
+    'wieder',
+    'zu',
+    'zurecht',
+    'zurück',
+    'zusammen'
+];
+
 window.languages.de.getDeinflectionReasons = async () => {
-    const separablePrefixes = [ // https://www.dartmouth.edu/~deutsch/Grammatik/Wortbildung/Separables.html
-        'ab',
-        'an',
-        'auf',
-        'aus',
-        'auseinander',
-        'bei',
-        'da',
-        'dabei',
-        'dar',
-        'daran',
-        'dazwischen',
-        'durch',
-        'ein',
-        'empor',
-        'entgegen',
-        'entlang',
-        'entzwei',
-        'fehl',
-        'fern',
-        'fest',
-        'fort',
-        'frei',
-        'gegenüber',
-        'gleich',
-        'heim',
-        'her',
-        'herab',
-        'heran',
-        'herauf',
-        'heraus',
-        'herbei',
-        'herein',
-        'herüber',
-        'herum',
-        'herunter',
-        'hervor',
-        'hin',
-        'hinab',
-        'hinauf',
-        'hinaus',
-        'hinein',
-        'hinterher',
-        'hinunter',
-        'hinweg',
-        'hinzu',
-        'hoch',
-        'los',
-        'mit',
-        'nach',
-        'nebenher',
-        'nieder',
-        'statt',
-        'um',
-        'vor',
-        'voran',
-        'voraus',
-        'vorbei',
-        'vorüber',
-        'vorweg',
-        'weg',
-        'weiter',
-        'wieder',
-        'zu',
-        'zurecht',
-        'zurück',
-        'zusammen'
-    ];
+    const vowels = 'aeiouäöü';
 
     const separatedPrefixInflections = separablePrefixes.map((prefix) => {
-        return separatedPrefix(prefix, [], []);
+        return separatedPrefix(prefix, [], ['v-sep']);
     });
 
     const zuInfinitiveInflections = separablePrefixes.map((prefix) => {
-        return prefixInflection(prefix+'zu', prefix, [], ['verb'])
+        return prefixInflection(prefix+'zu', prefix, [], ['v-sep'])
     });
 
+    // Strong verbs change their stem vowel in the second and third person singular: fährst, läuft, gibt, sieht
+    function stemChangeInflection(inflectedVowel, deinflectedVowel, ending) {
+        const inflected = new RegExp(`^(.*)${inflectedVowel}([^${vowels}]*)${ending}$`);
+        return {
+            inflected,
+            uninflect: (term) => term.replace(inflected, `$1${deinflectedVowel}$2en`),
+            rulesIn: ['v'],
+            rulesOut: ['v']
+        };
+    }
+
+    function stemChangeInflections(ending) {
+        return [
+            stemChangeInflection('ä', 'a', ending),
+            stemChangeInflection('äu', 'au', ending),
+            stemChangeInflection('i', 'e', ending),
+            stemChangeInflection('ie', 'e', ending)
+        ];
+    }
+
+    // Participles take ge-, which follows a separable prefix: gemacht, gefahren, angefangen
+    function participleInflection(ending) {
+        const inflected = new RegExp(`^(${separablePrefixes.join('|')})?ge(.+)${ending}$`);
+        return {
+            inflected,
+            uninflect: (term) => term.replace(inflected, '$1$2en'),
+            rulesIn: [],
+            rulesOut: ['v']
+        };
+    }
+
     return new Map([
+        // Finite forms also apply to verbs which have been rejoined with their separated prefix
+        ...conjugationReasons(['present'], [
+            ['en', ['e', 'st', 't', null, 't', null]], // mache
+            ['en', ['e', 'est', 'et', null, 'et', null], {precededBy: '[dt]'}], // arbeitest
+            ['eln', ['le', 'elst', 'elt', null, 'elt', null]] // sammle
+        ], ['v'], ['v']),
+        [['present', 'second-person', 'singular'], [
+            ...stemChangeInflections('st')
+        ]],
+        [['present', 'third-person', 'singular'], [
+            ...stemChangeInflections('t'),
+            // Stems ending in -t take no further ending: hält, gilt
+            ...stemChangeInflections('(?<=t)')
+        ]],
+        ...conjugationReasons(['preterite'], [
+            ['en', ['te', 'test', 'te', 'ten', 'tet', 'ten']], // machte
+            ['en', ['ete', 'etest', 'ete', 'eten', 'etet', 'eten'], {precededBy: '[dt]'}] // arbeitete
+        ], ['v'], ['v']),
+        ['past participle', [
+            participleInflection('t'),
+            participleInflection('et'),
+            participleInflection('en')
+        ]],
         ['separated-prefix', [
             ...separatedPrefixInflections
         ]],
         ['nominalization', [
-            suffixInflection('ung', 'en', [], []),
-            suffixInflection('lung', 'eln', [], []),
+            suffixInflection('ung', 'en', [], ['v']),
+            suffixInflection('lung', 'eln', [], ['v']),
         ]],
         ['zu-infinitive', [
                 ...zuInfinitiveInflections
@@ -122,4 +195,43 @@ window.languages.de.getDeinflectionReasons = async () => {
     ]);
 
 
-};
\ No newline at end of file
+};
+
+// Parts of compounds can be joined by linking elements: Arbeitsplatz, Sonnenschein, Kinderbuch
+window.languages.de.compoundSplitting = {
+    minLength: 3,
+    linkingElements: ['s', 'es', 'n', 'en', 'er', 'e', 'ens']
+};
+
+/**
+ * Rejoins a verb at the start of the looked up text with its separable prefix, which
+ * main clauses move to the end of the clause: "Der Film fängt um acht an" is looked up as "anfängt".
+ * @param {string} text The text being looked up.
+ * @param {{text: string, offset: number}} sentence The sentence containing the text,
+ *   and the offset of the text within it.
+ * @returns {{text: string, originalLength: number, reasons: string[]}[]} The texts to look up,
+ *   the length of `text` they replace, and the reasons to add to their deinflections.
+ */
+window.languages.de.getSentenceVariants = (text, sentence) => {
+    const verbMatch = /^\p{Letter}+/u.exec(text);
+    if (verbMatch === null) { return []; }
+    const verb = verbMatch[0];
+    const {text: sentenceText, offset} = sentence;
+    if (!sentenceText.startsWith(verb, offset)) { return []; }
+
+    const clause = /^[^,;:.!?()"„“”«»–—]*/u.exec(sentenceText.substring(offset + verb.length))[0];
+    const words = clause.match(/\p{Letter}+/gu);
+    if (words === null) { return []; }
+    const prefix = words[words.length - 1];
+    if (!separablePrefixes.includes(prefix)) { return []; }
+
+    return [{text: `${prefix}${verb.toLowerCase()}`, originalLength: verb.length, reasons: ['separated-prefix']}];
+};
+
+window.languages.de.sentenceParsing = {
+    terminationCharacters: [
+        {character1: '„', character2: '“', includeCharacterAtStart: false, includeCharacterAtEnd: false},
+        {character1: '»', character2: '«', includeCharacterAtStart: false, includeCharacterAtEnd: false}
+    ],
+    abbreviations: ['z. B.', 'd. h.', 'u. a.', 'z. T.', 'usw.', 'bzw.', 'vgl.', 'ca.', 'Dr.', 'Nr.', 'S.']
+};
@@ -16,7 +16,8 @@
  */
 
 /* global
-*/
+ * RegexUtil
+ */
 
 import {decapitalize, capitalizeFirstLetter} from '../../textTransformations.js';
 
@@ -32,10 +33,9 @@ window.languages.de.textTransformations = [
             true: 'Enabled',
             variant: 'Use both variants'
         },
-        transform: (text) => {
-            return text
-                .replace(/ss/g, 'ß')
-                .replace(/SS/g, 'ẞ');
+        transform: (text, sourceMap=null) => {
+            text = RegexUtil.applyTextReplacement(text, sourceMap, /ss/g, 'ß');
+            return RegexUtil.applyTextReplacement(text, sourceMap, /SS/g, 'ẞ');
         }
     },
     {
@@ -47,10 +47,9 @@ window.languages.de.textTransformations = [
             true: 'Enabled',
             variant: 'Use both variants'
         },
-        transform: (text) => {
-            return text
-                .replace(/ẞ/g, 'SS')
-                .replace(/ß/g, 'ss');
+        transform: (text, sourceMap=null) => {
+            text = RegexUtil.applyTextReplacement(text, sourceMap, /ẞ/g, 'SS');
+            return RegexUtil.applyTextReplacement(text, sourceMap, /ß/g, 'ss');
         }
     }
 ];
\ No newline at end of file
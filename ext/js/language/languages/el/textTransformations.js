@@ -19,8 +19,46 @@
 */
 
 import {decapitalize, capitalizeFirstLetter} from '../../textTransformations.js';
+import {
+    normalizeTonos,
+    normalizeFinalSigma,
+    convertPolytonicToMonotonic
+} from './util.js';
 
 window.languages.el.textTransformations = [
+    {
+        id: 'normalizeTonos',
+        name: 'Normalize accents',
+        description: '\u1f71 (oxia) → \u03ac (tonos)',
+        options: {
+            false: 'Disabled',
+            true: 'Enabled',
+            variant: 'Use both variants'
+        },
+        transform: normalizeTonos
+    },
+    {
+        id: 'normalizeFinalSigma',
+        name: 'Normalize final sigma',
+        description: 'λογοσ → λογος, ϲοφόϲ → σοφός',
+        options: {
+            false: 'Disabled',
+            true: 'Enabled',
+            variant: 'Use both variants'
+        },
+        transform: normalizeFinalSigma
+    },
+    {
+        id: 'polytonicToMonotonic',
+        name: 'Convert polytonic to monotonic',
+        description: 'ἄνθρωπος → άνθρωπος, τῶν → των, ᾠδή → ωδή',
+        options: {
+            false: 'Disabled',
+            true: 'Enabled',
+            variant: 'Use both variants'
+        },
+        transform: convertPolytonicToMonotonic
+    },
     decapitalize,
     capitalizeFirstLetter
-];
\ No newline at end of file
+];
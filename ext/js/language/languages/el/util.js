@@ -0,0 +1,102 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* global
+ * RegexUtil
+ */
+
+// Combining diacritics of polytonic Greek, as found after canonical decomposition
+const VARIA = '\u0300'; // Grave accent
+const OXIA = '\u0301'; // Acute accent, which is the same as the tonos of monotonic Greek
+const MACRON = '\u0304';
+const BREVE = '\u0306';
+const DIALYTIKA = '\u0308'; // Diaeresis
+const PSILI = '\u0313'; // Smooth breathing
+const DASIA = '\u0314'; // Rough breathing
+const PERISPOMENI = '\u0342'; // Circumflex accent
+const YPOGEGRAMMENI = '\u0345'; // Iota subscript
+
+const ACCENTS_PATTERN = new RegExp(`[${VARIA}${OXIA}${PERISPOMENI}]+`, 'g');
+const BREATHINGS_PATTERN = new RegExp(`[${PSILI}${DASIA}]`, 'g');
+const LENGTH_MARKS_PATTERN = new RegExp(`[${MACRON}${BREVE}]`, 'g');
+const POLYTONIC_MARKS_PATTERN = new RegExp(`[${PSILI}${DASIA}${YPOGEGRAMMENI}${MACRON}${BREVE}]`, 'g');
+
+// Diphthongs count as one syllable unless their second vowel has a diaeresis
+const SYLLABLE_PATTERN = new RegExp(`(?:[αεο]ι|υι|[αεη]υ|ου)(?!${DIALYTIKA})|[αεηιουω]`, 'g');
+
+// Monosyllables which keep their accent in monotonic Greek
+const ACCENTED_MONOSYLLABLES = new Set(['ή', 'πού', 'πώς']);
+
+const LETTER_PATTERN = /(?=\p{Script=Greek})\p{L}\p{M}*/gu;
+// A Greek letter, with the letters before and after it in the same word
+const WORD_LETTER_PATTERN = /(?<=([\p{L}\p{M}]*))(?=\p{Script=Greek})\p{L}\p{M}*(?=([\p{L}\p{M}]*))/gu;
+
+/**
+ * Transforms the diacritics of each Greek letter of a text. Letters are decomposed before they are
+ * transformed and composed again afterwards, so accents written with the oxia codepoints of the
+ * Greek Extended block become the tonos codepoints of the Greek block.
+ * @param {string} text The text.
+ * @param {?TextSourceMap} sourceMap The source map of the text.
+ * @param {function(string): string} transform A function which transforms a decomposed letter.
+ * @returns {string} The transformed text.
+ */
+export function transformGreekLetters(text, sourceMap, transform) {
+    return RegexUtil.applyTextReplacement(text, sourceMap, LETTER_PATTERN, (letter) => transform(letter.normalize('NFD')).normalize('NFC'));
+}
+
+export function normalizeTonos(text, sourceMap=null) {
+    return transformGreekLetters(text, sourceMap, (letter) => letter);
+}
+
+export function convertGraveToAcute(text, sourceMap=null) {
+    // Oxytone words are written with a grave accent when another word follows
+    return transformGreekLetters(text, sourceMap, (letter) => letter.replace(VARIA, OXIA));
+}
+
+export function removeBreathings(text, sourceMap=null) {
+    return transformGreekLetters(text, sourceMap, (letter) => letter.replace(BREATHINGS_PATTERN, ''));
+}
+
+export function removeLengthMarks(text, sourceMap=null) {
+    return transformGreekLetters(text, sourceMap, (letter) => letter.replace(LENGTH_MARKS_PATTERN, ''));
+}
+
+export function normalizeFinalSigma(text, sourceMap=null) {
+    // The lunate sigma is written the same way in every position
+    return RegexUtil.applyTextReplacement(text, sourceMap, /[σςϲϹ](?=([\p{L}\p{M}])|)/gu, (sigma, next) => {
+        if (sigma === 'Ϲ') { return 'Σ'; }
+        return typeof next === 'string' ? 'σ' : 'ς';
+    });
+}
+
+function countSyllables(word) {
+    const base = word.toLowerCase().normalize('NFD').replace(/[^\p{L}\u0308]/gu, '');
+    const matches = base.match(SYLLABLE_PATTERN);
+    return matches !== null ? matches.length : 0;
+}
+
+export function convertPolytonicToMonotonic(text, sourceMap=null) {
+    // Breathings, iota subscripts and length marks are removed, and every accent becomes a tonos
+    text = transformGreekLetters(text, sourceMap, (letter) => letter.replace(POLYTONIC_MARKS_PATTERN, '').replace(ACCENTS_PATTERN, OXIA));
+    // Monosyllables are not accented, apart from a few which would otherwise be ambiguous.
+    // Letters are replaced one at a time, so that the source map keeps the position of each letter.
+    return RegexUtil.applyTextReplacement(text, sourceMap, WORD_LETTER_PATTERN, (letter, before, after) => {
+        const word = `${before}${letter}${after}`;
+        if (countSyllables(word) !== 1 || ACCENTED_MONOSYLLABLES.has(word.toLowerCase())) { return letter; }
+        return letter.normalize('NFD').replace(ACCENTS_PATTERN, '').normalize('NFC');
+    });
+}
@@ -22,6 +22,16 @@
  * wholeWordInflection
  * fetchAsset
 */
+
+window.languages.en.ruleTypes = new Map([
+    ['v',       0b00000001], // Verb
+    ['verb',    0b00000001], // Verb
+    ['adj',     0b00000010], // Adjective
+    ['n',       0b00000100], // Noun
+    ['noun',    0b00000100], // Noun
+    ['pn',      0b00001000] // Pronoun
+]);
+
 window.languages.en.getDeinflectionReasons = async () => {
     const pastSuffixInflections = [
         suffixInflection('ed', '', [], ['v']), // 'walked'
@@ -292,3 +302,10 @@ window.languages.en.getDeinflectionReasons = async () => {
 
     return reasons;
 };
+
+window.languages.en.sentenceParsing = {
+    terminationCharacters: [
+        {character1: '“', character2: '”', includeCharacterAtStart: false, includeCharacterAtEnd: false}
+    ],
+    abbreviations: ['Mr.', 'Mrs.', 'Ms.', 'Dr.', 'Prof.', 'St.', 'e.g.', 'i.e.', 'etc.', 'vs.', 'U.S.']
+};
@@ -0,0 +1,137 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* global
+ * conjugationReasons
+ * suffixInflection
+*/
+
+window.languages.es.ruleTypes = new Map([
+    ['v',       0b00000001], // Verb
+    ['verb',    0b00000001], // Verb
+    ['n',       0b00000110], // Noun
+    ['noun',    0b00000110], // Noun
+    ['n-m',     0b00000010], // Noun masculine
+    ['n-f',     0b00000100], // Noun feminine
+    ['adj',     0b00001000], // Adjective
+    ['adjective', 0b00001000], // Adjective
+    ['pn',      0b00010000] // Pronoun
+]);
+
+window.languages.es.getDeinflectionReasons = async () => {
+    const pronouns = '(?:me|te|se|nos|os|lo|la|los|las|le|les)';
+    const accents = new Map([['á', 'a'], ['é', 'e'], ['í', 'i'], ['ó', 'o'], ['ú', 'u']]);
+
+    // Enclitic pronouns attach to infinitives, gerunds and affirmative imperatives: hacerlo, comiéndolo, dámelo.
+    // The written accent which keeps the stress in place is removed along with the pronouns.
+    function encliticInflection(removeAccent) {
+        const inflected = new RegExp(`^(.*?(?:[aeiouáéíó]|r))${pronouns}{1,2}$`);
+        return {
+            inflected,
+            uninflect: (term) => {
+                const stem = term.replace(inflected, '$1');
+                return removeAccent ? stem.replace(/[áéíóú]/g, (c) => accents.get(c)) : stem;
+            },
+            rulesIn: [],
+            rulesOut: ['v']
+        };
+    }
+
+    return new Map([
+        // Verbs
+        ...conjugationReasons(['present', 'indicative'], [
+            ['ar', ['o', 'as', 'a', 'amos', 'áis', 'an']], // hablo
+            ['er', ['o', 'es', 'e', 'emos', 'éis', 'en']], // como
+            ['ir', ['o', 'es', 'e', 'imos', 'ís', 'en']] // vivo
+        ], [], ['v']),
+        ...conjugationReasons(['preterite', 'indicative'], [
+            ['ar', ['é', 'aste', 'ó', 'amos', 'asteis', 'aron']], // hablé
+            ['er', ['í', 'iste', 'ió', 'imos', 'isteis', 'ieron']], // comí
+            ['ir', ['í', 'iste', 'ió', 'imos', 'isteis', 'ieron']] // viví
+        ], [], ['v']),
+        ...conjugationReasons(['imperfect', 'indicative'], [
+            ['ar', ['aba', 'abas', 'aba', 'ábamos', 'abais', 'aban']], // hablaba
+            ['er', ['ía', 'ías', 'ía', 'íamos', 'íais', 'ían']], // comía
+            ['ir', ['ía', 'ías', 'ía', 'íamos', 'íais', 'ían']] // vivía
+        ], [], ['v']),
+        ...conjugationReasons(['future', 'indicative'], [
+            ['r', ['ré', 'rás', 'rá', 'remos', 'réis', 'rán']] // hablaré, comeré, viviré
+        ], [], ['v']),
+        ...conjugationReasons(['conditional'], [
+            ['r', ['ría', 'rías', 'ría', 'ríamos', 'ríais', 'rían']] // hablaría, comería, viviría
+        ], [], ['v']),
+        ...conjugationReasons(['present', 'subjunctive'], [
+            ['ar', ['e', 'es', 'e', 'emos', 'éis', 'en']], // hable
+            ['er', ['a', 'as', 'a', 'amos', 'áis', 'an']], // coma
+            ['ir', ['a', 'as', 'a', 'amos', 'áis', 'an']] // viva
+        ], [], ['v']),
+        ...conjugationReasons(['imperfect', 'subjunctive'], [
+            ['ar', ['ara', 'aras', 'ara', 'áramos', 'arais', 'aran']], // hablara
+            ['ar', ['ase', 'ases', 'ase', 'ásemos', 'aseis', 'asen']], // hablase
+            ['er', ['iera', 'ieras', 'iera', 'iéramos', 'ierais', 'ieran']], // comiera
+            ['er', ['iese', 'ieses', 'iese', 'iésemos', 'ieseis', 'iesen']], // comiese
+            ['ir', ['iera', 'ieras', 'iera', 'iéramos', 'ierais', 'ieran']], // viviera
+            ['ir', ['iese', 'ieses', 'iese', 'iésemos', 'ieseis', 'iesen']] // viviese
+        ], [], ['v']),
+        // Imperatives and gerunds can also carry enclitic pronouns
+        ...conjugationReasons(['imperative'], [
+            ['ar', [null, 'a', null, null, 'ad', null]], // habla, hablad
+            ['er', [null, 'e', null, null, 'ed', null]], // come, comed
+            ['ir', [null, 'e', null, null, 'id', null]] // vive, vivid
+        ], ['v'], ['v']),
+        ['gerund', [
+            suffixInflection('ando', 'ar', ['v'], ['v']), // hablando
+            suffixInflection('iendo', 'er', ['v'], ['v']), // comiendo
+            suffixInflection('iendo', 'ir', ['v'], ['v']), // viviendo
+            suffixInflection('yendo', 'er', ['v'], ['v']) // leyendo
+        ]],
+        // Participles agree like adjectives, so they also apply to the output of the gender and number rules
+        ['participle', [
+            suffixInflection('ado', 'ar', ['adj'], ['v']), // hablado
+            suffixInflection('ido', 'er', ['adj'], ['v']), // comido
+            suffixInflection('ido', 'ir', ['adj'], ['v']) // vivido
+        ]],
+        ['clitic pronoun', [
+            encliticInflection(true),
+            encliticInflection(false)
+        ]],
+        // Nouns and adjectives
+        ['plural', [
+            suffixInflection('s', '', [], ['n', 'adj']), // libros, casas
+            suffixInflection('es', '', [], ['n', 'adj']), // ciudades, azules
+            suffixInflection('ces', 'z', [], ['n', 'adj']), // luces, felices
+            suffixInflection('ones', 'ón', [], ['n']), // canciones
+            suffixInflection('eses', 'és', [], ['n', 'adj']) // ingleses
+        ]],
+        ['feminine', [
+            suffixInflection('a', 'o', ['n', 'adj'], ['n', 'adj']), // buena, niña
+            suffixInflection('ora', 'or', ['n', 'adj'], ['n', 'adj']), // trabajadora
+            suffixInflection('esa', 'és', ['n', 'adj'], ['adj']) // inglesa
+        ]]
+    ]);
+};
+
+// Questions and exclamations start with an inverted mark, which belongs to the sentence
+window.languages.es.sentenceParsing = {
+    terminationCharacters: [
+        {character1: '¿', character2: null, includeCharacterAtStart: true, includeCharacterAtEnd: false},
+        {character1: '¡', character2: null, includeCharacterAtStart: true, includeCharacterAtEnd: false},
+        {character1: '«', character2: '»', includeCharacterAtStart: false, includeCharacterAtEnd: false},
+        {character1: '“', character2: '”', includeCharacterAtStart: false, includeCharacterAtEnd: false}
+    ],
+    abbreviations: ['Sr.', 'Sra.', 'Srta.', 'Dr.', 'Dra.', 'Ud.', 'Uds.', 'p. ej.', 'EE. UU.', 'etc.']
+};
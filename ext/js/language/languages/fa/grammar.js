@@ -0,0 +1,67 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* global
+ * prefixInflection
+ * suffixInflection
+*/
+
+// Words are separated by spaces, but their letters are joined, so the word under the cursor is scanned from its start
+window.languages.fa.wordSegmentation = {
+    spaceDelimited: true
+};
+
+window.languages.fa.maxDeinflectionDepth = 4;
+
+window.languages.fa.getDeinflectionReasons = async () => {
+    // Affixes are written either joined to the word or separated from it by a zero width non-joiner
+    const zwnj = '\u200c';
+    const suffixes = (suffix) => [suffix, `${zwnj}${suffix}`];
+    const prefixes = (prefix) => [prefix, `${prefix}${zwnj}`];
+
+    return new Map([
+        ['plural', [
+            ...suffixes('ها').map((suffix) => suffixInflection(suffix, '', [], [])), // کتاب‌ها
+            suffixInflection('ان', '', [], []) // درختان
+        ]],
+        ['indefinite', [
+            suffixInflection('ی', '', [], []), // کتابی
+            suffixInflection(`${zwnj}ای`, '', [], []) // خانه‌ای
+        ]],
+        ['pronoun suffix', [
+            ...['م', 'ت', 'ش', 'مان', 'تان', 'شان'].map((suffix) => suffixInflection(suffix, '', [], [])), // کتابم
+            ...['ام', 'ات', 'اش'].flatMap(suffixes).map((suffix) => suffixInflection(suffix, '', [], [])), // خانه‌ام
+            // After the long vowels a and u, the pronoun is joined by a yeh
+            ...['یم', 'یت', 'یش', 'یمان', 'یتان', 'یشان'].map((suffix) => suffixInflection(suffix, '', [], [])) // کتاب‌هایم
+        ]],
+        ['comparative', [
+            ...suffixes('تر').map((suffix) => suffixInflection(suffix, '', [], [])) // بزرگ‌تر
+        ]],
+        ['superlative', [
+            ...suffixes('ترین').map((suffix) => suffixInflection(suffix, '', [], [])) // بزرگ‌ترین
+        ]],
+        ['continuous', [
+            ...prefixes('می').map((prefix) => prefixInflection(prefix, '', [], [])) // می‌خوانم
+        ]],
+        ['negative', [
+            prefixInflection('ن', '', [], []) // نخواند, نمی‌خوانم
+        ]],
+        ['subjunctive', [
+            prefixInflection('ب', '', [], []) // بخوانم
+        ]]
+    ]);
+};
@@ -0,0 +1,70 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* global
+ * RegexUtil
+ */
+
+window.languages.fa.textTransformations = [
+    {
+        id: 'removeDiacritics',
+        name: 'Remove diacritics',
+        description: 'کِتاب ⬅️ کتاب',
+        options: {
+            false: 'Disabled',
+            true: 'Enabled',
+            variant: 'Use both variants'
+        },
+        transform: (text, sourceMap=null) => {
+            // Diacritics are combined with the letters they follow
+            return RegexUtil.applyTextReplacement(text, sourceMap, /([^\u064B-\u0652]?)[\u064B-\u0652]+/g, '$1');
+        }
+    },
+    {
+        id: 'normalizeAlef',
+        name: 'Normalize alef',
+        description: 'أ, إ, ٱ ⬅️ ا',
+        options: {
+            false: 'Disabled',
+            true: 'Enabled',
+            variant: 'Use both variants'
+        },
+        transform: (text) => text.replace(/[أإٱ]/g, 'ا')
+    },
+    {
+        id: 'normalizeYeh',
+        name: 'Normalize yeh',
+        description: 'ي, ى ⬅️ ی',
+        options: {
+            false: 'Disabled',
+            true: 'Enabled',
+            variant: 'Use both variants'
+        },
+        transform: (text) => text.replace(/[يى]/g, 'ی')
+    },
+    {
+        id: 'normalizeKaf',
+        name: 'Normalize kaf',
+        description: 'ك ⬅️ ک',
+        options: {
+            false: 'Disabled',
+            true: 'Enabled',
+            variant: 'Use both variants'
+        },
+        transform: (text) => text.replace(/ك/g, 'ک')
+    }
+];
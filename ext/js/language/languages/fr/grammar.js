@@ -0,0 +1,140 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* global
+ * conjugationReasons
+ * prefixInflection
+ * suffixInflection
+*/
+
+window.languages.fr.ruleTypes = new Map([
+    ['v',       0b00000001], // Verb
+    ['verb',    0b00000001], // Verb
+    ['n',       0b00000110], // Noun
+    ['noun',    0b00000110], // Noun
+    ['n-m',     0b00000010], // Noun masculine
+    ['n-f',     0b00000100], // Noun feminine
+    ['adj',     0b00001000], // Adjective
+    ['adjective', 0b00001000], // Adjective
+    ['pn',      0b00010000] // Pronoun
+]);
+
+window.languages.fr.getDeinflectionReasons = async () => {
+    const pronouns = '(?:le|la|les|lui|leur|moi|toi|nous|vous|en|y|je|tu|il|elle|on|ils|elles)';
+    // Only regular -re verbs whose stem ends in -d are covered: vendre, attendre, répondre
+    const reVerb = {precededBy: 'd'};
+
+    // Pronouns after imperatives and inverted subjects: prends-le, donne-le-moi, parles-tu, parle-t-il
+    const hyphenatedPronounInflection = {
+        inflected: new RegExp(`^.+?(?:-t)?(?:-${pronouns}){1,2}$`),
+        uninflect: (term) => term.replace(new RegExp(`^(.+?)(?:-t)?(?:-${pronouns}){1,2}$`), '$1'),
+        rulesIn: [],
+        rulesOut: ['v']
+    };
+
+    function elisionInflections(prefix, rulesOut) {
+        return ['\'', '’'].map((apostrophe) => prefixInflection(`${prefix}${apostrophe}`, '', [], rulesOut));
+    }
+
+    return new Map([
+        // Verbs. Imperatives and inverted forms carry hyphenated pronouns, so they apply to the output of the clitic rules
+        ...conjugationReasons(['present', 'indicative'], [
+            ['er', ['e', 'es', 'e', 'ons', 'ez', 'ent']], // parle
+            ['ir', ['is', 'is', 'it', 'issons', 'issez', 'issent']], // finis
+            ['re', ['s', 's', '', 'ons', 'ez', 'ent'], reVerb] // vends
+        ], ['v'], ['v']),
+        ...conjugationReasons(['imperfect', 'indicative'], [
+            ['er', ['ais', 'ais', 'ait', 'ions', 'iez', 'aient']], // parlais
+            ['ir', ['issais', 'issais', 'issait', 'issions', 'issiez', 'issaient']], // finissais
+            ['re', ['ais', 'ais', 'ait', 'ions', 'iez', 'aient'], reVerb] // vendais
+        ], ['v'], ['v']),
+        ...conjugationReasons(['simple past'], [
+            ['er', ['ai', 'as', 'a', 'âmes', 'âtes', 'èrent']], // parlai
+            ['ir', ['is', 'is', 'it', 'îmes', 'îtes', 'irent']], // finis
+            ['re', ['is', 'is', 'it', 'îmes', 'îtes', 'irent'], reVerb] // vendis
+        ], ['v'], ['v']),
+        ...conjugationReasons(['future'], [
+            ['er', ['erai', 'eras', 'era', 'erons', 'erez', 'eront']], // parlerai
+            ['ir', ['irai', 'iras', 'ira', 'irons', 'irez', 'iront']], // finirai
+            ['re', ['rai', 'ras', 'ra', 'rons', 'rez', 'ront'], reVerb] // vendrai
+        ], ['v'], ['v']),
+        ...conjugationReasons(['conditional'], [
+            ['er', ['erais', 'erais', 'erait', 'erions', 'eriez', 'eraient']], // parlerais
+            ['ir', ['irais', 'irais', 'irait', 'irions', 'iriez', 'iraient']], // finirais
+            ['re', ['rais', 'rais', 'rait', 'rions', 'riez', 'raient'], reVerb] // vendrais
+        ], ['v'], ['v']),
+        ...conjugationReasons(['present', 'subjunctive'], [
+            ['er', ['e', 'es', 'e', 'ions', 'iez', 'ent']], // parle
+            ['ir', ['isse', 'isses', 'isse', 'issions', 'issiez', 'issent']], // finisse
+            ['re', ['e', 'es', 'e', 'ions', 'iez', 'ent'], reVerb] // vende
+        ], ['v'], ['v']),
+        ...conjugationReasons(['imperfect', 'subjunctive'], [
+            ['er', ['asse', 'asses', 'ât', 'assions', 'assiez', 'assent']], // parlasse
+            ['ir', ['isse', 'isses', 'ît', 'issions', 'issiez', 'issent']], // finisse
+            ['re', ['isse', 'isses', 'ît', 'issions', 'issiez', 'issent'], reVerb] // vendisse
+        ], ['v'], ['v']),
+        ...conjugationReasons(['imperative'], [
+            ['er', [null, 'e', null, 'ons', 'ez', null]], // parle, parlons, parlez
+            ['ir', [null, 'is', null, 'issons', 'issez', null]], // finis, finissons, finissez
+            ['re', [null, 's', null, 'ons', 'ez', null], reVerb] // vends, vendons, vendez
+        ], ['v'], ['v']),
+        ['present participle', [
+            suffixInflection('ant', 'er', ['v'], ['v']), // parlant
+            suffixInflection('issant', 'ir', ['v'], ['v']), // finissant
+            suffixInflection('ant', 're', ['v'], ['v'], reVerb) // vendant
+        ]],
+        // Participles agree like adjectives, so they also apply to the output of the gender and number rules
+        ['past participle', [
+            suffixInflection('é', 'er', ['adj'], ['v']), // parlé
+            suffixInflection('i', 'ir', ['adj'], ['v']), // fini
+            suffixInflection('u', 're', ['adj'], ['v'], reVerb) // vendu
+        ]],
+        ['clitic pronoun', [
+            hyphenatedPronounInflection,
+            ...elisionInflections('m', ['v']), // m'habille
+            ...elisionInflections('t', ['v']), // t'aime
+            ...elisionInflections('s', ['v']), // s'habille
+            ...elisionInflections('j', ['v']), // j'aime
+            ...elisionInflections('l', ['v', 'n', 'adj']) // l'aime, l'homme
+        ]],
+        // Nouns and adjectives
+        ['plural', [
+            suffixInflection('s', '', [], ['n', 'adj']), // livres, grands
+            suffixInflection('x', '', [], ['n', 'adj']), // jeux, beaux
+            suffixInflection('aux', 'al', [], ['n', 'adj']) // chevaux, normaux
+        ]],
+        ['feminine', [
+            suffixInflection('e', '', ['n', 'adj'], ['n', 'adj']), // grande, amie
+            suffixInflection('euse', 'eur', ['n', 'adj'], ['n', 'adj']), // chanteuse
+            suffixInflection('euse', 'eux', ['n', 'adj'], ['adj']), // heureuse
+            suffixInflection('trice', 'teur', ['n', 'adj'], ['n', 'adj']), // actrice
+            suffixInflection('ive', 'if', ['n', 'adj'], ['adj']), // active
+            suffixInflection('elle', 'el', ['n', 'adj'], ['adj']), // cruelle
+            suffixInflection('elle', 'eau', ['n', 'adj'], ['adj']), // belle, nouvelle
+            suffixInflection('enne', 'en', ['n', 'adj'], ['n', 'adj']), // ancienne
+            suffixInflection('onne', 'on', ['n', 'adj'], ['n', 'adj']), // bonne
+            suffixInflection('ère', 'er', ['n', 'adj'], ['n', 'adj']) // première
+        ]]
+    ]);
+};
+
+window.languages.fr.sentenceParsing = {
+    terminationCharacters: [
+        {character1: '«', character2: '»', includeCharacterAtStart: false, includeCharacterAtEnd: false}
+    ],
+    abbreviations: ['M.', 'MM.', 'Mme.', 'p. ex.', 'cf.', 'etc.', 'av. J.-C.', 'apr. J.-C.']
+};
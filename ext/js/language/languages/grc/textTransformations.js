@@ -0,0 +1,88 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* global
+*/
+
+import {decapitalize, capitalizeFirstLetter} from '../../textTransformations.js';
+import {
+    normalizeTonos,
+    convertGraveToAcute,
+    removeBreathings,
+    removeLengthMarks,
+    normalizeFinalSigma
+} from '../el/util.js';
+
+window.languages.grc.textTransformations = [
+    {
+        id: 'normalizeTonos',
+        name: 'Normalize accents',
+        description: '\u1f71 (oxia) → \u03ac (tonos)',
+        options: {
+            false: 'Disabled',
+            true: 'Enabled',
+            variant: 'Use both variants'
+        },
+        transform: normalizeTonos
+    },
+    {
+        id: 'graveToAcute',
+        name: 'Convert grave accents to acute',
+        description: 'καλὸς → καλός',
+        options: {
+            false: 'Disabled',
+            true: 'Enabled',
+            variant: 'Use both variants'
+        },
+        transform: convertGraveToAcute
+    },
+    {
+        id: 'removeBreathings',
+        name: 'Remove breathing marks',
+        description: 'ἄνθρωπος → άνθρωπος, ῥήτωρ → ρήτωρ',
+        options: {
+            false: 'Disabled',
+            true: 'Enabled',
+            variant: 'Use both variants'
+        },
+        transform: removeBreathings
+    },
+    {
+        id: 'removeLengthMarks',
+        name: 'Remove vowel length marks',
+        description: 'μᾱ́χη → μάχη, ῐ̔́ππος → ἵππος',
+        options: {
+            false: 'Disabled',
+            true: 'Enabled',
+            variant: 'Use both variants'
+        },
+        transform: removeLengthMarks
+    },
+    {
+        id: 'normalizeFinalSigma',
+        name: 'Normalize final sigma',
+        description: 'λογοσ → λογος, ϲοφόϲ → σοφός',
+        options: {
+            false: 'Disabled',
+            true: 'Enabled',
+            variant: 'Use both variants'
+        },
+        transform: normalizeFinalSigma
+    },
+    decapitalize,
+    capitalizeFirstLetter
+];
@@ -0,0 +1,137 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* global
+ * conjugationReasons
+ * suffixInflection
+*/
+
+window.languages.it.ruleTypes = new Map([
+    ['v',       0b00000001], // Verb
+    ['verb',    0b00000001], // Verb
+    ['n',       0b00000110], // Noun
+    ['noun',    0b00000110], // Noun
+    ['n-m',     0b00000010], // Noun masculine
+    ['n-f',     0b00000100], // Noun feminine
+    ['adj',     0b00001000], // Adjective
+    ['adjective', 0b00001000], // Adjective
+    ['pn',      0b00010000] // Pronoun
+]);
+
+window.languages.it.getDeinflectionReasons = async () => {
+    const clitics = '(?:(?:me|te|se|ce|ve|glie)(?:lo|la|li|le|ne)|mi|ti|si|ci|vi|lo|la|li|le|gli|ne)';
+
+    function encliticInflection(inflected, replacement) {
+        return {
+            inflected,
+            uninflect: (term) => term.replace(inflected, replacement),
+            rulesIn: [],
+            rulesOut: ['v']
+        };
+    }
+
+    return new Map([
+        // Verbs
+        ...conjugationReasons(['present', 'indicative'], [
+            ['are', ['o', 'i', 'a', 'iamo', 'ate', 'ano']], // parlo
+            ['ere', ['o', 'i', 'e', 'iamo', 'ete', 'ono']], // credo
+            ['ire', ['o', 'i', 'e', 'iamo', 'ite', 'ono']], // dormo
+            ['ire', ['isco', 'isci', 'isce', null, null, 'iscono']] // finisco
+        ], [], ['v']),
+        ...conjugationReasons(['imperfect', 'indicative'], [
+            ['are', ['avo', 'avi', 'ava', 'avamo', 'avate', 'avano']], // parlavo
+            ['ere', ['evo', 'evi', 'eva', 'evamo', 'evate', 'evano']], // credevo
+            ['ire', ['ivo', 'ivi', 'iva', 'ivamo', 'ivate', 'ivano']] // dormivo
+        ], [], ['v']),
+        ...conjugationReasons(['past historic'], [
+            ['are', ['ai', 'asti', 'ò', 'ammo', 'aste', 'arono']], // parlai
+            ['ere', ['ei', 'esti', 'é', 'emmo', 'este', 'erono']], // credei
+            ['ere', ['etti', null, 'ette', null, null, 'ettero']], // credetti
+            ['ire', ['ii', 'isti', 'ì', 'immo', 'iste', 'irono']] // dormii
+        ], [], ['v']),
+        ...conjugationReasons(['future'], [
+            ['are', ['erò', 'erai', 'erà', 'eremo', 'erete', 'eranno']], // parlerò
+            ['ere', ['erò', 'erai', 'erà', 'eremo', 'erete', 'eranno']], // crederò
+            ['ire', ['irò', 'irai', 'irà', 'iremo', 'irete', 'iranno']] // dormirò
+        ], [], ['v']),
+        ...conjugationReasons(['conditional'], [
+            ['are', ['erei', 'eresti', 'erebbe', 'eremmo', 'ereste', 'erebbero']], // parlerei
+            ['ere', ['erei', 'eresti', 'erebbe', 'eremmo', 'ereste', 'erebbero']], // crederei
+            ['ire', ['irei', 'iresti', 'irebbe', 'iremmo', 'ireste', 'irebbero']] // dormirei
+        ], [], ['v']),
+        ...conjugationReasons(['present', 'subjunctive'], [
+            ['are', ['i', 'i', 'i', 'iamo', 'iate', 'ino']], // parli
+            ['ere', ['a', 'a', 'a', 'iamo', 'iate', 'ano']], // creda
+            ['ire', ['a', 'a', 'a', 'iamo', 'iate', 'ano']], // dorma
+            ['ire', ['isca', 'isca', 'isca', null, null, 'iscano']] // finisca
+        ], [], ['v']),
+        ...conjugationReasons(['imperfect', 'subjunctive'], [
+            ['are', ['assi', 'assi', 'asse', 'assimo', 'aste', 'assero']], // parlassi
+            ['ere', ['essi', 'essi', 'esse', 'essimo', 'este', 'essero']], // credessi
+            ['ire', ['issi', 'issi', 'isse', 'issimo', 'iste', 'issero']] // dormissi
+        ], [], ['v']),
+        // Imperatives and gerunds can also carry enclitic pronouns
+        ...conjugationReasons(['imperative'], [
+            ['are', [null, 'a', null, null, 'ate', null]], // parla, parlate
+            ['ere', [null, 'i', null, null, 'ete', null]], // credi, credete
+            ['ire', [null, 'i', null, null, 'ite', null]], // dormi, dormite
+            ['ire', [null, 'isci', null, null, null, null]] // finisci
+        ], ['v'], ['v']),
+        ['gerund', [
+            suffixInflection('ando', 'are', ['v'], ['v']), // parlando
+            suffixInflection('endo', 'ere', ['v'], ['v']), // credendo
+            suffixInflection('endo', 'ire', ['v'], ['v']) // dormendo
+        ]],
+        // Participles agree like adjectives, so they also apply to the output of the gender and number rules
+        ['participle', [
+            suffixInflection('ato', 'are', ['adj'], ['v']), // parlato
+            suffixInflection('uto', 'ere', ['adj'], ['v']), // creduto
+            suffixInflection('ito', 'ire', ['adj'], ['v']) // dormito
+        ]],
+        ['clitic pronoun', [
+            // Infinitives drop their final vowel: mangiarlo, andarsene
+            encliticInflection(new RegExp(`^(.*[aei]r)${clitics}$`), '$1e'),
+            // Imperatives and gerunds, with both the shortest and the longest stem: mangiamelo, prendetelo, mangiandolo
+            encliticInflection(new RegExp(`^(.*?[aeiou])${clitics}$`), '$1'),
+            encliticInflection(new RegExp(`^(.*[aeiou])${clitics}$`), '$1'),
+            // Monosyllabic imperatives double the first consonant of the pronoun: dimmi, dammelo, fallo
+            encliticInflection(new RegExp(`^(da|di|fa|sta|va)([mtlcn])(?=\\2)${clitics}$`), '$1')
+        ]],
+        // Nouns and adjectives
+        ['plural', [
+            suffixInflection('i', 'o', [], ['n', 'adj']), // libri, rossi
+            suffixInflection('i', 'e', [], ['n', 'adj']), // fiori, grandi
+            suffixInflection('e', 'a', [], ['n', 'adj']), // case, rosse
+            suffixInflection('chi', 'co', [], ['n', 'adj']), // bianchi
+            suffixInflection('ghi', 'go', [], ['n', 'adj']), // laghi
+            suffixInflection('che', 'ca', [], ['n', 'adj']), // bianche
+            suffixInflection('ghe', 'ga', [], ['n', 'adj']) // lunghe
+        ]],
+        ['feminine', [
+            suffixInflection('a', 'o', ['n', 'adj'], ['n', 'adj']), // rossa, amica
+            suffixInflection('essa', 'e', ['n', 'adj'], ['n']), // professoressa
+            suffixInflection('trice', 'tore', ['n', 'adj'], ['n', 'adj']) // attrice
+        ]]
+    ]);
+};
+
+window.languages.it.sentenceParsing = {
+    terminationCharacters: [
+        {character1: '«', character2: '»', includeCharacterAtStart: false, includeCharacterAtEnd: false}
+    ],
+    abbreviations: ['Sig.', 'Sig.ra', 'Dott.', 'ecc.', 'p. es.']
+};
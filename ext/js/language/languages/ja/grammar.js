@@ -19,6 +19,22 @@
  * suffixInflection
 */
 
+window.languages.ja.ruleTypes = new Map([
+    ['v',       0b0000011111], // Verb
+    ['verb',    0b0000011111], // Verb
+    ['v1',      0b0000000001], // Verb ichidan
+    ['v5',      0b0000000010], // Verb godan
+    ['vs',      0b0000000100], // Verb suru
+    ['vk',      0b0000001000], // Verb kuru
+    ['vz',      0b0000010000], // Verb zuru
+    ['adj',     0b0000100000], // Adjective
+    ['adj-i',   0b0000100000], // Adjective i
+    ['iru',     0b0001000000], // Intermediate -iru endings for progressive or perfect tense
+    ['n',       0b0010000000], // Noun
+    ['noun',    0b0010000000], // Noun
+    ['pn',      0b0100000000] // Pronoun
+]);
+
 window.languages.ja.getDeinflectionReasons = async () =>  {
     return new Map([
         ['-ba', [
@@ -218,7 +218,7 @@ window.languages.ja.textTransformations = [
             true: 'Enabled',
             variant: 'Use both variants'
         },
-        transform: convertKatakanaToHiragana
+        transform: (text) => convertKatakanaToHiragana(text)
     },
     {
         id: 'collapseEmphaticSequences',
@@ -16,7 +16,8 @@
  */
 
 /* global
-*/
+ * RegexUtil
+ */
 
 import {decapitalize, capitalizeFirstLetter} from '../../textTransformations.js';
 
@@ -30,14 +31,16 @@ window.languages.la.textTransformations = [
             true: 'Enabled',
             variant: 'Use both variants'
         },
-        transform: (text) => {
+        transform: (text, sourceMap=null) => {
             const diacriticMap = {
                 'ā': 'a', 'ē': 'e', 'ī': 'i', 'ō': 'o', 'ū': 'u', 'ȳ': 'y',
                 'Ā': 'A', 'Ē': 'E', 'Ī': 'I', 'Ō': 'O', 'Ū': 'U', 'Ȳ': 'Y',
                 'á': 'a', 'é': 'e', 'í': 'i', 'ó': 'o', 'ú': 'u', 'ý': 'y',
                 'Á': 'A', 'É': 'E', 'Í': 'I', 'Ó': 'O', 'Ú': 'U', 'Ý': 'Y'
             };
-            return text.replace(/[āēīōūȳáéíóúýĀĒĪŌŪȲÁÉÍÓÚÝ]/g, (match) => diacriticMap[match] || match);
+            text = text.replace(/[āēīōūȳáéíóúýĀĒĪŌŪȲÁÉÍÓÚÝ]/g, (match) => diacriticMap[match] || match);
+            // Combining macrons and acute accents are combined with the letters they follow
+            return RegexUtil.applyTextReplacement(text, sourceMap, /([^\u0301\u0304]?)[\u0301\u0304]+/g, '$1');
         }
     },
     decapitalize,
@@ -0,0 +1,135 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* global
+ * conjugationReasons
+ * suffixInflection
+*/
+
+window.languages.pt.ruleTypes = new Map([
+    ['v',       0b00000001], // Verb
+    ['verb',    0b00000001], // Verb
+    ['n',       0b00000110], // Noun
+    ['noun',    0b00000110], // Noun
+    ['n-m',     0b00000010], // Noun masculine
+    ['n-f',     0b00000100], // Noun feminine
+    ['adj',     0b00001000], // Adjective
+    ['adjective', 0b00001000], // Adjective
+    ['pn',      0b00010000] // Pronoun
+]);
+
+window.languages.pt.getDeinflectionReasons = async () => {
+    const pronouns = '(?:me|te|se|nos|vos|lhe|lhes|o|a|os|as|mo|ma|to|ta|lho|lha)';
+    const infinitivePronouns = '(?:lo|la|los|las)';
+    const futureEndings = '(?:ei|ás|á|emos|eis|ão|ia|ias|íamos|íeis|iam)';
+
+    function cliticInflection(inflected, replacement) {
+        return {
+            inflected,
+            uninflect: (term) => term.replace(inflected, replacement),
+            rulesIn: [],
+            rulesOut: ['v']
+        };
+    }
+
+    return new Map([
+        // Verbs. Finite forms also take hyphenated clitic pronouns, so they apply to the output of the clitic rules
+        ...conjugationReasons(['present', 'indicative'], [
+            ['ar', ['o', 'as', 'a', 'amos', 'ais', 'am']], // falo
+            ['er', ['o', 'es', 'e', 'emos', 'eis', 'em']], // vendo
+            ['ir', ['o', 'es', 'e', 'imos', 'is', 'em']] // parto
+        ], ['v'], ['v']),
+        ...conjugationReasons(['preterite', 'indicative'], [
+            ['ar', ['ei', 'aste', 'ou', 'amos', 'astes', 'aram']], // falei
+            ['er', ['i', 'este', 'eu', 'emos', 'estes', 'eram']], // vendi
+            ['ir', ['i', 'iste', 'iu', 'imos', 'istes', 'iram']] // parti
+        ], ['v'], ['v']),
+        ...conjugationReasons(['imperfect', 'indicative'], [
+            ['ar', ['ava', 'avas', 'ava', 'ávamos', 'áveis', 'avam']], // falava
+            ['er', ['ia', 'ias', 'ia', 'íamos', 'íeis', 'iam']], // vendia
+            ['ir', ['ia', 'ias', 'ia', 'íamos', 'íeis', 'iam']] // partia
+        ], ['v'], ['v']),
+        ...conjugationReasons(['future', 'indicative'], [
+            ['r', ['rei', 'rás', 'rá', 'remos', 'reis', 'rão']] // falarei, venderei, partirei
+        ], ['v'], ['v']),
+        ...conjugationReasons(['conditional'], [
+            ['r', ['ria', 'rias', 'ria', 'ríamos', 'ríeis', 'riam']] // falaria, venderia, partiria
+        ], ['v'], ['v']),
+        ...conjugationReasons(['present', 'subjunctive'], [
+            ['ar', ['e', 'es', 'e', 'emos', 'eis', 'em']], // fale
+            ['er', ['a', 'as', 'a', 'amos', 'ais', 'am']], // venda
+            ['ir', ['a', 'as', 'a', 'amos', 'ais', 'am']] // parta
+        ], ['v'], ['v']),
+        ...conjugationReasons(['imperfect', 'subjunctive'], [
+            ['ar', ['asse', 'asses', 'asse', 'ássemos', 'ásseis', 'assem']], // falasse
+            ['er', ['esse', 'esses', 'esse', 'êssemos', 'êsseis', 'essem']], // vendesse
+            ['ir', ['isse', 'isses', 'isse', 'íssemos', 'ísseis', 'issem']] // partisse
+        ], ['v'], ['v']),
+        ...conjugationReasons(['imperative'], [
+            ['ar', [null, 'a', null, null, 'ai', null]], // fala, falai
+            ['er', [null, 'e', null, null, 'ei', null]], // vende, vendei
+            ['ir', [null, 'e', null, null, 'i', null]] // parte, parti
+        ], ['v'], ['v']),
+        ['gerund', [
+            suffixInflection('ando', 'ar', ['v'], ['v']), // falando
+            suffixInflection('endo', 'er', ['v'], ['v']), // vendendo
+            suffixInflection('indo', 'ir', ['v'], ['v']) // partindo
+        ]],
+        // Participles agree like adjectives, so they also apply to the output of the gender and number rules
+        ['participle', [
+            suffixInflection('ado', 'ar', ['adj'], ['v']), // falado
+            suffixInflection('ido', 'er', ['adj'], ['v']), // vendido
+            suffixInflection('ido', 'ir', ['adj'], ['v']) // partido
+        ]],
+        ['clitic pronoun', [
+            // Hyphenated pronouns: vende-se, diga-me, entrega-lho
+            cliticInflection(new RegExp(`^(.+)-${pronouns}(?:-${pronouns})?$`), '$1'),
+            // Infinitives lose their final -r before -lo, -la, -los, -las: amá-lo, fazê-lo, parti-lo
+            cliticInflection(new RegExp(`^(.+)á-${infinitivePronouns}$`), '$1ar'),
+            cliticInflection(new RegExp(`^(.+)ê-${infinitivePronouns}$`), '$1er'),
+            cliticInflection(new RegExp(`^(.+)i-${infinitivePronouns}$`), '$1ir'),
+            // Pronouns placed inside future and conditional forms: dar-te-ei, dir-lhe-ia
+            cliticInflection(new RegExp(`^(.+r)-${pronouns}-(${futureEndings})$`), '$1$2')
+        ]],
+        // Nouns and adjectives
+        ['plural', [
+            suffixInflection('s', '', [], ['n', 'adj']), // livros, casas
+            suffixInflection('es', '', [], ['n', 'adj']), // flores
+            suffixInflection('ns', 'm', [], ['n', 'adj']), // homens
+            suffixInflection('ões', 'ão', [], ['n', 'adj']), // lições
+            suffixInflection('ães', 'ão', [], ['n', 'adj']), // pães
+            suffixInflection('ais', 'al', [], ['n', 'adj']), // animais
+            suffixInflection('éis', 'el', [], ['n', 'adj']), // papéis
+            suffixInflection('eis', 'il', [], ['n', 'adj']), // fáceis
+            suffixInflection('óis', 'ol', [], ['n', 'adj']), // lençóis
+            suffixInflection('is', 'il', [], ['n', 'adj']) // barris
+        ]],
+        ['feminine', [
+            suffixInflection('a', 'o', ['n', 'adj'], ['n', 'adj']), // bonita, menina
+            suffixInflection('ora', 'or', ['n', 'adj'], ['n', 'adj']), // professora
+            suffixInflection('ã', 'ão', ['n', 'adj'], ['n', 'adj']) // irmã
+        ]]
+    ]);
+};
+
+window.languages.pt.sentenceParsing = {
+    terminationCharacters: [
+        {character1: '«', character2: '»', includeCharacterAtStart: false, includeCharacterAtEnd: false},
+        {character1: '“', character2: '”', includeCharacterAtStart: false, includeCharacterAtEnd: false}
+    ],
+    abbreviations: ['Sr.', 'Sra.', 'Dr.', 'Dra.', 'p. ex.', 'etc.']
+};
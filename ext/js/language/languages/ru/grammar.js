@@ -16,7 +16,336 @@
  */
 
 /* global
+ * suffixInflection
 */
+
+window.languages.ru.ruleTypes = new Map([
+    ['v',       0b00000001], // Verb
+    ['verb',    0b00000001], // Verb
+    ['n',       0b00001110], // Noun
+    ['noun',    0b00001110], // Noun
+    ['n-m',     0b00000010], // Noun masculine
+    ['n-f',     0b00000100], // Noun feminine
+    ['n-n',     0b00001000], // Noun neuter
+    ['adj',     0b00010000], // Adjective
+    ['adjective', 0b00010000], // Adjective
+    ['pn',      0b00100000] // Pronoun
+]);
+
 window.languages.ru.getDeinflectionReasons = async () => {
-    return new Map([]);
-};
\ No newline at end of file
+    const vowel = '[аеёиоуыэюя]';
+    const consonant = '[^аеёиоуыэюя]';
+    const sibilant = '[жчшщ]';
+    const velarOrSibilant = '[гкхжчшщ]';
+    const velar = '[гкх]';
+    const notVelar = '[^гкх]';
+
+    // Reflexive verbs keep -ся after consonants and -сь after vowels: учится, учусь, учился, училась
+    function reflexiveInflections(inflections) {
+        return inflections.map(({affix, deinflected, rulesIn, rulesOut, conditions}) => {
+            const particle = new RegExp(`${vowel}$`).test(affix) ? 'сь' : 'ся';
+            return suffixInflection(`${affix}${particle}`, `${deinflected}ся`, rulesIn, rulesOut, conditions);
+        });
+    }
+
+    function verbInflections(inflections) {
+        return [...inflections, ...reflexiveInflections(inflections)];
+    }
+
+    // Endings shared by the oblique feminine singular cases of adjectives: новой, русской, синей
+    const adjectiveFeminineObliqueInflections = [
+        suffixInflection('ой', 'ый', [], ['adj']),
+        suffixInflection('ой', 'ий', [], ['adj'], {precededBy: velar}),
+        suffixInflection('ей', 'ий', [], ['adj'])
+    ];
+
+    return new Map([
+        // Nouns and adjectives
+        [['nominative', 'singular', 'feminine'], [
+            suffixInflection('ая', 'ый', [], ['adj']), // новая
+            suffixInflection('ая', 'ой', [], ['adj']), // большая
+            suffixInflection('ая', 'ий', [], ['adj'], {precededBy: velarOrSibilant}), // русская, хорошая
+            suffixInflection('яя', 'ий', [], ['adj']) // синяя
+        ]],
+        [['nominative', 'singular', 'neuter'], [
+            suffixInflection('ое', 'ый', [], ['adj']), // новое
+            suffixInflection('ое', 'ой', [], ['adj']), // большое
+            suffixInflection('ое', 'ий', [], ['adj'], {precededBy: velar}), // русское
+            suffixInflection('ее', 'ий', [], ['adj']) // синее, хорошее
+        ]],
+        [['nominative', 'plural'], [
+            suffixInflection('ы', '', [], ['n-m']), // столы
+            suffixInflection('и', '', [], ['n-m'], {precededBy: velarOrSibilant}), // парки, ножи
+            suffixInflection('и', 'ь', [], ['n'], {precededBy: notVelar}), // словари, ночи
+            suffixInflection('и', 'й', [], ['n-m']), // музеи
+            suffixInflection('ы', 'а', [], ['n-f']), // работы
+            suffixInflection('и', 'а', [], ['n-f'], {precededBy: velarOrSibilant}), // книги
+            suffixInflection('и', 'я', [], ['n-f']), // недели, армии
+            suffixInflection('а', 'о', [], ['n-n']), // окна
+            suffixInflection('я', 'е', [], ['n-n']), // поля, здания
+            suffixInflection('ые', 'ый', [], ['adj']), // новые
+            suffixInflection('ые', 'ой', [], ['adj']), // молодые
+            suffixInflection('ие', 'ий', [], ['adj']) // синие, русские
+        ]],
+        [['genitive', 'singular'], [
+            suffixInflection('а', '', [], ['n-m']), // стола
+            suffixInflection('я', 'ь', [], ['n-m']), // словаря
+            suffixInflection('я', 'й', [], ['n-m']), // музея
+            suffixInflection('ы', 'а', [], ['n-f']), // работы
+            suffixInflection('и', 'а', [], ['n-f'], {precededBy: velarOrSibilant}), // книги
+            suffixInflection('и', 'я', [], ['n-f']), // недели, армии
+            suffixInflection('и', 'ь', [], ['n-f'], {precededBy: notVelar}), // ночи
+            suffixInflection('а', 'о', [], ['n-n']), // окна
+            suffixInflection('я', 'е', [], ['n-n']), // поля, здания
+            suffixInflection('ого', 'ый', [], ['adj']), // нового
+            suffixInflection('ого', 'ой', [], ['adj']), // большого
+            suffixInflection('ого', 'ий', [], ['adj'], {precededBy: velar}), // русского
+            suffixInflection('его', 'ий', [], ['adj']), // синего, хорошего
+            ...adjectiveFeminineObliqueInflections
+        ]],
+        [['genitive', 'plural'], [
+            suffixInflection('ов', '', [], ['n-m']), // столов
+            suffixInflection('ев', 'й', [], ['n-m']), // музеев
+            suffixInflection('ей', 'ь', [], ['n']), // словарей, ночей
+            suffixInflection('ей', '', [], ['n-m'], {precededBy: sibilant}), // ножей
+            suffixInflection('ий', 'ия', [], ['n-f']), // армий
+            suffixInflection('ий', 'ие', [], ['n-n']), // зданий
+            suffixInflection('ых', 'ый', [], ['adj']), // новых
+            suffixInflection('ых', 'ой', [], ['adj']), // больших
+            suffixInflection('их', 'ий', [], ['adj']) // синих, русских
+        ]],
+        [['dative', 'singular'], [
+            suffixInflection('у', '', [], ['n-m']), // столу
+            suffixInflection('ю', 'ь', [], ['n-m']), // словарю
+            suffixInflection('ю', 'й', [], ['n-m']), // музею
+            suffixInflection('е', 'а', [], ['n-f']), // книге
+            suffixInflection('е', 'я', [], ['n-f']), // неделе
+            suffixInflection('и', 'ь', [], ['n-f'], {precededBy: notVelar}), // ночи
+            suffixInflection('ии', 'ия', [], ['n-f']), // армии
+            suffixInflection('у', 'о', [], ['n-n']), // окну
+            suffixInflection('ю', 'е', [], ['n-n']), // полю
+            suffixInflection('ому', 'ый', [], ['adj']), // новому
+            suffixInflection('ому', 'ой', [], ['adj']), // большому
+            suffixInflection('ому', 'ий', [], ['adj'], {precededBy: velar}), // русскому
+            suffixInflection('ему', 'ий', [], ['adj']), // синему
+            ...adjectiveFeminineObliqueInflections
+        ]],
+        [['dative', 'plural'], [
+            suffixInflection('ам', '', [], ['n-m']), // столам
+            suffixInflection('ам', 'а', [], ['n-f']), // книгам
+            suffixInflection('ам', 'о', [], ['n-n']), // окнам
+            suffixInflection('ям', 'ь', [], ['n']), // словарям, площадям
+            suffixInflection('ям', 'й', [], ['n-m']), // музеям
+            suffixInflection('ям', 'я', [], ['n-f']), // неделям
+            suffixInflection('ям', 'е', [], ['n-n']), // полям
+            suffixInflection('ым', 'ый', [], ['adj']), // новым
+            suffixInflection('ым', 'ой', [], ['adj']), // молодым
+            suffixInflection('им', 'ий', [], ['adj']) // синим, русским
+        ]],
+        [['accusative', 'singular'], [
+            suffixInflection('у', 'а', [], ['n-f']), // книгу
+            suffixInflection('ю', 'я', [], ['n-f']), // неделю
+            suffixInflection('ую', 'ый', [], ['adj']), // новую
+            suffixInflection('ую', 'ой', [], ['adj']), // большую
+            suffixInflection('ую', 'ий', [], ['adj'], {precededBy: velarOrSibilant}), // русскую, хорошую
+            suffixInflection('юю', 'ий', [], ['adj']) // синюю
+        ]],
+        [['instrumental', 'singular'], [
+            suffixInflection('ом', '', [], ['n-m']), // столом
+            suffixInflection('ем', 'ь', [], ['n-m']), // учителем
+            suffixInflection('ём', 'ь', [], ['n-m']), // словарём
+            suffixInflection('ем', 'й', [], ['n-m']), // музеем
+            suffixInflection('ем', '', [], ['n-m'], {precededBy: '[жчшщц]'}), // товарищем
+            suffixInflection('ой', 'а', [], ['n-f']), // книгой
+            suffixInflection('ою', 'а', [], ['n-f']), // книгою
+            suffixInflection('ей', 'я', [], ['n-f']), // неделей
+            suffixInflection('ью', 'ь', [], ['n-f']), // ночью
+            suffixInflection('ом', 'о', [], ['n-n']), // окном
+            suffixInflection('ем', 'е', [], ['n-n']), // полем
+            suffixInflection('ым', 'ый', [], ['adj']), // новым
+            suffixInflection('ым', 'ой', [], ['adj']), // молодым
+            suffixInflection('им', 'ий', [], ['adj']), // синим, русским
+            ...adjectiveFeminineObliqueInflections
+        ]],
+        [['instrumental', 'plural'], [
+            suffixInflection('ами', '', [], ['n-m']), // столами
+            suffixInflection('ами', 'а', [], ['n-f']), // книгами
+            suffixInflection('ами', 'о', [], ['n-n']), // окнами
+            suffixInflection('ями', 'ь', [], ['n']), // словарями
+            suffixInflection('ями', 'й', [], ['n-m']), // музеями
+            suffixInflection('ями', 'я', [], ['n-f']), // неделями
+            suffixInflection('ями', 'е', [], ['n-n']), // полями
+            suffixInflection('ыми', 'ый', [], ['adj']), // новыми
+            suffixInflection('ыми', 'ой', [], ['adj']), // молодыми
+            suffixInflection('ими', 'ий', [], ['adj']) // синими, русскими
+        ]],
+        [['prepositional', 'singular'], [
+            suffixInflection('е', '', [], ['n-m']), // столе
+            suffixInflection('е', 'ь', [], ['n-m']), // словаре
+            suffixInflection('е', 'й', [], ['n-m']), // музее
+            suffixInflection('е', 'а', [], ['n-f']), // книге
+            suffixInflection('е', 'я', [], ['n-f']), // неделе
+            suffixInflection('и', 'ь', [], ['n-f'], {precededBy: notVelar}), // ночи
+            suffixInflection('ии', 'ия', [], ['n-f']), // армии
+            suffixInflection('е', 'о', [], ['n-n']), // окне
+            suffixInflection('и', 'е', [], ['n-n'], {precededBy: 'и'}), // здании
+            suffixInflection('ом', 'ый', [], ['adj']), // новом
+            suffixInflection('ом', 'ой', [], ['adj']), // большом
+            suffixInflection('ом', 'ий', [], ['adj'], {precededBy: velar}), // русском
+            suffixInflection('ем', 'ий', [], ['adj']), // синем
+            ...adjectiveFeminineObliqueInflections
+        ]],
+        [['prepositional', 'plural'], [
+            suffixInflection('ах', '', [], ['n-m']), // столах
+            suffixInflection('ах', 'а', [], ['n-f']), // книгах
+            suffixInflection('ах', 'о', [], ['n-n']), // окнах
+            suffixInflection('ях', 'ь', [], ['n']), // словарях
+            suffixInflection('ях', 'й', [], ['n-m']), // музеях
+            suffixInflection('ях', 'я', [], ['n-f']), // неделях
+            suffixInflection('ях', 'е', [], ['n-n']), // полях
+            suffixInflection('ых', 'ый', [], ['adj']), // новых
+            suffixInflection('ых', 'ой', [], ['adj']), // молодых
+            suffixInflection('их', 'ий', [], ['adj']) // синих, русских
+        ]],
+        [['short', 'feminine'], [
+            suffixInflection('а', 'ый', [], ['adj']) // красива
+        ]],
+        [['short', 'neuter'], [
+            suffixInflection('о', 'ый', [], ['adj']) // красиво
+        ]],
+        [['short', 'plural'], [
+            suffixInflection('ы', 'ый', [], ['adj']) // красивы
+        ]],
+        ['comparative', [
+            suffixInflection('ее', 'ый', [], ['adj']), // новее
+            suffixInflection('ей', 'ый', [], ['adj']) // новей
+        ]],
+        ['superlative', [
+            suffixInflection('ейший', 'ый', [], ['adj']) // новейший
+        ]],
+        // Verbs
+        [['non-past', 'first-person', 'singular'], verbInflections([
+            suffixInflection('ю', 'ть', [], ['v'], {precededBy: vowel}), // читаю, умею
+            suffixInflection('ую', 'овать', [], ['v']), // рисую
+            suffixInflection('ю', 'ить', [], ['v'], {precededBy: consonant}), // говорю
+            suffixInflection('ю', 'еть', [], ['v'], {precededBy: consonant}), // смотрю
+            suffixInflection('лю', 'ить', [], ['v'], {precededBy: '[бвмпф]'}), // люблю
+            suffixInflection('жу', 'дить', [], ['v']), // хожу
+            suffixInflection('жу', 'зить', [], ['v']), // вожу
+            suffixInflection('жу', 'деть', [], ['v']), // вижу
+            suffixInflection('чу', 'тить', [], ['v']), // плачу
+            suffixInflection('щу', 'стить', [], ['v']), // пущу
+            suffixInflection('шу', 'сить', [], ['v']), // прошу
+            suffixInflection('у', 'ить', [], ['v'], {precededBy: sibilant}), // учу
+            suffixInflection('у', 'ать', [], ['v'], {precededBy: sibilant}) // держу, слышу
+        ])],
+        [['non-past', 'second-person', 'singular'], verbInflections([
+            suffixInflection('ешь', 'ть', [], ['v'], {precededBy: vowel}), // читаешь
+            suffixInflection('уешь', 'овать', [], ['v']), // рисуешь
+            suffixInflection('ишь', 'ить', [], ['v']), // говоришь
+            suffixInflection('ишь', 'еть', [], ['v']), // смотришь
+            suffixInflection('ишь', 'ать', [], ['v'], {precededBy: sibilant}) // держишь
+        ])],
+        [['non-past', 'third-person', 'singular'], verbInflections([
+            suffixInflection('ет', 'ть', [], ['v'], {precededBy: vowel}), // читает
+            suffixInflection('ует', 'овать', [], ['v']), // рисует
+            suffixInflection('ит', 'ить', [], ['v']), // говорит
+            suffixInflection('ит', 'еть', [], ['v']), // смотрит
+            suffixInflection('ит', 'ать', [], ['v'], {precededBy: sibilant}) // держит
+        ])],
+        [['non-past', 'first-person', 'plural'], verbInflections([
+            suffixInflection('ем', 'ть', [], ['v'], {precededBy: vowel}), // читаем
+            suffixInflection('уем', 'овать', [], ['v']), // рисуем
+            suffixInflection('им', 'ить', [], ['v']), // говорим
+            suffixInflection('им', 'еть', [], ['v']), // смотрим
+            suffixInflection('им', 'ать', [], ['v'], {precededBy: sibilant}) // держим
+        ])],
+        [['non-past', 'second-person', 'plural'], verbInflections([
+            suffixInflection('ете', 'ть', [], ['v'], {precededBy: vowel}), // читаете
+            suffixInflection('уете', 'овать', [], ['v']), // рисуете
+            suffixInflection('ите', 'ить', [], ['v']), // говорите
+            suffixInflection('ите', 'еть', [], ['v']), // смотрите
+            suffixInflection('ите', 'ать', [], ['v'], {precededBy: sibilant}) // держите
+        ])],
+        [['non-past', 'third-person', 'plural'], verbInflections([
+            suffixInflection('ют', 'ть', [], ['v'], {precededBy: vowel}), // читают
+            suffixInflection('уют', 'овать', [], ['v']), // рисуют
+            suffixInflection('ят', 'ить', [], ['v']), // говорят
+            suffixInflection('ят', 'еть', [], ['v']), // смотрят
+            suffixInflection('ат', 'ить', [], ['v'], {precededBy: sibilant}), // учат
+            suffixInflection('ат', 'ать', [], ['v'], {precededBy: sibilant}) // держат
+        ])],
+        [['past', 'masculine'], verbInflections([
+            suffixInflection('л', 'ть', [], ['v'], {precededBy: vowel}) // читал
+        ])],
+        [['past', 'feminine'], verbInflections([
+            suffixInflection('ла', 'ть', [], ['v'], {precededBy: vowel}) // читала
+        ])],
+        [['past', 'neuter'], verbInflections([
+            suffixInflection('ло', 'ть', [], ['v'], {precededBy: vowel}) // читало
+        ])],
+        [['past', 'plural'], verbInflections([
+            suffixInflection('ли', 'ть', [], ['v'], {precededBy: vowel}) // читали
+        ])],
+        [['imperative', 'singular'], verbInflections([
+            suffixInflection('й', 'ть', [], ['v'], {precededBy: '[аея]'}), // читай
+            suffixInflection('уй', 'овать', [], ['v']), // рисуй
+            suffixInflection('и', 'ить', [], ['v'], {precededBy: consonant}), // говори
+            suffixInflection('ь', 'ить', [], ['v']) // готовь
+        ])],
+        [['imperative', 'plural'], verbInflections([
+            suffixInflection('йте', 'ть', [], ['v'], {precededBy: '[аея]'}), // читайте
+            suffixInflection('уйте', 'овать', [], ['v']), // рисуйте
+            suffixInflection('ите', 'ить', [], ['v'], {precededBy: consonant}), // говорите
+            suffixInflection('ьте', 'ить', [], ['v']) // готовьте
+        ])],
+        // Participles decline like adjectives, so they also apply to the output of the adjective rules
+        [['participle', 'present', 'active'], verbInflections([
+            suffixInflection('ющий', 'ть', ['adj'], ['v'], {precededBy: vowel}), // читающий
+            suffixInflection('ующий', 'овать', ['adj'], ['v']), // рисующий
+            suffixInflection('ящий', 'ить', ['adj'], ['v']), // говорящий
+            suffixInflection('ящий', 'еть', ['adj'], ['v']), // смотрящий
+            suffixInflection('ащий', 'ить', ['adj'], ['v'], {precededBy: sibilant}), // учащий
+            suffixInflection('ащий', 'ать', ['adj'], ['v'], {precededBy: sibilant}) // держащий
+        ])],
+        [['participle', 'past', 'active'], verbInflections([
+            suffixInflection('вший', 'ть', ['adj'], ['v'], {precededBy: vowel}) // читавший, говоривший
+        ])],
+        [['participle', 'present', 'passive'], verbInflections([
+            suffixInflection('емый', 'ть', ['adj'], ['v'], {precededBy: vowel}), // читаемый
+            suffixInflection('уемый', 'овать', ['adj'], ['v']), // рисуемый
+            suffixInflection('имый', 'ить', ['adj'], ['v']) // любимый
+        ])],
+        [['participle', 'past', 'passive'], [
+            suffixInflection('нный', 'ть', ['adj'], ['v'], {precededBy: '[ая]'}), // прочитанный
+            suffixInflection('енный', 'ить', ['adj'], ['v']), // построенный
+            suffixInflection('ённый', 'ить', ['adj'], ['v']), // решённый
+            suffixInflection('тый', 'ть', ['adj'], ['v'], {precededBy: '[иоуы]'}) // открытый
+        ]],
+        [['gerund', 'present'], verbInflections([
+            suffixInflection('я', 'ть', [], ['v'], {precededBy: vowel}), // читая
+            suffixInflection('уя', 'овать', [], ['v']), // рисуя
+            suffixInflection('я', 'ить', [], ['v'], {precededBy: consonant}), // говоря
+            suffixInflection('я', 'еть', [], ['v'], {precededBy: consonant}), // смотря
+            suffixInflection('а', 'ить', [], ['v'], {precededBy: sibilant}), // уча
+            suffixInflection('а', 'ать', [], ['v'], {precededBy: sibilant}) // держа
+        ])],
+        [['gerund', 'past'], verbInflections([
+            suffixInflection('в', 'ть', [], ['v'], {precededBy: vowel}), // прочитав
+            suffixInflection('вши', 'ть', [], ['v'], {precededBy: vowel}) // прочитавши
+        ])],
+        ['reflexive', [
+            suffixInflection('ться', 'ть', ['v'], ['v']), // учиться
+            suffixInflection('тись', 'ти', ['v'], ['v']), // нестись
+            suffixInflection('чься', 'чь', ['v'], ['v']) // беречься
+        ]]
+    ]);
+};
+
+window.languages.ru.sentenceParsing = {
+    terminationCharacters: [
+        {character1: '«', character2: '»', includeCharacterAtStart: false, includeCharacterAtEnd: false},
+        {character1: '„', character2: '“', includeCharacterAtStart: false, includeCharacterAtEnd: false}
+    ],
+    abbreviations: ['т. е.', 'т. д.', 'т. п.', 'т. к.', 'и др.', 'г.', 'гг.', 'см.', 'ул.']
+};
@@ -16,7 +16,8 @@
  */
 
 /* global
-*/
+ * RegexUtil
+ */
 
 import {decapitalize, capitalizeFirstLetter} from '../../textTransformations.js';
 
@@ -60,8 +61,9 @@ window.languages.ru.textTransformations = [
             true: 'Enabled',
             variant: 'Use both variants'
         },
-        transform: (text) => {
-            return text.replace(/\u0301/g, '');
+        transform: (text, sourceMap=null) => {
+            // Accents are combined with the letters they follow
+            return RegexUtil.applyTextReplacement(text, sourceMap, /([^\u0301]?)\u0301+/g, '$1');
         }
     },
     decapitalize,
@@ -16,11 +16,98 @@
  */
 
 /* global
-*/
+ * RegexUtil
+ */
 
 import {decapitalize, capitalizeFirstLetter} from '../../textTransformations.js';
 
+const CYRILLIC_TO_LATIN = new Map([
+    ['а', 'a'], ['б', 'b'], ['в', 'v'], ['г', 'g'], ['д', 'd'], ['ђ', 'đ'], ['е', 'e'], ['ж', 'ž'],
+    ['з', 'z'], ['и', 'i'], ['ј', 'j'], ['к', 'k'], ['л', 'l'], ['љ', 'lj'], ['м', 'm'], ['н', 'n'],
+    ['њ', 'nj'], ['о', 'o'], ['п', 'p'], ['р', 'r'], ['с', 's'], ['т', 't'], ['ћ', 'ć'], ['у', 'u'],
+    ['ф', 'f'], ['х', 'h'], ['ц', 'c'], ['ч', 'č'], ['џ', 'dž'], ['ш', 'š']
+]);
+
+const LATIN_TO_CYRILLIC = new Map([...CYRILLIC_TO_LATIN].map(([cyrillic, latin]) => [latin, cyrillic]));
+
+// 'dž' is two letters when the prefixes nad-, od-, pod- and pred- are followed by a stem starting with 'ž',
+// as in 'nadživeti' (надживети) and 'podžanr' (поджанр), but not in words such as 'odžak' (оџак)
+const PREFIX_D_PATTERN = /(?<=(?<!\p{L})(?:na|o|po|pre))d(?=ž(?:iv|al|anr|ar|nj|elud))/giu;
+
+// Tonal accents and length marks: grave, acute, circumflex, tilde, macron, double grave and inverted breve
+const ACCENT_MARKS_PATTERN = /[\u0300-\u0304\u030F\u0311]/g;
+
+// Letters which can carry an accent; the acute of 'ć' is part of the letter
+const ACCENTED_LETTERS = new Set(['a', 'e', 'i', 'o', 'u', 'r', 'а', 'е', 'и', 'о', 'у', 'р']);
+
+function matchCase(text, source, isUpperCase) {
+    if (source === source.toLowerCase()) { return text; }
+    return isUpperCase ? text.toUpperCase() : text.charAt(0).toUpperCase() + text.substring(1);
+}
+
+function convertCyrillicToLatin(text, sourceMap=null) {
+    // Љ, Њ and Џ are written as LJ, NJ and DŽ in upper case words, and as Lj, Nj and Dž otherwise
+    return RegexUtil.applyTextReplacement(text, sourceMap, /[\u0400-\u04ff](?=(\p{Lu})|)/gu, (letter, next) => {
+        const latin = CYRILLIC_TO_LATIN.get(letter.toLowerCase());
+        if (typeof latin === 'undefined') { return letter; }
+        return matchCase(latin, letter, typeof next === 'string');
+    });
+}
+
+function convertLatinToCyrillic(text, sourceMap=null) {
+    // The 'd' of these prefixes is converted first, so that it is not read as part of 'dž'
+    text = RegexUtil.applyTextReplacement(text, sourceMap, PREFIX_D_PATTERN, (d) => (d === 'D' ? 'Д' : 'д'));
+    // Digraphs are converted before the letters they are made of
+    return RegexUtil.applyTextReplacement(text, sourceMap, /lj|nj|dž|[a-zćčđšž]/giu, (match) => {
+        const cyrillic = LATIN_TO_CYRILLIC.get(match.toLowerCase());
+        if (typeof cyrillic === 'undefined') { return match; }
+        return match !== match.toLowerCase() ? cyrillic.toUpperCase() : cyrillic;
+    });
+}
+
+function removeAccents(text, sourceMap=null) {
+    return RegexUtil.applyTextReplacement(text, sourceMap, /[^\p{ASCII}]\p{M}*|\p{L}\p{M}+/gu, (match) => {
+        const decomposed = match.normalize('NFD');
+        const letter = decomposed.charAt(0);
+        if (!ACCENTED_LETTERS.has(letter.toLowerCase())) { return match; }
+        return decomposed.replace(ACCENT_MARKS_PATTERN, '').normalize('NFC');
+    });
+}
+
 window.languages.sh.textTransformations = [
+    {
+        id: 'cyrillicToLatin',
+        name: 'Convert Cyrillic to Latin',
+        description: 'љубав → ljubav, Џеп → Džep',
+        options: {
+            false: 'Disabled',
+            true: 'Enabled',
+            variant: 'Use both variants'
+        },
+        transform: convertCyrillicToLatin
+    },
+    {
+        id: 'latinToCyrillic',
+        name: 'Convert Latin to Cyrillic',
+        description: 'ljubav → љубав, Džep → Џеп',
+        options: {
+            false: 'Disabled',
+            true: 'Enabled',
+            variant: 'Use both variants'
+        },
+        transform: convertLatinToCyrillic
+    },
+    {
+        id: 'removeAccents',
+        name: 'Remove accents',
+        description: 'ȁ → a, á → a, ȉ → i, ȕ → u',
+        options: {
+            false: 'Disabled',
+            true: 'Enabled',
+            variant: 'Use both variants'
+        },
+        transform: removeAccents
+    },
     decapitalize,
     capitalizeFirstLetter
-];
\ No newline at end of file
+];
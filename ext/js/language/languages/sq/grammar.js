@@ -20,12 +20,20 @@
 */
 
 function conjugationIISuffixInflection(inflectedSuffix, deinflectedSuffix, rulesIn, rulesOut){
-    return {
-        ...suffixInflection(inflectedSuffix, deinflectedSuffix, rulesIn, rulesOut),
-        inflected: new RegExp('.*[^j]' + inflectedSuffix + '$')
-    };
+    return suffixInflection(inflectedSuffix, deinflectedSuffix, rulesIn, rulesOut, {precededBy: '[^j]'});
 }
 
+window.languages.sq.ruleTypes = new Map([
+    ['v',       0b00000001], // Verb
+    ['verb',    0b00000001], // Verb
+    ['n',       0b00000110], // Noun
+    ['noun',    0b00000110], // Noun
+    ['n-m',     0b00000010], // Noun masculine
+    ['n-f',     0b00000100], // Noun feminine
+    ['adj',     0b00001000], // Adjective
+    ['pn',      0b00010000] // Pronoun
+]);
+
 window.languages.sq.getDeinflectionReasons = async () => {
     return new Map([
         // Nouns
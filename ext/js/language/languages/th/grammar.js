@@ -0,0 +1,32 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// Thai is written without spaces between words, so words are found by matching the text against dictionaries
+window.languages.th.wordSegmentation = {
+    // Leading vowels are written before the consonant they follow in speech
+    leadingCharacters: 'เแโใไ',
+    // Sara a, sara aa, sara am and lakkhangyao are spacing vowels which follow their consonant
+    followingCharacters: 'ะาำๅ'
+};
+
+// Angkhankhu and khomut end paragraphs and texts; sentences are otherwise separated by spaces
+window.languages.th.sentenceParsing = {
+    terminationCharacters: [
+        {character1: '๚', character2: null, includeCharacterAtStart: false, includeCharacterAtEnd: true},
+        {character1: '๛', character2: null, includeCharacterAtStart: false, includeCharacterAtEnd: true}
+    ]
+};
@@ -16,11 +16,80 @@
  */
 
 /* global
-*/
+ * RegexUtil
+ */
 
 import {decapitalize, capitalizeFirstLetter} from '../../textTransformations.js';
 
+// Grave (huyền), acute (sắc), tilde (ngã), hook above (hỏi) and dot below (nặng)
+const TONE_MARKS = '\u0300\u0301\u0303\u0309\u0323';
+
+const TONE_MARKS_PATTERN = new RegExp(`[${TONE_MARKS}]`, 'gu');
+
+// The open syllables "oa", "oe" and "uy" have their tone mark on the first vowel in the old style (hòa, thúy),
+// and on the second vowel in the new style (hoà, thuý). The "u" of "qu" is part of the consonant.
+const OLD_STYLE_PATTERN = new RegExp(`(o)([${TONE_MARKS}])([ae])$|((?<!q)u)([${TONE_MARKS}])(y)$`, 'iu');
+const NEW_STYLE_PATTERN = new RegExp(`(o)([ae])([${TONE_MARKS}])$|((?<!q)u)(y)([${TONE_MARKS}])$`, 'iu');
+
+function replaceInSyllables(text, sourceMap, replace) {
+    return RegexUtil.applyTextReplacement(text, sourceMap, /[\p{L}\p{M}]+/gu, (syllable) => {
+        const syllable2 = replace(syllable.normalize('NFD')).normalize('NFC');
+        return syllable2 !== syllable.normalize('NFC') ? syllable2 : syllable;
+    });
+}
+
+function convertToNewStyle(text, sourceMap=null) {
+    return replaceInSyllables(text, sourceMap, (syllable) => syllable.replace(
+        OLD_STYLE_PATTERN,
+        (match, o, oTone, ae, u, uTone, y) => (typeof o === 'string' ? `${o}${ae}${oTone}` : `${u}${y}${uTone}`)
+    ));
+}
+
+function convertToOldStyle(text, sourceMap=null) {
+    return replaceInSyllables(text, sourceMap, (syllable) => syllable.replace(
+        NEW_STYLE_PATTERN,
+        (match, o, ae, oTone, u, y, uTone) => (typeof o === 'string' ? `${o}${oTone}${ae}` : `${u}${uTone}${y}`)
+    ));
+}
+
+function removeToneMarks(text, sourceMap=null) {
+    return replaceInSyllables(text, sourceMap, (syllable) => syllable.replace(TONE_MARKS_PATTERN, ''));
+}
+
 window.languages.vi.textTransformations = [
+    {
+        id: 'toneMarksNewStyle',
+        name: 'Place tone marks in the new style',
+        description: 'hòa → hoà, thúy → thuý',
+        options: {
+            false: 'Disabled',
+            true: 'Enabled',
+            variant: 'Use both variants'
+        },
+        transform: convertToNewStyle
+    },
+    {
+        id: 'toneMarksOldStyle',
+        name: 'Place tone marks in the old style',
+        description: 'hoà → hòa, thuý → thúy',
+        options: {
+            false: 'Disabled',
+            true: 'Enabled',
+            variant: 'Use both variants'
+        },
+        transform: convertToOldStyle
+    },
+    {
+        id: 'removeToneMarks',
+        name: 'Remove tone marks',
+        description: 'đọc sách → đoc sach',
+        options: {
+            false: 'Disabled',
+            true: 'Enabled',
+            variant: 'Use both variants'
+        },
+        transform: removeToneMarks
+    },
     decapitalize,
     capitalizeFirstLetter
-];
\ No newline at end of file
+];
@@ -0,0 +1,244 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* global
+ * RegexUtil
+ */
+
+const ChineseUtil = (() => {
+    // Pairs of simplified and traditional characters which are converted in both directions
+    const SIMPLIFIED_TRADITIONAL_PAIRS = (
+        '爱愛罢罷备備贝貝笔筆毕畢边邊变變标標别別宾賓补補参參蚕蠶灿燦层層产產长長尝嘗场場厂廠车車彻徹陈陳衬襯称稱' +
+        '惩懲迟遲齿齒虫蟲处處础礎触觸传傳疮瘡闯闖创創锤錘词詞辞辭从從聪聰丛叢错錯达達带帶单單担擔胆膽弹彈当當挡擋' +
+        '党黨导導灯燈邓鄧敌敵递遞点點电電钓釣东東冻凍动動栋棟独獨读讀断斷队隊对對吨噸夺奪堕墮鹅鵝额額儿兒尔爾饵餌' +
+        '发發罚罰阀閥饭飯访訪纺紡飞飛废廢费費纷紛坟墳奋奮粪糞丰豐风風疯瘋冯馮缝縫凤鳳肤膚辐輻抚撫辅輔赋賦负負妇婦' +
+        '该該盖蓋赶趕杆桿刚剛钢鋼纲綱岗崗个個给給巩鞏沟溝构構购購够夠顾顧关關观觀馆館惯慣贯貫广廣规規归歸龟龜轨軌' +
+        '柜櫃贵貴锅鍋国國过過汉漢号號贺賀护護划劃画畫话話怀懷坏壞欢歡环環还還换換唤喚黄黃挥揮辉輝汇匯会會绘繪贿賄' +
+        '秽穢获獲货貨祸禍击擊机機积積饥飢鸡雞级級极極几幾计計记記纪紀际際继繼济濟迹跡价價驾駕坚堅歼殲间間监監检檢' +
+        '简簡俭儉减減荐薦见見舰艦鉴鑑践踐贱賤键鍵将將奖獎讲講酱醬胶膠骄驕娇嬌脚腳饺餃较較轿轎阶階节節洁潔结結届屆' +
+        '紧緊尽盡进進晋晉经經惊驚竞競静靜镜鏡纠糾旧舊剧劇举舉惧懼据據觉覺决決绝絕军軍开開凯凱壳殼课課垦墾恳懇库庫' +
+        '裤褲夸誇块塊宽寬矿礦亏虧扩擴阔闊腊臘蜡蠟来來赖賴兰蘭拦攔栏欄蓝藍篮籃览覽懒懶烂爛滥濫劳勞乐樂垒壘类類泪淚' +
+        '离離礼禮丽麗厉厲励勵历歷联聯连連怜憐帘簾脸臉练練炼煉恋戀凉涼粮糧两兩辆輛谅諒疗療辽遼猎獵临臨邻鄰铃鈴灵靈' +
+        '龄齡领領刘劉龙龍楼樓录錄陆陸驴驢虑慮滤濾乱亂轮輪论論罗羅萝蘿逻邏锣鑼箩籮骡騾络絡妈媽马馬玛瑪码碼蚂螞骂罵' +
+        '吗嗎买買卖賣麦麥迈邁瞒瞞馒饅满滿猫貓贸貿么麼没沒门門们們梦夢弥彌觅覓绵綿庙廟灭滅鸣鳴铭銘谋謀亩畝纳納难難' +
+        '脑腦恼惱闹鬧内內腻膩鸟鳥聂聶宁寧农農浓濃脓膿诺諾欧歐呕嘔盘盤赔賠喷噴鹏鵬骗騙飘飄贫貧频頻苹蘋评評凭憑扑撲' +
+        '铺鋪谱譜齐齊骑騎岂豈启啟气氣弃棄迁遷钎釺铅鉛谦謙钱錢钳鉗浅淺枪槍墙牆强強抢搶桥橋乔喬侨僑窍竅窃竊亲親轻輕' +
+        '倾傾庆慶琼瓊穷窮区區驱驅躯軀趋趨权權劝勸确確让讓扰擾热熱认認荣榮软軟锐銳润潤洒灑伞傘丧喪扫掃涩澀杀殺纱紗' +
+        '晒曬闪閃伤傷赏賞烧燒绍紹设設摄攝绅紳审審婶嬸肾腎渗滲声聲绳繩胜勝圣聖师師狮獅湿濕诗詩时時实實识識势勢适適' +
+        '释釋试試视視饰飾寿壽兽獸书書输輸术術树樹属屬数數帅帥双雙谁誰顺順说說硕碩丝絲饲飼耸聳讼訟颂頌诉訴肃肅虽雖' +
+        '随隨岁歲孙孫损損笋筍缩縮锁鎖态態摊攤滩灘坛壇谈談叹嘆汤湯烫燙涛濤讨討腾騰誊謄题題体體条條铁鐵厅廳听聽头頭' +
+        '图圖团團颓頹托託驼駝袜襪弯彎湾灣顽頑万萬网網为為韦韋违違围圍伟偉伪偽卫衛纬緯谓謂闻聞稳穩问問窝窩卧臥乌烏' +
+        '污汙无無务務雾霧误誤牺犧习習戏戲细細虾蝦吓嚇峡峽狭狹厦廈鲜鮮纤纖闲閑贤賢显顯险險现現献獻县縣宪憲线線乡鄉' +
+        '详詳响響项項协協胁脅写寫泻瀉谢謝兴興续續选選学學寻尋训訓讯訊逊遜压壓鸭鴨亚亞烟煙严嚴盐鹽颜顏验驗阳陽养養' +
+        '样樣钥鑰药藥爷爺叶葉页頁业業医醫仪儀遗遺亿億忆憶艺藝议議异異谊誼译譯阴陰银銀饮飲隐隱樱櫻婴嬰应應鹰鷹营營' +
+        '蝇蠅赢贏颖穎拥擁佣傭踊踴优優忧憂邮郵犹猶鱼魚渔漁与與语語屿嶼预預狱獄誉譽园園员員圆圓缘緣远遠愿願约約跃躍' +
+        '阅閱云雲运運晕暈韵韻杂雜灾災载載攒攢暂暫赞讚脏髒凿鑿枣棗灶竈责責泽澤贼賊赠贈闸閘诈詐斋齋债債毡氈盏盞斩斬' +
+        '辗輾战戰绽綻张張涨漲帐帳账賬胀脹赵趙这這针針侦偵诊診阵陣镇鎮争爭睁睜郑鄭证證织織职職执執纸紙挚摯掷擲帜幟' +
+        '质質钟鐘终終种種肿腫众眾诌謅轴軸皱皺昼晝骤驟猪豬诸諸烛燭嘱囑瞩矚贮貯铸鑄筑築驻駐专專砖磚转轉赚賺庄莊装裝' +
+        '妆妝壮壯状狀锥錐浊濁总總纵縱邹鄒诅詛组組钻鑽华華报報办辦帮幫签簽红紅绿綠赛賽择擇义義请請烦煩厨廚厕廁顶頂' +
+        '须須饱飽饿餓驶駛鲁魯韩韓顿頓颗顆闭閉闷悶链鏈销銷铜銅钉釘锻鍛贡貢财財败敗贩販贪貪贴貼贷貸资資踪蹤轩軒轰轟' +
+        '辈輩芦蘆苍蒼苏蘇莲蓮蚁蟻蛮蠻订訂许許诚誠询詢谣謠谨謹绕繞纯純纹紋统統绩績维維综綜缓緩编編翘翹肠腸痒癢畅暢' +
+        '旷曠晓曉杨楊残殘毁毀泼潑浇澆测測涂塗渐漸温溫滚滾滞滯炉爐牵牽扬揚拟擬挂掛挤擠捡撿搀攙摆擺摇搖币幣岛島尘塵' +
+        '宝寶夹夾惨慘愤憤悬懸恶惡仅僅仓倉伦倫侠俠侣侶兑兌冈岡册冊况況净淨凑湊则則删刪刹剎剂劑剑劍劲勁勋勳卢盧却卻' +
+        '厌厭叙敘吴吳呜嗚咏詠哑啞哟喲啰囉坠墜垄壟垫墊娱娛沪滬'
+    );
+
+    // Traditional characters which are only converted to simplified characters,
+    // since their simplified forms are also written in traditional text
+    const TRADITIONAL_ONLY_PAIRS = (
+        '乾干幹干髮发麵面裡里裏里後后隻只臺台檯台颱台係系繫系製制準准鬆松鬍胡穀谷範范醜丑捲卷復复複复曆历鬥斗' +
+        '鍾钟衝冲沖冲瞭了噁恶嚮向薑姜纔才儘尽誌志遊游禦御徵征紮扎樸朴颳刮餘余夥伙傢家採采'
+    );
+
+    const SIMPLIFIED_TO_TRADITIONAL = new Map();
+    const TRADITIONAL_TO_SIMPLIFIED = new Map();
+    for (let i = 0; i < SIMPLIFIED_TRADITIONAL_PAIRS.length; i += 2) {
+        const simplified = SIMPLIFIED_TRADITIONAL_PAIRS[i];
+        const traditional = SIMPLIFIED_TRADITIONAL_PAIRS[i + 1];
+        SIMPLIFIED_TO_TRADITIONAL.set(simplified, traditional);
+        TRADITIONAL_TO_SIMPLIFIED.set(traditional, simplified);
+    }
+    for (let i = 0; i < TRADITIONAL_ONLY_PAIRS.length; i += 2) {
+        TRADITIONAL_TO_SIMPLIFIED.set(TRADITIONAL_ONLY_PAIRS[i], TRADITIONAL_ONLY_PAIRS[i + 1]);
+    }
+
+    // Vowels with tone marks for tones 1 to 4
+    const TONE_MARKS = new Map([
+        ['a', 'āáǎà'], ['e', 'ēéěè'], ['i', 'īíǐì'], ['o', 'ōóǒò'], ['u', 'ūúǔù'], ['ü', 'ǖǘǚǜ'],
+        ['A', 'ĀÁǍÀ'], ['E', 'ĒÉĚÈ'], ['I', 'ĪÍǏÌ'], ['O', 'ŌÓǑÒ'], ['U', 'ŪÚǓÙ'], ['Ü', 'ǕǗǙǛ']
+    ]);
+
+    const MARKED_VOWELS = new Map();
+    for (const [vowel, markedVowels] of TONE_MARKS) {
+        [...markedVowels].forEach((markedVowel, i) => MARKED_VOWELS.set(markedVowel, [vowel, i + 1]));
+    }
+
+    const VOWELS = [...TONE_MARKS.keys(), ...MARKED_VOWELS.keys()].join('');
+    const FINAL = `(?:ng(?![${VOWELS}])|n(?![${VOWELS}])|r(?![${VOWELS}]))?`;
+
+    // A final n, ng or r belongs to the next syllable when a vowel follows it
+    const MARKED_SYLLABLE_PATTERN = new RegExp(`[b-df-hj-np-tv-z]*[${VOWELS}]+${FINAL}`, 'giu');
+    // The part of a syllable from its marked vowel to its end
+    const MARKED_VOWEL_PATTERN = new RegExp(`[${[...MARKED_VOWELS.keys()].join('')}][${VOWELS}]*${FINAL}`, 'giu');
+    const NUMBERED_SYLLABLE_PATTERN = /((?:[a-zü]|u:)+)([0-5])/giu;
+    const ERHUA_PATTERN = /^r[0-5]?$/i;
+    const HAN_PATTERN = /\p{Script=Han}/u;
+
+    function placeToneMark(syllable, tone) {
+        const text = syllable.replace(/u:|v/g, 'ü').replace(/U:|V/g, 'Ü');
+        if (tone === 5 || tone === 0) { return text; }
+
+        // The mark goes on a or e, on the o of ou, and otherwise on the last vowel
+        const lower = text.toLowerCase();
+        let index = lower.indexOf('a');
+        if (index < 0) { index = lower.indexOf('e'); }
+        if (index < 0) { index = lower.indexOf('ou'); }
+        if (index < 0) {
+            for (let i = lower.length - 1; i >= 0; --i) {
+                if (TONE_MARKS.has(lower[i])) {
+                    index = i;
+                    break;
+                }
+            }
+        }
+        if (index < 0) { return null; }
+
+        return text.substring(0, index) + TONE_MARKS.get(text[index])[tone - 1] + text.substring(index + 1);
+    }
+
+    function removeToneMark(syllable) {
+        for (let i = 0; i < syllable.length; ++i) {
+            const value = MARKED_VOWELS.get(syllable[i]);
+            if (typeof value === 'undefined') { continue; }
+            const [vowel, tone] = value;
+            return {text: syllable.substring(0, i) + vowel + syllable.substring(i + 1), tone};
+        }
+        return {text: syllable, tone: 5};
+    }
+
+
+    // eslint-disable-next-line no-shadow
+    class ChineseUtil {
+        // Simplified and traditional characters
+
+        convertSimplifiedToTraditional(text) {
+            let result = '';
+            for (const c of text) {
+                const c2 = SIMPLIFIED_TO_TRADITIONAL.get(c);
+                result += (typeof c2 !== 'undefined' ? c2 : c);
+            }
+            return result;
+        }
+
+        convertTraditionalToSimplified(text) {
+            let result = '';
+            for (const c of text) {
+                const c2 = TRADITIONAL_TO_SIMPLIFIED.get(c);
+                result += (typeof c2 !== 'undefined' ? c2 : c);
+            }
+            return result;
+        }
+
+        isStringPartiallyChinese(text) {
+            return HAN_PATTERN.test(text);
+        }
+
+        // Pinyin
+
+        /**
+         * Converts pinyin with tone numbers to pinyin with tone marks, e.g. `ni3 hao3` to `nǐ hǎo`.
+         * @param {string} text The text to convert.
+         * @param {?TextSourceMap} sourceMap The source map to update, or `null`.
+         * @returns {string} The converted text.
+         */
+        convertToneNumbersToMarks(text, sourceMap=null) {
+            return RegexUtil.applyTextReplacement(text, sourceMap, NUMBERED_SYLLABLE_PATTERN, (match, syllable, tone) => {
+                const result = placeToneMark(syllable, Number.parseInt(tone, 10));
+                return result !== null ? result : match;
+            });
+        }
+
+        /**
+         * Converts pinyin with tone marks to pinyin with tone numbers, e.g. `nǐ hǎo` to `ni3 hao3`.
+         * Neutral tone syllables are left without a number.
+         * @param {string} text The text to convert.
+         * @param {?TextSourceMap} sourceMap The source map to update, or `null`.
+         * @returns {string} The converted text.
+         */
+        convertToneMarksToNumbers(text, sourceMap=null) {
+            return RegexUtil.applyTextReplacement(text, sourceMap, MARKED_VOWEL_PATTERN, (match) => {
+                const {text: text2, tone} = removeToneMark(match);
+                return `${text2}${tone}`;
+            });
+        }
+
+        /**
+         * Splits a pinyin reading into syllables.
+         * @param {string} reading The reading, with tone marks or tone numbers.
+         * @returns {{text: string, tone: ?number}[]} The syllables with tone marks, and their tones.
+         *   The tone is 5 for the neutral tone, and `null` if the text is not pinyin.
+         */
+        getPinyinSyllables(reading) {
+            const syllables = [];
+            for (const token of reading.split(/[\s'’]+/u)) {
+                if (token.length === 0) { continue; }
+                if (ERHUA_PATTERN.test(token)) {
+                    syllables.push({text: token[0], tone: 5});
+                    continue;
+                }
+
+                const marked = this.convertToneNumbersToMarks(token);
+                const parts = marked.match(MARKED_SYLLABLE_PATTERN);
+                if (parts === null || parts.join('') !== marked) {
+                    syllables.push({text: token, tone: null});
+                    continue;
+                }
+                for (const part of parts) {
+                    syllables.push({text: part, tone: removeToneMark(part).tone});
+                }
+            }
+            return syllables;
+        }
+
+        /**
+         * Distributes the syllables of a pinyin reading over the characters of a term.
+         * @param {string} term The term.
+         * @param {string} reading The pinyin reading of the term.
+         * @returns {?{text: string, reading: string, tone: number}[]} The characters with their syllables,
+         *   or `null` if the reading does not have one syllable for each character.
+         */
+        distributePinyin(term, reading) {
+            const characters = [...term];
+            const syllables = this.getPinyinSyllables(reading);
+            if (
+                characters.length !== syllables.length ||
+                !this.isStringPartiallyChinese(term) ||
+                syllables.some(({tone}) => tone === null)
+            ) {
+                return null;
+            }
+
+            return characters.map((text, i) => {
+                const {text: reading2, tone} = syllables[i];
+                return {text, reading: HAN_PATTERN.test(text) ? reading2 : '', tone};
+            });
+        }
+    }
+
+
+    return ChineseUtil;
+})();
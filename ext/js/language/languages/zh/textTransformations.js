@@ -0,0 +1,69 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* global
+ * ChineseUtil
+ */
+
+const chineseUtil = new ChineseUtil();
+
+window.languages.zh.textTransformations = [
+    {
+        id: 'simplifiedToTraditional',
+        name: 'Convert simplified to traditional characters',
+        description: '汉语 → 漢語',
+        options: {
+            false: 'Disabled',
+            true: 'Enabled',
+            variant: 'Use both variants'
+        },
+        transform: (text) => chineseUtil.convertSimplifiedToTraditional(text)
+    },
+    {
+        id: 'traditionalToSimplified',
+        name: 'Convert traditional to simplified characters',
+        description: '漢語 → 汉语',
+        options: {
+            false: 'Disabled',
+            true: 'Enabled',
+            variant: 'Use both variants'
+        },
+        transform: (text) => chineseUtil.convertTraditionalToSimplified(text)
+    },
+    {
+        id: 'toneMarksToNumbers',
+        name: 'Convert pinyin tone marks to tone numbers',
+        description: 'nǐ hǎo → ni3 hao3',
+        options: {
+            false: 'Disabled',
+            true: 'Enabled',
+            variant: 'Use both variants'
+        },
+        transform: (text, sourceMap) => chineseUtil.convertToneMarksToNumbers(text, sourceMap)
+    },
+    {
+        id: 'toneNumbersToMarks',
+        name: 'Convert pinyin tone numbers to tone marks',
+        description: 'ni3 hao3 → nǐ hǎo',
+        options: {
+            false: 'Disabled',
+            true: 'Enabled',
+            variant: 'Use both variants'
+        },
+        transform: (text, sourceMap) => chineseUtil.convertToneNumbersToMarks(text, sourceMap)
+    }
+];
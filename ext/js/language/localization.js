@@ -1,20 +1,101 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Class which translates the interface into the locale of the current profile.
+ * Elements are translated using the keys of their `i18n`, `i18n-title` and `i18n-placeholder` attributes.
+ * A translation of an element which contains other elements refers to them as `{0}`, `{1}`, etc.,
+ * in the order in which they appear, so that they keep their own content and event listeners.
+ */
 class LocalizationController {
     constructor(settingsController) {
         this._settingsController = settingsController;
-        this._locale = "";
+        this._locale = '';
         this._translations = {};
+        this._selectElement = null;
+        this._placeholderPattern = /\{(\d+)\}/g;
     }
 
-    async prepare(options) { 
+    async prepare(options) {
         this._settingsController?.on('optionsChanged', this._onOptionsChanged.bind(this));
         this._locales = await yomichan.api.getLocales();
         this._setSelectElement('locale-select');
         options ? this._onOptionsChanged({options}) : await this._updateOptions();
     }
 
+    /**
+     * Changes the locale and translates the document.
+     * @param {string} locale The locale.
+     * @returns {Promise<boolean>} `true` if the locale was changed, `false` if it was already in use.
+     */
+    async setLocale(locale) {
+        if (locale === this._locale) { return false; }
+        this._locale = locale;
+        this._translations = await yomichan.api.getTranslations(locale);
+        this.translate(document);
+        return true;
+    }
+
+    /**
+     * Gets the translation of a key.
+     * @param {string} key The key, as a dot-separated path into `i18n.json`.
+     * @returns {?string} The translation, or `null` if there is none.
+     */
+    getTranslation(key) {
+        const translation = this.getDeep(this._translations, key);
+        return typeof translation === 'string' ? translation : null;
+    }
+
+    /**
+     * Gets the translation of a key, with its `{0}`, `{1}`, etc. placeholders replaced by values.
+     * @param {string} key The key, as a dot-separated path into `i18n.json`.
+     * @param {Array<string|number>} values The values of the placeholders.
+     * @returns {?string} The formatted translation, or `null` if there is none.
+     */
+    formatTranslation(key, values) {
+        const translation = this.getTranslation(key);
+        if (translation === null) { return null; }
+        return translation.replace(this._placeholderPattern, (match, index) => `${values[Number.parseInt(index, 10)]}`);
+    }
+
+    /**
+     * Translates every element in a node, including the content of its templates.
+     * @param {Document|Element|DocumentFragment} root The node to translate.
+     */
+    translate(root) {
+        for (const element of root.querySelectorAll('[i18n], [i18n-title], [i18n-placeholder]')) {
+            this._translateElement(element);
+        }
+        for (const template of root.querySelectorAll('template')) {
+            this.translate(template.content);
+        }
+    }
+
+    getDeep(object, path, defaultValue=null) {
+        return path
+            .split('.')
+            .reduce((o, p) => o ? o[p] : defaultValue, object);
+    }
+
+    // Private
+
     _setSelectElement(selectId) {
         this._selectElement = document.getElementById(selectId);
-        if (!this._selectElement) return;
+        if (!this._selectElement) { return; }
         this._fillSelect();
         this._selectElement.addEventListener('change', this._onSelectChange.bind(this));
     }
@@ -33,11 +114,7 @@ class LocalizationController {
     }
 
     async _onOptionsChanged({options: {general: {locale}}}) {
-        if (locale !== this._locale) {
-            this._locale = locale;
-            this._translations = await yomichan.api.getTranslations(this._locale);
-            this._translateAll();
-        }
+        await this.setLocale(locale);
     }
 
     async _updateOptions() {
@@ -45,29 +122,65 @@ class LocalizationController {
         this._onOptionsChanged({options});
     }
 
-    _translateAll() {
-        const translatables = document.querySelectorAll('[i18n], [i18n-title]');
-        translatables.forEach((element) => {
-            this._translateElement(element);
-        });
-    }
-    
     _translateElement(element) {
-      const key = element.getAttribute("i18n");
-      const title = element.getAttribute("i18n-title");
-      if(key){
-          const translation = this.getDeep(this._translations, key);
-          element.innerText = translation || element.innerText;
-      }
-      if(title){
-          const translation = this.getDeep(this._translations, title);
-          element.setAttribute("title", translation || element.getAttribute("title"));
-      }
+        const key = element.getAttribute('i18n');
+        const title = element.getAttribute('i18n-title');
+        const placeholder = element.getAttribute('i18n-placeholder');
+        if (key) {
+            const translation = this.getTranslation(key);
+            if (translation !== null) {
+                this._setContent(element, translation);
+            }
+        }
+        if (title) {
+            const translation = this.getTranslation(title);
+            if (translation !== null) {
+                element.setAttribute('title', translation);
+                if (element.hasAttribute('data-title-default')) {
+                    element.setAttribute('data-title-default', translation);
+                }
+                this._updateHotkeyTitle(element, translation);
+            }
+        }
+        if (placeholder) {
+            const translation = this.getTranslation(placeholder);
+            if (translation !== null) {
+                element.setAttribute('placeholder', translation);
+            }
+        }
     }
 
-    getDeep (object, path, defaultValue = null) {
-        return path
-            .split('.')
-            .reduce((o, p) => o ? o[p] : defaultValue, object)
+    _setContent(element, translation) {
+        const children = [...element.children];
+        if (children.length === 0) {
+            element.textContent = translation;
+            return;
+        }
+
+        const fragment = document.createDocumentFragment();
+        const parts = translation.split(this._placeholderPattern);
+        for (let i = 0, ii = parts.length; i < ii; ++i) {
+            if (i % 2 === 0) {
+                if (parts[i].length > 0) { fragment.appendChild(document.createTextNode(parts[i])); }
+            } else {
+                const child = children[Number.parseInt(parts[i], 10)];
+                if (typeof child !== 'undefined') { fragment.appendChild(child); }
+            }
+        }
+        element.textContent = '';
+        element.appendChild(fragment);
+    }
+
+    _updateHotkeyTitle(element, translation) {
+        // Hotkey titles are formatted by HotkeyHelpController, which keeps the untranslated title as the default
+        const {hotkey} = element.dataset;
+        if (typeof hotkey !== 'string') { return; }
+        const data = JSON.parse(hotkey);
+        const attributes = Array.isArray(data[1]) ? data[1] : [data[1]];
+        data[2] = Array.isArray(data[2]) ? attributes.map(() => `${translation} ({0})`) : `${translation} ({0})`;
+        if (data.length > 3) {
+            data[3] = attributes.map(() => translation);
+        }
+        element.dataset.hotkey = JSON.stringify(data);
     }
-}
\ No newline at end of file
+}
@@ -17,6 +17,7 @@
 
 /* global
  * DocumentUtil
+ * LanguageDetector
  */
 
 class TextScanner extends EventDispatcher {
@@ -28,7 +29,8 @@ class TextScanner extends EventDispatcher {
         searchTerms=false,
         searchKanji=false,
         searchOnClick=false,
-        searchOnClickOnly=false
+        searchOnClickOnly=false,
+        useLanguageTags=false
     }) {
         super();
         this._node = node;
@@ -39,6 +41,8 @@ class TextScanner extends EventDispatcher {
         this._searchKanji = searchKanji;
         this._searchOnClick = searchOnClick;
         this._searchOnClickOnly = searchOnClickOnly;
+        this._useLanguageTags = useLanguageTags;
+        this._languageDetector = new LanguageDetector();
 
         this._isPrepared = false;
         this._includeSelector = null;
@@ -63,9 +67,14 @@ class TextScanner extends EventDispatcher {
         this._matchTypePrefix = false;
         this._sentenceScanExtent = 0;
         this._sentenceTerminateAtNewlines = true;
-        this._sentenceTerminatorMap = new Map();
-        this._sentenceForwardQuoteMap = new Map();
-        this._sentenceBackwardQuoteMap = new Map();
+        this._sentenceTerminationCharacterMode = null;
+        this._sentenceTerminationCharacters = null;
+        this._language = null;
+        this._languageDetection = false;
+        this._languageSentenceParsing = {terminationCharacters: [], abbreviations: [], lookupUsesSentence: false};
+        this._sentenceParser = this._createSentenceParser(this._languageSentenceParsing);
+        // Sentence parsers of detected languages which are looked up instead of `_language`
+        this._detectedLanguageSentenceParsers = new Map();
         this._inputs = [];
 
         this._enabled = false;
@@ -160,6 +169,9 @@ class TextScanner extends EventDispatcher {
         layoutAwareScan,
         preventMiddleMouse,
         sentenceParsingOptions,
+        language,
+        languageDetection,
+        languageSentenceParsing,
         matchTypePrefix
     }) {
         if (Array.isArray(inputs)) {
@@ -195,6 +207,15 @@ class TextScanner extends EventDispatcher {
         if (typeof matchTypePrefix === 'boolean') {
             this._matchTypePrefix = matchTypePrefix;
         }
+        if (typeof language === 'string') {
+            this._language = language;
+        }
+        if (typeof languageDetection === 'boolean') {
+            this._languageDetection = languageDetection;
+        }
+        if (typeof languageSentenceParsing === 'object' && languageSentenceParsing !== null) {
+            this._languageSentenceParsing = languageSentenceParsing;
+        }
         if (typeof sentenceParsingOptions === 'object' && sentenceParsingOptions !== null) {
             const {scanExtent, terminationCharacterMode, terminationCharacters} = sentenceParsingOptions;
             if (typeof scanExtent === 'number') {
@@ -202,29 +223,12 @@ class TextScanner extends EventDispatcher {
             }
             if (typeof terminationCharacterMode === 'string') {
                 this._sentenceTerminateAtNewlines = (terminationCharacterMode === 'custom' || terminationCharacterMode === 'newlines');
-                const sentenceTerminatorMap = this._sentenceTerminatorMap;
-                const sentenceForwardQuoteMap = this._sentenceForwardQuoteMap;
-                const sentenceBackwardQuoteMap = this._sentenceBackwardQuoteMap;
-                sentenceTerminatorMap.clear();
-                sentenceForwardQuoteMap.clear();
-                sentenceBackwardQuoteMap.clear();
-                if (
-                    typeof terminationCharacters === 'object' &&
-                    Array.isArray(terminationCharacters) &&
-                    (terminationCharacterMode === 'custom' || terminationCharacterMode === 'custom-no-newlines')
-                ) {
-                    for (const {enabled, character1, character2, includeCharacterAtStart, includeCharacterAtEnd} of terminationCharacters) {
-                        if (!enabled) { continue; }
-                        if (character2 === null) {
-                            sentenceTerminatorMap.set(character1, [includeCharacterAtStart, includeCharacterAtEnd]);
-                        } else {
-                            sentenceForwardQuoteMap.set(character1, [character2, includeCharacterAtStart]);
-                            sentenceBackwardQuoteMap.set(character2, [character1, includeCharacterAtEnd]);
-                        }
-                    }
-                }
+                this._sentenceTerminationCharacterMode = terminationCharacterMode;
+                this._sentenceTerminationCharacters = terminationCharacters;
             }
         }
+        this._sentenceParser = this._createSentenceParser(this._languageSentenceParsing);
+        this._detectedLanguageSentenceParsers.clear();
     }
 
     getTextSourceContent(textSource, length, layoutAwareScan) {
@@ -329,11 +333,15 @@ class TextScanner extends EventDispatcher {
 
             ({optionsContext, detail} = await this._getSearchContext());
             optionsContext = this._createOptionsContextForInput(optionsContext, inputInfo);
+            let sourceSentence = null;
+            if (textSource !== null && this._languageDetection) {
+                sourceSentence = await this._detectLanguage(textSource, optionsContext);
+            }
 
             searched = true;
 
             let valid = false;
-            const result = await this._findDictionaryEntries(textSource, searchTerms, searchKanji, optionsContext);
+            const result = await this._findDictionaryEntries(textSource, searchTerms, searchKanji, optionsContext, sourceSentence);
             if (result !== null) {
                 ({dictionaryEntries, sentence, type} = result);
                 valid = true;
@@ -372,6 +380,51 @@ class TextScanner extends EventDispatcher {
         return results;
     }
 
+    /**
+     * Sets the `language` of an options context to the language detected for the sentence of a text source.
+     * The language of the context, such as the one detected by a parent frame, is kept if no language is detected.
+     * @param {TextSourceElement|TextSourceRange} textSource The text source.
+     * @param {object} optionsContext The options context to update.
+     * @returns {Promise<{text: string, offset: number}>} The sentence of the text source, which lookups can reuse.
+     *   It is found again with the sentence parsing rules of the detected language, if the text is looked up in it.
+     */
+    async _detectLanguage(textSource, optionsContext) {
+        const sentence = this._extractSentence(textSource);
+        const languageTag = this._useLanguageTags ? this._getLanguageTag(textSource) : null;
+        const language = this._languageDetector.detect(sentence.text, languageTag);
+        if (language === null) { return sentence; }
+
+        optionsContext.language = language;
+        const sentenceParser = await this._getDetectedLanguageSentenceParser(language, optionsContext);
+        return sentenceParser !== null ? this._extractSentence(textSource, sentenceParser) : sentence;
+    }
+
+    async _getDetectedLanguageSentenceParser(language, optionsContext) {
+        let sentenceParser = this._detectedLanguageSentenceParsers.get(language);
+        if (typeof sentenceParser === 'undefined') {
+            sentenceParser = null;
+            // The detected language is only looked up if the language of the profile can be replaced by it
+            const lookupLanguage = await yomichan.api.getLookupLanguage(optionsContext);
+            if (lookupLanguage !== this._language) {
+                sentenceParser = this._createSentenceParser(await yomichan.api.getSentenceParsing(lookupLanguage));
+            }
+            this._detectedLanguageSentenceParsers.set(language, sentenceParser);
+        }
+        return sentenceParser;
+    }
+
+    _getLanguageTag(textSource) {
+        let node = (textSource.type === 'range' ? textSource.imposterSourceElement : null);
+        if (node === null) {
+            const nodes = textSource.getNodesInRange();
+            if (nodes.length === 0) { return null; }
+            node = nodes[0];
+        }
+        const element = (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement);
+        const languageElement = (element !== null ? element.closest('[lang]') : null);
+        return (languageElement !== null ? languageElement.lang : null);
+    }
+
     _resetPreventNextClickScan() {
         this._preventNextClickScan = false;
         if (this._preventNextClickScanTimer !== null) { clearTimeout(this._preventNextClickScanTimer); }
@@ -851,12 +904,12 @@ class TextScanner extends EventDispatcher {
         return null;
     }
 
-    async _findDictionaryEntries(textSource, searchTerms, searchKanji, optionsContext) {
+    async _findDictionaryEntries(textSource, searchTerms, searchKanji, optionsContext, sourceSentence=null) {
         if (textSource === null) {
             return null;
         }
         if (searchTerms) {
-            const results = await this._findTermDictionaryEntries(textSource, optionsContext);
+            const results = await this._findTermDictionaryEntries(textSource, optionsContext, sourceSentence);
             if (results !== null) { return results; }
         }
         if (searchKanji) {
@@ -866,42 +919,34 @@ class TextScanner extends EventDispatcher {
         return null;
     }
 
-    async _findTermDictionaryEntries(textSource, optionsContext) {
+    async _findTermDictionaryEntries(textSource, optionsContext, sentence) {
         const scanLength = this._scanLength;
-        const sentenceScanExtent = this._sentenceScanExtent;
-        const sentenceTerminateAtNewlines = this._sentenceTerminateAtNewlines;
-        const sentenceTerminatorMap = this._sentenceTerminatorMap;
-        const sentenceForwardQuoteMap = this._sentenceForwardQuoteMap;
-        const sentenceBackwardQuoteMap = this._sentenceBackwardQuoteMap;
         const layoutAwareScan = this._layoutAwareScan;
         const searchText = this.getTextSourceContent(textSource, scanLength, layoutAwareScan);
         if (searchText.length === 0) { return null; }
 
-        const details = {};
+        // The surrounding sentence lets the translator find words whose parts are separated, such as German separable verbs,
+        // so it is only extracted before the lookup for languages which use it
+        if (sentence === null && this._languageSentenceParsing.lookupUsesSentence) {
+            sentence = this._extractSentence(textSource);
+        }
+        const details = {sentence};
         if (this._matchTypePrefix) { details.matchType = 'prefix'; }
-        const {dictionaryEntries, originalTextLength} = await yomichan.api.termsFind(searchText, details, optionsContext);
+        const {dictionaryEntries, originalTextLength, originalTextOffset} = await yomichan.api.termsFind(searchText, details, optionsContext);
         if (dictionaryEntries.length === 0) { return null; }
 
+        // In languages which write words without spaces or join their letters, the word under the cursor can start before it
+        let startOffset = 0;
+        if (originalTextOffset > 0) {
+            startOffset = textSource.setStartOffset(originalTextOffset, layoutAwareScan);
+        }
         textSource.setEndOffset(originalTextLength, false, layoutAwareScan);
-        const sentence = DocumentUtil.extractSentence(
-            textSource,
-            layoutAwareScan,
-            sentenceScanExtent,
-            sentenceTerminateAtNewlines,
-            sentenceTerminatorMap,
-            sentenceForwardQuoteMap,
-            sentenceBackwardQuoteMap
-        );
+        sentence = (sentence !== null ? {text: sentence.text, offset: sentence.offset - startOffset} : this._extractSentence(textSource));
 
         return {dictionaryEntries, sentence, type: 'terms'};
     }
 
     async _findKanjiDictionaryEntries(textSource, optionsContext) {
-        const sentenceScanExtent = this._sentenceScanExtent;
-        const sentenceTerminateAtNewlines = this._sentenceTerminateAtNewlines;
-        const sentenceTerminatorMap = this._sentenceTerminatorMap;
-        const sentenceForwardQuoteMap = this._sentenceForwardQuoteMap;
-        const sentenceBackwardQuoteMap = this._sentenceBackwardQuoteMap;
         const layoutAwareScan = this._layoutAwareScan;
         const searchText = this.getTextSourceContent(textSource, 1, layoutAwareScan);
         if (searchText.length === 0) { return null; }
@@ -910,19 +955,76 @@ class TextScanner extends EventDispatcher {
         if (dictionaryEntries.length === 0) { return null; }
 
         textSource.setEndOffset(1, false, layoutAwareScan);
-        const sentence = DocumentUtil.extractSentence(
-            textSource,
-            layoutAwareScan,
-            sentenceScanExtent,
-            sentenceTerminateAtNewlines,
-            sentenceTerminatorMap,
-            sentenceForwardQuoteMap,
-            sentenceBackwardQuoteMap
-        );
+        const sentence = this._extractSentence(textSource);
 
         return {dictionaryEntries, sentence, type: 'kanji'};
     }
 
+    /**
+     * Creates the maps used to find the sentence around a text, from the sentence parsing options
+     * and the default rules of a language.
+     * @param {{terminationCharacters: object[], abbreviations: string[]}} languageSentenceParsing
+     *   The sentence parsing rules of the language, as returned by `getSentenceParsing`.
+     * @returns {{terminatorMap: Map, forwardQuoteMap: Map, backwardQuoteMap: Map, abbreviations: string[]}} The sentence parser.
+     */
+    _createSentenceParser(languageSentenceParsing) {
+        const terminationCharacterMode = this._sentenceTerminationCharacterMode;
+        const terminationCharacters = this._sentenceTerminationCharacters;
+        const terminatorMap = new Map();
+        const forwardQuoteMap = new Map();
+        const backwardQuoteMap = new Map();
+        let abbreviations = [];
+        if (
+            Array.isArray(terminationCharacters) &&
+            (terminationCharacterMode === 'custom' || terminationCharacterMode === 'custom-no-newlines')
+        ) {
+            abbreviations = languageSentenceParsing.abbreviations;
+            for (const {enabled, character1, character2, includeCharacterAtStart, includeCharacterAtEnd} of this._getTerminationCharacters(terminationCharacters, languageSentenceParsing.terminationCharacters)) {
+                if (!enabled) { continue; }
+                if (character2 === null) {
+                    terminatorMap.set(character1, [includeCharacterAtStart, includeCharacterAtEnd]);
+                } else {
+                    forwardQuoteMap.set(character1, [character2, includeCharacterAtStart]);
+                    backwardQuoteMap.set(character2, [character1, includeCharacterAtEnd]);
+                }
+            }
+        }
+        return {terminatorMap, forwardQuoteMap, backwardQuoteMap, abbreviations};
+    }
+
+    /**
+     * Merges the termination characters of the options with the defaults of the language.
+     * Characters which are in the options, even if they are disabled, override the defaults.
+     * @param {object[]} terminationCharacters The termination characters of the options.
+     * @param {object[]} languageTerminationCharacters The default termination characters of the language.
+     * @returns {object[]} The termination characters to use.
+     */
+    _getTerminationCharacters(terminationCharacters, languageTerminationCharacters) {
+        const getKey = ({character1, character2}) => JSON.stringify([character1, character2]);
+        const keys = new Set(terminationCharacters.map(getKey));
+        const results = [];
+        for (const terminationCharacter of languageTerminationCharacters) {
+            if (keys.has(getKey(terminationCharacter))) { continue; }
+            results.push(Object.assign({enabled: true}, terminationCharacter));
+        }
+        results.push(...terminationCharacters);
+        return results;
+    }
+
+    _extractSentence(textSource, sentenceParser=this._sentenceParser) {
+        const {terminatorMap, forwardQuoteMap, backwardQuoteMap, abbreviations} = sentenceParser;
+        return DocumentUtil.extractSentence(
+            textSource,
+            this._layoutAwareScan,
+            this._sentenceScanExtent,
+            this._sentenceTerminateAtNewlines,
+            terminatorMap,
+            forwardQuoteMap,
+            backwardQuoteMap,
+            abbreviations
+        );
+    }
+
     async _searchAt(x, y, inputInfo) {
         if (this._pendingLookup) { return; }
 
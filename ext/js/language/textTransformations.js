@@ -16,8 +16,39 @@
  */
 
 /* global
+ * RegexUtil
  */
 
+/*
+ * Each transformation is a function `transform(text, sourceMap=null)`. Transformations which can
+ * change the length of the text must report their changes into `sourceMap`, a `TextSourceMap`,
+ * so that the length of the original text which was scanned can be found. A transformation can also
+ * declare a `cost`, which is 1 by default; when both variants of a text are searched, variants with
+ * a lower total cost are searched first.
+ */
+
+/**
+ * Applies a transformation to a text, keeping track of characters whose length is changed by it,
+ * such as 'İ', which is converted to 'i̇' by `toLowerCase`.
+ * @param {string} text The text.
+ * @param {?TextSourceMap} sourceMap The source map of the text.
+ * @param {function(string): string} transform A transformation which can be applied to each
+ *   character separately, and to the whole text.
+ * @returns {string} The transformed text.
+ */
+export function transformCharacters(text, sourceMap, transform) {
+    const result = transform(text);
+    if (result.length === text.length || sourceMap === null) { return result; }
+
+    // Characters which change length are transformed first, then the whole text is transformed
+    // so that context-sensitive conversions, such as the Greek final sigma, are still applied
+    const text2 = RegexUtil.applyTextReplacement(text, sourceMap, /./gsu, (c) => {
+        const c2 = transform(c);
+        return c2.length !== c.length ? c2 : c;
+    });
+    return transform(text2);
+}
+
 
 export const decapitalize = {
     id: 'decapitalize',
@@ -28,7 +59,7 @@ export const decapitalize = {
         true: 'Enabled',
         variant: 'Use both variants'
     },
-    transform: (str) => str.toLowerCase()
+    transform: (text, sourceMap=null) => transformCharacters(text, sourceMap, (str) => str.toLowerCase())
 };
 
 export const capitalizeFirstLetter = {
@@ -40,5 +71,5 @@ export const capitalizeFirstLetter = {
         true: 'Enabled',
         variant: 'Use both variants'
     },
-    transform: (str) => str.charAt(0).toUpperCase() + str.slice(1)
+    transform: (text, sourceMap=null) => RegexUtil.applyTextReplacement(text, sourceMap, /^./su, (c) => c.toUpperCase())
 };
\ No newline at end of file
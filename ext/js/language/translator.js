@@ -16,9 +16,12 @@
  */
 
 /* global
+ * CompoundSplitter
  * Deinflector
+ * InflectionFeatureParser
  * RegexUtil
  * TextSourceMap
+ * WordSegmenter
  */
 
 /**
@@ -47,7 +50,13 @@ class Translator {
         this._japaneseUtil = japaneseUtil;
         this._database = database;
         this._deinflector = null;
+        this._compoundSplitters = new Map();
+        this._wordSegmenters = new Map();
+        this._inflectionFeatureParser = new InflectionFeatureParser();
+        // Maximum number of form-of pointers followed from a single entry, which also stops cycles between entries
+        this._maxFormOfChainLength = 5;
         this._tagCache = new Map();
+        this._dictionarySourceLanguages = null;
         this._stringComparer = new Intl.Collator('en-US'); // Invariant locale
         this._numberRegex = /[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?/;
     }
@@ -61,10 +70,11 @@ class Translator {
     }
 
     /**
-     * Clears the database tag cache. This should be executed if the database is changed.
+     * Clears the database tag and dictionary caches. This should be executed if the database is changed.
      */
     clearDatabaseCaches() {
         this._tagCache.clear();
+        this._dictionarySourceLanguages = null;
     }
 
     /**
@@ -73,10 +83,28 @@ class Translator {
      *   One of: 'group', 'merge', 'split', 'simple'
      * @param {string} text The text to find terms for.
      * @param {Translation.FindTermsOptions} options A object describing settings about the lookup.
-     * @returns {{dictionaryEntries: Translation.TermDictionaryEntry[], originalTextLength: number}} An object containing dictionary entries and the length of the original source text.
+     * @returns {{dictionaryEntries: Translation.TermDictionaryEntry[], originalTextLength: number, originalTextOffset: number}}
+     *   An object containing dictionary entries and the length of the original source text. For languages which
+     *   write words without spaces or join their letters, the original source text can start before the text,
+     *   in the sentence around it, and `originalTextOffset` is the number of characters before the text which it includes.
      */
     async findTerms(mode, text, options) {
-        const {enabledDictionaryMap, excludeDictionaryDefinitions, sortFrequencyDictionary, sortFrequencyDictionaryOrder} = options;
+        const {excludeDictionaryDefinitions, sortFrequencyDictionary, sortFrequencyDictionaryOrder} = options;
+        const enabledDictionaryMap = await this._getLanguageDictionaryMap(options.enabledDictionaryMap, options.language);
+
+        const originalTextOffset = await this._getWordStartOffset(text, enabledDictionaryMap, options);
+        if (originalTextOffset > 0) {
+            const {text: sentenceText, offset} = options.sentence;
+            const start = offset - originalTextOffset;
+            text = `${sentenceText.substring(start, offset)}${text}`.substring(0, text.length);
+            options = Object.assign({}, options, {sentence: {text: sentenceText, offset: start}});
+        }
+
+        const multiSyllableWords = await this._languageUtil.getMultiSyllableWords(options.language);
+        if (multiSyllableWords !== null) {
+            text = this._getSyllableText(text, options.sentence, multiSyllableWords);
+        }
+
         let {dictionaryEntries, originalTextLength} = await this._findTermsInternal(text, enabledDictionaryMap, options);
 
         switch (mode) {
@@ -116,7 +144,7 @@ class Translator {
             if (pronunciations.length > 1) { this._sortTermDictionaryEntrySimpleData(pronunciations); }
         }
 
-        return {dictionaryEntries, originalTextLength};
+        return {dictionaryEntries, originalTextLength, originalTextOffset};
     }
 
     /**
@@ -201,6 +229,38 @@ class Translator {
 
     // Find terms internal implementation
 
+    /**
+     * Gets the enabled dictionaries which can contain terms of a language. The source language of a dictionary
+     * is read from its index, or from the `sourceLanguage` it was tagged with in the settings if the index has none.
+     * Dictionaries whose source language is unknown are always included.
+     * @param {Map<string, Translation.FindTermDictionary>} enabledDictionaryMap The enabled dictionaries.
+     * @param {string} language The ISO code of the language being looked up.
+     * @returns {Map<string, Translation.FindTermDictionary>} The enabled dictionaries of the language.
+     */
+    async _getLanguageDictionaryMap(enabledDictionaryMap, language) {
+        const dictionarySourceLanguages = await this._getDictionarySourceLanguages();
+        const languageDictionaryMap = new Map();
+        for (const [dictionary, details] of enabledDictionaryMap) {
+            let sourceLanguage = dictionarySourceLanguages.get(dictionary);
+            if (typeof sourceLanguage === 'undefined') { sourceLanguage = details.sourceLanguage; }
+            if (typeof sourceLanguage === 'string' && sourceLanguage.length > 0 && sourceLanguage !== language) { continue; }
+            languageDictionaryMap.set(dictionary, details);
+        }
+        return languageDictionaryMap;
+    }
+
+    async _getDictionarySourceLanguages() {
+        if (this._dictionarySourceLanguages === null) {
+            const dictionarySourceLanguages = new Map();
+            for (const {title, sourceLanguage} of await this._database.getDictionaryInfo()) {
+                if (typeof sourceLanguage !== 'string') { continue; }
+                dictionarySourceLanguages.set(title, sourceLanguage);
+            }
+            this._dictionarySourceLanguages = dictionarySourceLanguages;
+        }
+        return this._dictionarySourceLanguages;
+    }
+
     async _findTermsInternal(text, enabledDictionaryMap, options) {
         // TODO: generalize to other languages
         if (options.removeNonJapaneseCharacters) {
@@ -211,6 +271,7 @@ class Translator {
         }
 
         const deinflections = await this._getDeinflections(text, enabledDictionaryMap, options);
+        const showNonLemmaEntries = (options.nonLemmaEntries === 'show');
 
         let originalTextLength = 0;
         const dictionaryEntries = [];
@@ -230,10 +291,11 @@ class Translator {
                         const existingHypotheses = existingEntry.inflectionHypotheses;
 
                         const newHypotheses = [];
-                        inflectionHypotheses.forEach(({source, inflections}) => {
-                            const duplicate = existingHypotheses.find((hypothesis) => this._areInflectionHyphothesesEqual(hypothesis.inflections, inflections));
+                        inflectionHypotheses.forEach((inflectionHypothesis) => {
+                            const {source} = inflectionHypothesis;
+                            const duplicate = existingHypotheses.find((hypothesis) => this._areInflectionHyphothesesEqual(hypothesis, inflectionHypothesis));
                             if (!duplicate) {
-                                newHypotheses.push({source, inflections});
+                                newHypotheses.push(inflectionHypothesis);
                             } 
                             else if (duplicate.source != source) {
                                 duplicate.source = 'both';
@@ -248,8 +310,7 @@ class Translator {
 
                     continue;
                 }
-                // TODO: make configurable
-                if (databaseEntry.definitionTags.includes('non-lemma')) { continue; }
+                if (!showNonLemmaEntries && databaseEntry.definitionTags.includes('non-lemma')) { continue; }
 
                 const dictionaryEntry = this._createTermDictionaryEntryFromDatabaseEntry(databaseEntry, originalText, transformedText, deinflectedText, inflectionHypotheses, true, enabledDictionaryMap);
                 dictionaryEntries.push(dictionaryEntry);
@@ -257,14 +318,168 @@ class Translator {
             }
         }
 
+        // When a compound is not in any dictionary, show the entries of its parts instead
+        const compound = await this._findCompoundParts(text, deinflections, enabledDictionaryMap, options);
+        if (compound !== null) {
+            const {word, parts} = compound;
+            originalTextLength = word.length;
+            for (const {text: partText, term, databaseEntries} of parts) {
+                for (const databaseEntry of databaseEntries) {
+                    const {id, definitionTags} = databaseEntry;
+                    if (ids.has(id) || (!showNonLemmaEntries && definitionTags.includes('non-lemma'))) { continue; }
+                    const dictionaryEntry = this._createTermDictionaryEntryFromDatabaseEntry(databaseEntry, word, partText, term, [], true, enabledDictionaryMap);
+                    dictionaryEntries.push(dictionaryEntry);
+                    ids.add(id);
+                }
+            }
+        }
+
         return {dictionaryEntries, originalTextLength};
     }
 
-    _areInflectionHyphothesesEqual(hypotheses1, hypotheses2) {
-        const set1 = new Set(hypotheses1);
-        const set2 = new Set(hypotheses2);
+    async _findCompoundParts(text, deinflections, enabledDictionaryMap, options) {
+        if (!options.deinflect || options.matchType !== 'exact') { return null; }
+        const compoundSplitter = await this._getCompoundSplitter(options.language);
+        if (compoundSplitter === null) { return null; }
+
+        // Words which have an entry as written or in any of their deinflected forms are not split
+        const word = compoundSplitter.getWord(text);
+        if (deinflections.some(({originalText, databaseEntries}) => databaseEntries.length > 0 && originalText.length >= word.length)) { return null; }
+        const candidates = compoundSplitter.getCandidates(word);
+        if (candidates.length === 0) { return null; }
+
+        const databaseEntries = await this._database.findTermsBulk(candidates, enabledDictionaryMap, 'exact');
+        const knownTerms = new Set(databaseEntries.map(({index}) => candidates[index]));
+        const parts = compoundSplitter.split(word, knownTerms);
+        if (parts === null) { return null; }
 
-        return set1.size === set2.size && [...set1].every((x) => set2.has(x));
+        return {
+            word,
+            parts: parts.map(({text: partText, term}) => ({
+                text: partText,
+                term,
+                databaseEntries: databaseEntries.filter(({index}) => candidates[index] === term)
+            }))
+        };
+    }
+
+    async _getCompoundSplitter(language) {
+        let compoundSplitter = this._compoundSplitters.get(language);
+        if (typeof compoundSplitter === 'undefined') {
+            const details = await this._languageUtil.getCompoundSplitting(language);
+            compoundSplitter = (details !== null ? new CompoundSplitter(details) : null);
+            this._compoundSplitters.set(language, compoundSplitter);
+        }
+        return compoundSplitter;
+    }
+
+    /**
+     * Finds where the word which contains the start of a text begins, for languages which write words
+     * without spaces or join their letters. The sentence before the text is split into the longest terms which
+     * are found in the dictionaries exactly as written, and the term which contains the start of the text is the word.
+     * When words are separated by spaces, the word starts after the last space before the text instead.
+     * @param {string} text The text.
+     * @param {Map<string, object>} enabledDictionaryMap The enabled dictionaries.
+     * @param {FindTermsOptions} options The options.
+     * @returns {Promise<number>} The number of characters of the sentence before the text which belong to the word.
+     */
+    async _getWordStartOffset(text, enabledDictionaryMap, options) {
+        const {sentence, language} = options;
+        if (sentence === null || sentence.offset <= 0 || sentence.text[sentence.offset] !== text[0]) { return 0; }
+        const wordSegmenter = await this._getWordSegmenter(language);
+        if (wordSegmenter === null) { return 0; }
+
+        const {text: sentenceText, offset} = sentence;
+        if (wordSegmenter.spaceDelimited) {
+            // The letters before the text are part of the same word
+            return offset - wordSegmenter.getRunStart(sentenceText, offset);
+        }
+
+        // Segmentation starts at most one scan length before the text, since longer words are not found
+        const maxLength = text.length;
+        let start = Math.max(wordSegmenter.getRunStart(sentenceText, offset), wordSegmenter.getClusterStart(sentenceText, offset - maxLength));
+
+        // Every term which could start before the text is looked up in a single query
+        const terms = new Set();
+        for (let i = start; i < offset; i = wordSegmenter.getClusterEnd(sentenceText, i)) {
+            for (const end of this._getSegmentEnds(wordSegmenter, sentenceText, i, maxLength)) {
+                terms.add(sentenceText.substring(i, end));
+            }
+        }
+        const termList = [...terms];
+        const databaseEntries = await this._database.findTermsBulk(termList, enabledDictionaryMap, 'exact');
+        const foundTerms = new Set(databaseEntries.map(({index}) => termList[index]));
+
+        // The sentence is split into the longest terms which were found, or into single clusters
+        while (start < offset) {
+            let end = wordSegmenter.getClusterEnd(sentenceText, start);
+            for (const end2 of this._getSegmentEnds(wordSegmenter, sentenceText, start, maxLength)) {
+                if (foundTerms.has(sentenceText.substring(start, end2))) { end = end2; }
+            }
+            if (end > offset) { return offset - start; }
+            start = end;
+        }
+        return 0;
+    }
+
+    *_getSegmentEnds(wordSegmenter, text, start, maxLength) {
+        const maxEnd = Math.min(start + maxLength, text.length);
+        for (let end = wordSegmenter.getClusterEnd(text, start); end <= maxEnd; end = wordSegmenter.getClusterEnd(text, end)) {
+            yield end;
+        }
+    }
+
+    /**
+     * Gets the whole syllables at the start of a text, for languages which separate syllables with spaces.
+     * The text is extended forward through the sentence, so that words of several syllables can be found
+     * even when they are longer than the scanned text.
+     * @param {string} text The text.
+     * @param {?{text: string, offset: number}} sentence The sentence containing the text.
+     * @param {{maxSyllables: number}} multiSyllableWords The syllable settings of the language.
+     * @returns {string} The syllables, or the text itself if it is not part of the sentence.
+     */
+    _getSyllableText(text, sentence, {maxSyllables}) {
+        if (sentence === null || !sentence.text.startsWith(text, sentence.offset)) { return text; }
+        const pattern = new RegExp(`[\\p{L}\\p{M}\\p{N}]+(?:[ \\u00a0][\\p{L}\\p{M}\\p{N}]+){0,${maxSyllables - 1}}`, 'uy');
+        pattern.lastIndex = sentence.offset;
+        const match = pattern.exec(sentence.text);
+        return match !== null ? match[0] : text;
+    }
+
+    async _getWordSegmenter(language) {
+        let wordSegmenter = this._wordSegmenters.get(language);
+        if (typeof wordSegmenter === 'undefined') {
+            const details = await this._languageUtil.getWordSegmentation(language);
+            wordSegmenter = (details !== null ? new WordSegmenter(details) : null);
+            this._wordSegmenters.set(language, wordSegmenter);
+        }
+        return wordSegmenter;
+    }
+
+    _areInflectionHyphothesesEqual(hypothesis1, hypothesis2) {
+        const set1 = new Set(hypothesis1.otherInflections);
+        const set2 = new Set(hypothesis2.otherInflections);
+
+        return (
+            set1.size === set2.size && [...set1].every((x) => set2.has(x)) &&
+            JSON.stringify(hypothesis1.features) === JSON.stringify(hypothesis2.features)
+        );
+    }
+
+    /**
+     * Creates an inflection hypothesis, with the grammatical features described by its inflections.
+     * @param {string} source The source of the hypothesis, which is `'algorithm'`, `'dictionary'` or `'both'`.
+     * @param {string[]} inflections The inflections, as named by the deinflection rules or the dictionary.
+     * @param {?object[]} formOfChain The form-of pointers which were followed, if any.
+     * @returns {object} The inflection hypothesis.
+     */
+    _createInflectionHypothesis(source, inflections, formOfChain=null) {
+        const {features, otherInflections} = this._inflectionFeatureParser.parse(inflections);
+        const inflectionHypothesis = {source, inflections, features, otherInflections};
+        if (formOfChain !== null) {
+            inflectionHypothesis.formOfChain = formOfChain;
+        }
+        return inflectionHypothesis;
     }
 
     _addDeinflectionSourceToHypotheses(hypotheses, isDictionaryDeinflection = false) {
@@ -277,60 +492,83 @@ class Translator {
     }
 
     async _getDeinflections(text, enabledDictionaryMap, options) {
-        let deinflections = (
-            options.deinflect ?
-            await this._getAlgorithmDeinflections(text, options) :
-            [this._createDeinflection(text, text, text, 0, [], [])]
-        );
-        if (deinflections.length === 0) { return []; }
-
-        const {matchType, deinflectionPosFilter: checkRules} = options;
+        const {matchType, deinflectionPosFilter: checkRules, language} = options;
+        const ruleTypes = await this._languageUtil.getRuleTypes(language);
 
-        await this._addEntriesToDeinflections(deinflections, enabledDictionaryMap, matchType, checkRules);
+        let deinflections;
+        if (options.deinflect) {
+            deinflections = await this._getAlgorithmDeinflections(text, enabledDictionaryMap, options, ruleTypes);
+        } else {
+            deinflections = [this._createDeinflection(text, text, text, 0, [], [])];
+            await this._addEntriesToDeinflections(deinflections, enabledDictionaryMap, matchType, checkRules, ruleTypes);
+        }
 
         deinflections = deinflections.filter((deinflection) => deinflection.databaseEntries.length > 0);
 
         if (options.deinflectionSource !== 'algorithm') {
-            const dictionaryDeinflections = await this._getDictionaryDeinflections(deinflections, enabledDictionaryMap, matchType);
+            const maxChainLength = (options.nonLemmaEntries === 'follow' ? this._maxFormOfChainLength : 1);
+            const dictionaryDeinflections = await this._getDictionaryDeinflections(deinflections, enabledDictionaryMap, matchType, maxChainLength);
             deinflections.push(...dictionaryDeinflections);
         }
 
         return deinflections;
     }
 
-    async _addEntriesToDeinflections(deinflections, enabledDictionaryMap, matchType, checkRules) {
+    async _addEntriesToDeinflections(deinflections, enabledDictionaryMap, matchType, checkRules, ruleTypes=null) {
         const uniqueDeinflectionsMap = this._groupDeinflectionsByTerm(deinflections);
         const uniqueDeinflectionArrays = Object.values(uniqueDeinflectionsMap);
         const uniqueDeinflectionTerms = Object.keys(uniqueDeinflectionsMap);
 
         const databaseEntries = await this._database.findTermsBulk(uniqueDeinflectionTerms, enabledDictionaryMap, matchType);
-        this._matchEntriesToDeinflections(databaseEntries, uniqueDeinflectionArrays, checkRules);
+        this._matchEntriesToDeinflections(databaseEntries, uniqueDeinflectionArrays, checkRules, ruleTypes);
     }
 
-    async _getDictionaryDeinflections(deinflections, enabledDictionaryMap, matchType) {
+    /**
+     * Follows the `formOf` pointers of non-lemma entries to the entries they are forms of.
+     * Each hop is recorded in the `formOfChain` of the resulting inflection hypotheses,
+     * along with the dictionary which supplied it.
+     * @param {object[]} deinflections The deinflections whose entries have been found.
+     * @param {Map<string, object>} enabledDictionaryMap The enabled dictionaries.
+     * @param {string} matchType The matching type for looking up terms.
+     * @param {number} maxChainLength The maximum number of pointers followed in a row.
+     * @returns {Promise<object[]>} The deinflections created for every hop.
+     */
+    async _getDictionaryDeinflections(deinflections, enabledDictionaryMap, matchType, maxChainLength) {
         const dictionaryDeinflections = [];
-        deinflections.forEach((deinflection) => {
-            const {originalText, transformedText, inflectionHypotheses: algHypotheses, databaseEntries} = deinflection;
-            databaseEntries.forEach((entry) => {
-                const {definitionTags, term, formOf, inflectionHypotheses}  = entry;
-                if (definitionTags.includes('non-lemma')) {
-                    const lemma = formOf || '';
-                    const hypotheses = (inflectionHypotheses || [])
-                        .flatMap((hypothesis) => algHypotheses.map(({inflections}) => {
-                            return {
-                                source: inflections.length === 0 ? 'dictionary' : 'both',
-                                inflections: [...inflections, ...hypothesis]
-                            }
-                        }));
+        let sourceDeinflections = deinflections;
+        for (let i = 0; i < maxChainLength && sourceDeinflections.length > 0; ++i) {
+            const hopDeinflections = [];
+            for (const {originalText, transformedText, deinflectedText, inflectionHypotheses, databaseEntries} of sourceDeinflections) {
+                // Text which was looked up as written has no hypotheses to extend
+                const sourceHypotheses = (inflectionHypotheses.length > 0 ? inflectionHypotheses : [this._createInflectionHypothesis('dictionary', [])]);
+                for (const {definitionTags, term, formOf, inflectionHypotheses: formHypotheses, dictionary} of databaseEntries) {
+                    if (!definitionTags.includes('non-lemma') || !formOf) { continue; }
+                    const hop = {term, formOf, dictionary};
+                    const entryHypotheses = (Array.isArray(formHypotheses) && formHypotheses.length > 0 ? formHypotheses : [[]]);
+                    const hypotheses = [];
+                    for (const {source, inflections, formOfChain=[]} of sourceHypotheses) {
+                        // Pointers which lead back to a form already in the chain are not followed again
+                        if (formOf === deinflectedText || formOfChain.some((previousHop) => previousHop.term === formOf)) { continue; }
+                        for (const hypothesis of entryHypotheses) {
+                            hypotheses.push(this._createInflectionHypothesis(
+                                (inflections.length === 0 ? 'dictionary' : (source === 'algorithm' ? 'both' : source)),
+                                [...inflections, ...hypothesis],
+                                [...formOfChain, hop]
+                            ));
+                        }
+                    }
+                    if (hypotheses.length === 0) { continue; }
 
-                    const dictionaryDeinflection = this._createDeinflection(originalText, transformedText, lemma, 0, hypotheses, []);
+                    const dictionaryDeinflection = this._createDeinflection(originalText, transformedText, formOf, 0, hypotheses, []);
                     dictionaryDeinflection.isDictionaryDeinflection = true;
-                    dictionaryDeinflections.push(dictionaryDeinflection);
+                    hopDeinflections.push(dictionaryDeinflection);
                 }
-            });
-        });
+            }
 
-        await this._addEntriesToDeinflections(dictionaryDeinflections, enabledDictionaryMap, matchType);
+            await this._addEntriesToDeinflections(hopDeinflections, enabledDictionaryMap, matchType);
+            dictionaryDeinflections.push(...hopDeinflections);
+            sourceDeinflections = hopDeinflections.filter(({databaseEntries}) => databaseEntries.length > 0);
+        }
 
         return dictionaryDeinflections;
     }
@@ -345,9 +583,9 @@ class Translator {
         }, {});
     }
 
-    _matchEntriesToDeinflections(databaseEntries, uniqueDeinflectionArrays, checkRules) {
+    _matchEntriesToDeinflections(databaseEntries, uniqueDeinflectionArrays, checkRules, ruleTypes) {
         for (const databaseEntry of databaseEntries) {
-            const definitionRules = Deinflector.rulesToRuleFlags(databaseEntry.rules);
+            const definitionRules = Deinflector.rulesToRuleFlags(databaseEntry.rules, ruleTypes);
             for (const deinflection of uniqueDeinflectionArrays[databaseEntry.index]) {
                 const deinflectionRules = deinflection.rules;
                 if (!checkRules || this._rulesFit(deinflectionRules, definitionRules)) {
@@ -363,45 +601,29 @@ class Translator {
 
     // Deinflections and text transformations
 
-    async _getAlgorithmDeinflections(text, options) {
-        const textTransformationsVectorSpace = Object.entries(options.textTransformations).reduce((map, [key, value]) => {
-            map[key] = this._getTextOptionEntryVariants(value.setting);
-            return map;
-        }, {});
-
-        const variantVectorSpace = {
-            textReplacements: this._getTextReplacementsVariants(options),
-            collapseEmphaticOptions: this._getCollapseEmphaticOptions(options),
-            ...textTransformationsVectorSpace
-        };
-
-        const jp = this._japaneseUtil;
+    /**
+     * Deinflects the variants of a text which are created by its text replacements and transformations,
+     * and finds their database entries. Variants are searched in order of cost, and the search stops
+     * once the entries found for the searched variants are enough to fill `maxResults`.
+     * @param {string} text The text.
+     * @param {Map<string, object>} enabledDictionaryMap The enabled dictionaries.
+     * @param {FindTermsOptions} options The options.
+     * @param {?Map<string, object>} ruleTypes The rule types of the language.
+     * @returns {Promise<object[]>} The deinflections, including those without database entries.
+     */
+    async _getAlgorithmDeinflections(text, enabledDictionaryMap, options, ruleTypes) {
+        const {matchType, deinflectionPosFilter: checkRules, maxResults, debugInfo, language} = options;
+        const stats = (debugInfo ? this._createTextVariantStats() : null);
+        const wordSegmenter = await this._getWordSegmenter(language);
+        const multiSyllableWords = await this._languageUtil.getMultiSyllableWords(language);
 
         const deinflections = [];
         const used = new Set();
+        const entryIds = new Set();
 
-        for (const arrayVariant of this._generateArrayVariants(variantVectorSpace)) {
-            const {
-                textReplacements,
-                collapseEmphaticOptions: [collapseEmphatic, collapseEmphaticFull]
-            } = arrayVariant;
-
-            let text2 = text;
-            const sourceMap = new TextSourceMap(text2);
-
-            if (textReplacements !== null) {
-                text2 = this._applyTextReplacements(text2, sourceMap, textReplacements);
-            }
-            if (collapseEmphatic) {
-                text2 = jp.collapseEmphaticSequences(text2, collapseEmphaticFull, sourceMap);
-            }
-
-            Object.values(options.textTransformations).forEach((textTransformation) => {
-                if (arrayVariant[textTransformation.id]) {
-                    text2 = textTransformation.transform(text2);
-                }
-            });
-
+        for (const {text: text2, sourceMap} of this._getTextVariants(text, options, stats)) {
+            const startTime = (stats !== null ? performance.now() : 0);
+            const variantDeinflections = [];
             let i = text2.length;
             while (i > 0) {
                 const source = text2.substring(0, i);
@@ -409,29 +631,187 @@ class Translator {
                 used.add(source);
                 const rawSource = sourceMap.source.substring(0, sourceMap.getSourceLength(i));
 
-                if (options.deinflectionSource !== 'dictionary'){
-                    for (const {term, rules, reasons} of await this._deinflector.deinflect(source, options)) {
-                        const inflectionHypotheses =  {
-                                source: 'algorithm',
-                                inflections: reasons
-                        };
-                        deinflections.push(this._createDeinflection(rawSource, source, term, rules, [inflectionHypotheses], []));
-                    }
-                } else {
-                    deinflections.push(this._createDeinflection(rawSource, source, source, 0, [], []));
-                }
+                variantDeinflections.push(...await this._getSourceDeinflections(rawSource, source, [], options, stats));
 
-                if (options.searchResolution === 'word') {
+                if (multiSyllableWords !== null) {
+                    // Words are made of whole syllables, so the last syllable is removed
+                    i = source.search(/[^\p{L}\p{M}\p{N}][\p{L}\p{M}\p{N}]*$/u);
+                } else if (options.searchResolution === 'word') {
                     i = source.search(new RegExp('[^\\p{Letter}]([\\p{Letter}\\p{Number}]*)$', 'u'));
+                } else if (wordSegmenter !== null) {
+                    // Prefixes which end inside a grapheme cluster are not words
+                    i = wordSegmenter.getClusterStart(text2, i - 1);
                 } else {
                     --i;
                 }
             }
+
+            // Variants whose prefixes were all searched already have nothing to look up
+            if (variantDeinflections.length === 0) { continue; }
+
+            await this._addEntriesToDeinflections(variantDeinflections, enabledDictionaryMap, matchType, checkRules, ruleTypes);
+            deinflections.push(...variantDeinflections);
+            if (stats !== null) { stats.deinflectionTime += performance.now() - startTime; }
+
+            for (const {databaseEntries} of variantDeinflections) {
+                for (const {id} of databaseEntries) {
+                    entryIds.add(id);
+                }
+            }
+            if (entryIds.size >= maxResults) { break; }
+        }
+
+        const {sentence} = options;
+        if (sentence !== null) {
+            const sentenceDeinflections = [];
+            const sentenceVariants = await this._languageUtil.getSentenceVariants(language, text, sentence);
+            for (const {text: variantText, originalLength, reasons} of sentenceVariants) {
+                if (used.has(variantText)) { continue; }
+                used.add(variantText);
+                sentenceDeinflections.push(...await this._getSourceDeinflections(text.substring(0, originalLength), variantText, reasons, options, stats));
+            }
+            await this._addEntriesToDeinflections(sentenceDeinflections, enabledDictionaryMap, matchType, checkRules, ruleTypes);
+            deinflections.push(...sentenceDeinflections);
+        }
+
+        if (stats !== null) {
+            this._logTextVariantStats(text, language, stats);
         }
 
         return deinflections;
     }
 
+    /**
+     * Generates the variants of a text which are created by applying its text replacements and
+     * transformations, in order of increasing cost. Steps which produce a text that was already
+     * produced at the same point by a cheaper variant are not continued, and each text is only
+     * generated once, so transformations which do not change the text do not multiply the variants.
+     * @param {string} text The text.
+     * @param {FindTermsOptions} options The options.
+     * @param {?object} stats An object which collects the number of variants and the time spent on each step.
+     * @yields {{text: string, sourceMap: TextSourceMap, cost: number}} The variants.
+     */
+    *_getTextVariants(text, options, stats) {
+        const steps = this._getTextVariantSteps(options);
+        const queue = [{text, sourceMap: new TextSourceMap(text), stepIndex: 0, cost: 0}];
+        const visited = new Set();
+        const texts = new Set();
+
+        while (queue.length > 0) {
+            const variant = queue.shift();
+            const {text: text2, sourceMap, stepIndex, cost} = variant;
+
+            // The cheapest variant with a given state is taken from the queue first
+            const key = this._createMapKey([stepIndex, text2, sourceMap.getMappingCopy()]);
+            if (visited.has(key)) {
+                if (stats !== null) { ++stats.skippedCount; }
+                continue;
+            }
+            visited.add(key);
+
+            if (stepIndex >= steps.length) {
+                if (texts.has(text2)) {
+                    if (stats !== null) { ++stats.skippedCount; }
+                    continue;
+                }
+                texts.add(text2);
+                if (stats !== null) { ++stats.variantCount; }
+                yield {text: text2, sourceMap, cost};
+                continue;
+            }
+
+            const {id, values, apply} = steps[stepIndex];
+            for (const {value, cost: valueCost} of values) {
+                const startTime = (stats !== null ? performance.now() : 0);
+                const sourceMap2 = new TextSourceMap(sourceMap.source, sourceMap.getMappingCopy());
+                const text3 = apply(text2, sourceMap2, value);
+                if (stats !== null) { stats.stepTimes.set(id, (stats.stepTimes.get(id) || 0) + performance.now() - startTime); }
+                this._insertTextVariant(queue, {text: text3, sourceMap: sourceMap2, stepIndex: stepIndex + 1, cost: cost + valueCost});
+            }
+        }
+    }
+
+    /**
+     * Gets the steps which create the variants of a text, in the order in which they are applied.
+     * Each step has a list of values to choose from, and the cost of each value is the number of
+     * optional changes it makes to the text. Text transformations can declare a different `cost`.
+     * @param {FindTermsOptions} options The options.
+     * @returns {{id: string, values: {value: *, cost: number}[], apply: function(string, TextSourceMap, *): string}[]} The steps.
+     */
+    _getTextVariantSteps(options) {
+        const jp = this._japaneseUtil;
+        const steps = [
+            {
+                id: 'textReplacements',
+                values: this._getTextReplacementsVariants(options).map((value) => ({value, cost: (value !== null ? 1 : 0)})),
+                apply: (text, sourceMap, textReplacements) => (textReplacements !== null ? this._applyTextReplacements(text, sourceMap, textReplacements) : text)
+            },
+            {
+                id: 'collapseEmphaticSequences',
+                values: this._getCollapseEmphaticOptions(options).map((value) => ({value, cost: value.filter((v) => v).length})),
+                apply: (text, sourceMap, [collapseEmphatic, collapseEmphaticFull]) => (collapseEmphatic ? jp.collapseEmphaticSequences(text, collapseEmphaticFull, sourceMap) : text)
+            }
+        ];
+
+        for (const textTransformation of Object.values(options.textTransformations)) {
+            const {id, setting, transform} = textTransformation;
+            if (typeof transform !== 'function') { continue; }
+            const cost = (typeof textTransformation.cost === 'number' ? textTransformation.cost : 1);
+            steps.push({
+                id,
+                values: this._getTextOptionEntryVariants(setting).map((value) => ({value, cost: (value && setting === 'variant' ? cost : 0)})),
+                apply: (text, sourceMap, enabled) => (enabled ? transform(text, sourceMap) : text)
+            });
+        }
+
+        return steps;
+    }
+
+    _insertTextVariant(queue, variant) {
+        // Variants with the same cost are kept in the order in which they were created
+        let index = queue.length;
+        while (index > 0 && queue[index - 1].cost > variant.cost) { --index; }
+        queue.splice(index, 0, variant);
+    }
+
+    _createTextVariantStats() {
+        return {
+            startTime: performance.now(),
+            variantCount: 0,
+            skippedCount: 0,
+            stepTimes: new Map(),
+            deinflectionTime: 0,
+            deinflectionLimitCount: 0
+        };
+    }
+
+    _logTextVariantStats(text, language, stats) {
+        const {startTime, variantCount, skippedCount, stepTimes, deinflectionTime, deinflectionLimitCount} = stats;
+        let message = `Searched ${variantCount} variants of ${JSON.stringify(text)} (${language}) in ${(performance.now() - startTime).toFixed(2)}ms, skipped ${skippedCount} duplicates`;
+        for (const [id, time] of stepTimes) {
+            message += `\n  ${id}: ${time.toFixed(2)}ms`;
+        }
+        message += `\n  deinflection: ${deinflectionTime.toFixed(2)}ms`;
+        if (deinflectionLimitCount > 0) {
+            message += `\n  deinflection limit reached for ${deinflectionLimitCount} texts; some inflected forms may not be found`;
+        }
+        console.debug(message);
+    }
+
+    async _getSourceDeinflections(rawSource, source, sourceReasons, options, stats) {
+        if (options.deinflectionSource === 'dictionary') {
+            const inflectionHypotheses = (sourceReasons.length > 0 ? [this._createInflectionHypothesis('algorithm', sourceReasons)] : []);
+            return [this._createDeinflection(rawSource, source, source, 0, inflectionHypotheses, [])];
+        }
+
+        const {deinflections: algorithmDeinflections, limitReached} = await this._deinflector.deinflect(source, options);
+        if (limitReached && stats !== null) { ++stats.deinflectionLimitCount; }
+        return algorithmDeinflections.map(({term, rules, reasons}) => {
+            const inflectionHypothesis = this._createInflectionHypothesis('algorithm', [...reasons, ...sourceReasons]);
+            return this._createDeinflection(rawSource, source, term, rules, [inflectionHypothesis], []);
+        });
+    }
+
     _applyTextReplacements(text, sourceMap, replacements) {
         for (const {pattern, replacement} of replacements) {
             text = RegexUtil.applyTextReplacement(text, sourceMap, pattern, replacement);
@@ -1150,27 +1530,6 @@ class Translator {
         return {index, priority};
     }
 
-    *_generateArrayVariants(variantVectorSpace) {
-        const variantKeys = Object.keys(variantVectorSpace);
-        const lengths = variantKeys.map((key) => variantVectorSpace[key].length);
-        const totalVariants = lengths.reduce((acc, length) => acc * length, 1);
-
-        for (let variantIndex = 0; variantIndex < totalVariants; ++variantIndex) {
-            const variant = {};
-            let remainingIndex = variantIndex;
-
-            for (let keyIndex = 0; keyIndex < variantKeys.length; ++keyIndex) {
-                const key = variantKeys[keyIndex];
-                const entryVariants = variantVectorSpace[key];
-                const entryIndex = remainingIndex % entryVariants.length;
-                variant[key] = entryVariants[entryIndex];
-                remainingIndex = Math.floor(remainingIndex / entryVariants.length);
-            }
-
-            yield variant;
-        }
-    }
-
     _createMapKey(array) {
         return JSON.stringify(array);
     }
@@ -0,0 +1,103 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Class which finds the boundaries of grapheme clusters and words, for languages
+ * which write words without spaces between them or join the letters of words.
+ */
+class WordSegmenter {
+    /**
+     * Creates a new instance of the class.
+     * @param {object} details The word segmentation settings of a language.
+     * @param {string} [details.leadingCharacters] Characters which belong to the same cluster as
+     *   the character after them, such as the Thai vowel "เ", which is written before its consonant.
+     * @param {string} [details.followingCharacters] Characters which belong to the same cluster as
+     *   the character before them, in addition to combining marks.
+     * @param {boolean} [details.spaceDelimited] Whether words are separated by spaces, so that every
+     *   run of letters is a single word.
+     */
+    constructor({leadingCharacters='', followingCharacters='', spaceDelimited=false}={}) {
+        this._leadingCharacters = new Set(leadingCharacters);
+        this._followingCharacters = new Set(followingCharacters);
+        this._spaceDelimited = spaceDelimited;
+        this._markPattern = /^\p{M}$/u;
+        // Zero width non-joiners are written inside words, such as Persian می‌خوانم
+        this._letterPattern = /^[\p{L}\p{M}\u200c]$/u;
+    }
+
+    /**
+     * Gets whether words are separated by spaces.
+     * @type {boolean}
+     */
+    get spaceDelimited() {
+        return this._spaceDelimited;
+    }
+
+    /**
+     * Checks whether a text can be split at an index without splitting a grapheme cluster.
+     * @param {string} text The text.
+     * @param {number} index The index.
+     * @returns {boolean} `true` if a cluster starts at the index, `false` otherwise.
+     */
+    isClusterBoundary(text, index) {
+        if (index <= 0 || index >= text.length) { return true; }
+        const c = text[index];
+        const previous = text[index - 1];
+        // Zero width joiners and the low halves of surrogate pairs also continue a cluster
+        return !(
+            this._markPattern.test(c) ||
+            this._followingCharacters.has(c) ||
+            this._leadingCharacters.has(previous) ||
+            c === '\u200d' || previous === '\u200d' ||
+            (c >= '\udc00' && c <= '\udfff')
+        );
+    }
+
+    /**
+     * Gets the start of the grapheme cluster which contains an index.
+     * @param {string} text The text.
+     * @param {number} index The index.
+     * @returns {number} The index of the start of the cluster.
+     */
+    getClusterStart(text, index) {
+        while (!this.isClusterBoundary(text, index)) { --index; }
+        return index;
+    }
+
+    /**
+     * Gets the end of the grapheme cluster which starts at an index.
+     * @param {string} text The text.
+     * @param {number} index The index.
+     * @returns {number} The index after the end of the cluster.
+     */
+    getClusterEnd(text, index) {
+        do { ++index; } while (!this.isClusterBoundary(text, index));
+        return index;
+    }
+
+    /**
+     * Gets the start of the run of letters which contains an index. Words cannot continue across
+     * spaces, punctuation or digits, so segmentation can always start from the start of a run.
+     * @param {string} text The text.
+     * @param {number} index The index.
+     * @returns {number} The index of the start of the run.
+     */
+    getRunStart(text, index) {
+        while (index > 0 && this._letterPattern.test(text[index - 1])) { --index; }
+        return index;
+    }
+}
@@ -20,10 +20,11 @@
  */
 
 class DictionaryEntry {
-    constructor(dictionaryController, fragment, index, dictionaryInfo) {
+    constructor(dictionaryController, fragment, index, dictionaryInfo, dictionaryOptions) {
         this._dictionaryController = dictionaryController;
         this._index = index;
         this._dictionaryInfo = dictionaryInfo;
+        this._dictionaryOptions = dictionaryOptions;
         this._eventListeners = new EventListenerCollection();
         this._counts = null;
         this._nodes = [...fragment.childNodes];
@@ -32,8 +33,11 @@ class DictionaryEntry {
         this._menuButton = fragment.querySelector('.dictionary-menu-button');
         this._outdatedButton = fragment.querySelector('.dictionary-outdated-button');
         this._integrityButton = fragment.querySelector('.dictionary-integrity-button');
+        this._updateButton = fragment.querySelector('.dictionary-update-button');
+        this._updateDownloadUrl = null;
         this._titleNode = fragment.querySelector('.dictionary-title');
         this._versionNode = fragment.querySelector('.dictionary-version');
+        this._languagesNode = fragment.querySelector('.dictionary-languages');
         this._titleContainer = fragment.querySelector('.dictionary-item-title-container');
     }
 
@@ -47,6 +51,7 @@ class DictionaryEntry {
 
         this._titleNode.textContent = title;
         this._versionNode.textContent = `rev.${revision}`;
+        this._languagesNode.textContent = this._getLanguagesText();
         this._outdatedButton.hidden = (version >= 3);
         this._priorityInput.dataset.setting = `dictionaries[${index}].priority`;
         this._enabledCheckbox.dataset.setting = `dictionaries[${index}].enabled`;
@@ -55,6 +60,7 @@ class DictionaryEntry {
         this._eventListeners.addEventListener(this._menuButton, 'menuClose', this._onMenuClose.bind(this), false);
         this._eventListeners.addEventListener(this._outdatedButton, 'click', this._onOutdatedButtonClick.bind(this), false);
         this._eventListeners.addEventListener(this._integrityButton, 'click', this._onIntegrityButtonClick.bind(this), false);
+        this._eventListeners.addEventListener(this._updateButton, 'click', this._onUpdateButtonClick.bind(this), false);
     }
 
     cleanup() {
@@ -76,6 +82,12 @@ class DictionaryEntry {
         this._enabledCheckbox.checked = value;
     }
 
+    setUpdate(latestRevision, downloadUrl) {
+        this._updateDownloadUrl = downloadUrl;
+        this._updateButton.title = `rev.${latestRevision}`;
+        this._updateButton.hidden = false;
+    }
+
     // Private
 
     _onMenuOpen(e) {
@@ -120,6 +132,11 @@ class DictionaryEntry {
         this._showDetails();
     }
 
+    _onUpdateButtonClick() {
+        if (this._updateDownloadUrl === null) { return; }
+        this._dictionaryController.updateDictionary(this.dictionaryTitle, this._updateDownloadUrl);
+    }
+
     _showDetails() {
         const {title, revision, version, prefixWildcardsSupported} = this._dictionaryInfo;
 
@@ -131,6 +148,7 @@ class DictionaryEntry {
         modal.node.querySelector('.dictionary-counts').textContent = this._counts !== null ? JSON.stringify(this._counts, null, 4) : '';
         modal.node.querySelector('.dictionary-prefix-wildcard-searches-supported').checked = prefixWildcardsSupported;
         this._setupDetails(modal.node.querySelector('.dictionary-details-table'));
+        this._setupLanguages(modal.node);
 
         modal.setVisible(true);
     }
@@ -164,6 +182,38 @@ class DictionaryEntry {
         return any;
     }
 
+    _setupLanguages(node) {
+        // Languages declared by the dictionary's index can't be changed
+        let declared = true;
+        node.dataset.dictionaryTitle = this._dictionaryInfo.title;
+        for (const select of node.querySelectorAll('.dictionary-language-select')) {
+            const key = select.dataset.languageKey;
+            const value = this._dictionaryInfo[key];
+            const isDeclared = (typeof value === 'string');
+            select.value = isDeclared ? value : this._getTaggedLanguage(key);
+            select.disabled = isDeclared;
+            if (!isDeclared) { declared = false; }
+        }
+        node.querySelector('.dictionary-language-untagged-notification').hidden = declared;
+    }
+
+    _getLanguage(key) {
+        const value = this._dictionaryInfo[key];
+        return typeof value === 'string' ? value : this._getTaggedLanguage(key);
+    }
+
+    _getTaggedLanguage(key) {
+        const value = this._dictionaryOptions[key];
+        return typeof value === 'string' ? value : '';
+    }
+
+    _getLanguagesText() {
+        const sourceLanguage = this._getLanguage('sourceLanguage');
+        const targetLanguage = this._getLanguage('targetLanguage');
+        if (sourceLanguage.length === 0 && targetLanguage.length === 0) { return ''; }
+        return `${sourceLanguage || '?'} \u2192 ${targetLanguage || '?'}`;
+    }
+
     _delete() {
         this._dictionaryController.deleteDictionary(this.dictionaryTitle);
     }
@@ -245,15 +295,19 @@ class DictionaryExtraInfo {
 }
 
 class DictionaryController {
-    constructor(settingsController, modalController, statusFooter) {
+    constructor(settingsController, modalController, statusFooter, localizationController) {
         this._settingsController = settingsController;
         this._modalController = modalController;
         this._statusFooter = statusFooter;
+        this._localizationController = localizationController;
         this._dictionaries = null;
         this._dictionaryEntries = [];
         this._databaseStateToken = null;
         this._checkingIntegrity = false;
         this._checkIntegrityButton = null;
+        this._checkingUpdates = false;
+        this._checkUpdatesButton = null;
+        this._updateStatusNode = null;
         this._dictionaryEntryContainer = null;
         this._dictionaryInstallCountNode = null;
         this._dictionaryEnabledCountNode = null;
@@ -263,6 +317,7 @@ class DictionaryController {
         this._allCheckbox = null;
         this._extraInfo = null;
         this._isDeleting = false;
+        this._languages = [];
     }
 
     get modalController() {
@@ -275,6 +330,8 @@ class DictionaryController {
 
     async prepare() {
         this._checkIntegrityButton = document.querySelector('#dictionary-check-integrity');
+        this._checkUpdatesButton = document.querySelector('#dictionary-check-updates');
+        this._updateStatusNode = document.querySelector('#dictionary-update-status');
         this._dictionaryEntryContainer = document.querySelector('#dictionary-list');
         this._dictionaryInstallCountNode = document.querySelector('#dictionary-install-count');
         this._dictionaryEnabledCountNode = document.querySelector('#dictionary-enabled-count');
@@ -282,6 +339,7 @@ class DictionaryController {
         this._noDictionariesEnabledWarnings = document.querySelectorAll('.no-dictionaries-enabled-warning');
         this._deleteDictionaryModal = this._modalController.getModal('dictionary-confirm-delete');
         this._allCheckbox = document.querySelector('#all-dictionaries-enabled');
+        this._languages = await yomichan.api.getLanguages();
 
         yomichan.on('databaseUpdated', this._onDatabaseUpdated.bind(this));
         this._settingsController.on('optionsChanged', this._onOptionsChanged.bind(this));
@@ -291,6 +349,13 @@ class DictionaryController {
         if (this._checkIntegrityButton !== null) {
             this._checkIntegrityButton.addEventListener('click', this._onCheckIntegrityButtonClick.bind(this), false);
         }
+        if (this._checkUpdatesButton !== null) {
+            this._checkUpdatesButton.addEventListener('click', this._onCheckUpdatesButtonClick.bind(this), false);
+        }
+        for (const select of document.querySelectorAll('#dictionary-details-modal .dictionary-language-select')) {
+            this._updateLanguageSelectOptions(select);
+            select.addEventListener('change', this._onDictionaryLanguageChange.bind(this), false);
+        }
 
         this._updateDictionaryEntryCount();
 
@@ -330,6 +395,11 @@ class DictionaryController {
         await this._updateEntries();
     }
 
+    updateDictionary(dictionaryTitle, downloadUrl) {
+        if (this._isDeleting) { return; }
+        this._settingsController.trigger('dictionaryUpdateRequested', {source: this, dictionaryTitle, downloadUrl});
+    }
+
     instantiateTemplate(name) {
         return this._settingsController.instantiateTemplate(name);
     }
@@ -349,7 +419,9 @@ class DictionaryController {
             priority: 0,
             enabled,
             allowSecondarySearches: false,
-            definitionsCollapsible: 'not-collapsible'
+            definitionsCollapsible: 'not-collapsible',
+            sourceLanguage: '',
+            targetLanguage: ''
         };
     }
 
@@ -418,6 +490,7 @@ class DictionaryController {
         const dictionaries = await this._settingsController.getDictionaryInfo();
         if (this._databaseStateToken !== token) { return; }
         this._dictionaries = dictionaries;
+        this._setUpdateStatus(null, []);
 
         await this._updateEntries();
     }
@@ -462,7 +535,7 @@ class DictionaryController {
             const {name} = dictionaryOptionsArray[i];
             const dictionaryInfo = dictionaryInfoMap.get(name);
             if (typeof dictionaryInfo === 'undefined') { continue; }
-            this._createDictionaryEntry(i, dictionaryInfo);
+            this._createDictionaryEntry(i, dictionaryInfo, dictionaryOptionsArray[i]);
         }
     }
 
@@ -522,6 +595,11 @@ class DictionaryController {
         this._checkIntegrity();
     }
 
+    _onCheckUpdatesButtonClick(e) {
+        e.preventDefault();
+        this._checkForUpdates();
+    }
+
     _onDictionaryMoveButtonClick() {
         const modal = this._modalController.getModal('dictionary-move-location');
         let {index} = modal.node.dataset;
@@ -535,6 +613,35 @@ class DictionaryController {
         this.moveDictionaryOptions(index, target);
     }
 
+    _onDictionaryLanguageChange(e) {
+        const select = e.currentTarget;
+        const modal = this._modalController.getModal('dictionary-details');
+        const title = modal.node.dataset.dictionaryTitle;
+        if (typeof title !== 'string') { return; }
+        this._setDictionaryLanguage(title, select.dataset.languageKey, select.value);
+    }
+
+    _updateLanguageSelectOptions(select) {
+        const fragment = document.createDocumentFragment();
+
+        let option = document.createElement('option');
+        option.className = 'text-muted';
+        option.value = '';
+        option.textContent = 'Unknown';
+        option.setAttribute('i18n', 'settings.dictionaryDetails.unknownLanguage');
+        fragment.appendChild(option);
+
+        for (const {iso, language, flag} of this._languages) {
+            option = document.createElement('option');
+            option.value = iso;
+            option.textContent = `${language} ${flag}`;
+            fragment.appendChild(option);
+        }
+
+        select.textContent = ''; // Empty
+        select.appendChild(fragment);
+    }
+
     _updateMainDictionarySelectOptions(dictionaries) {
         for (const select of document.querySelectorAll('[data-setting="general.mainDictionary"]')) {
             const fragment = document.createDocumentFragment();
@@ -582,6 +689,84 @@ class DictionaryController {
         }
     }
 
+    async _checkForUpdates() {
+        if (this._dictionaries === null || this._checkingUpdates || this._isDeleting) { return; }
+
+        try {
+            this._checkingUpdates = true;
+            this._setButtonsEnabled(false);
+            this._setUpdateStatus(this._getUpdateText('checking'), []);
+
+            const token = this._databaseStateToken;
+            const results = await yomichan.api.checkDictionaryUpdates();
+            if (this._databaseStateToken !== token) {
+                this._setUpdateStatus(null, []);
+                return;
+            }
+
+            const entries = new Map(this._dictionaryEntries.map((entry) => [entry.dictionaryTitle, entry]));
+            const errors = [];
+            let updateCount = 0;
+            for (const {title, latestRevision, downloadUrl, hasUpdate, error} of results) {
+                if (error !== null) {
+                    errors.push(`${title}: ${error}`);
+                    continue;
+                }
+                if (!hasUpdate) { continue; }
+                if (downloadUrl === null) {
+                    errors.push(`${title}: ${this._getUpdateText('noDownloadUrl', latestRevision)}`);
+                    continue;
+                }
+                const entry = entries.get(title);
+                if (typeof entry === 'undefined') { continue; }
+                entry.setUpdate(latestRevision, downloadUrl);
+                ++updateCount;
+            }
+
+            let message;
+            if (results.length === 0) {
+                message = this._getUpdateText('unsupported');
+            } else if (updateCount > 0) {
+                message = this._getUpdateText(updateCount !== 1 ? 'availableMultiple' : 'available', updateCount);
+            } else {
+                message = this._getUpdateText('upToDate');
+            }
+            this._setUpdateStatus(message, errors);
+        } catch (e) {
+            log.error(e);
+            this._setUpdateStatus(this._getUpdateText('failed'), [e.message]);
+        } finally {
+            this._setButtonsEnabled(true);
+            this._checkingUpdates = false;
+        }
+    }
+
+    _getUpdateText(name, ...values) {
+        const key = `settings.dictionaries.updates.${name}`;
+        const text = this._localizationController.formatTranslation(key, values);
+        return text !== null ? text : key;
+    }
+
+    _setUpdateStatus(message, errors) {
+        const node = this._updateStatusNode;
+        if (node === null) { return; }
+        node.textContent = '';
+        node.hidden = (message === null);
+        if (message === null) { return; }
+
+        const fragment = document.createDocumentFragment();
+        const p = document.createElement('p');
+        p.textContent = message;
+        fragment.appendChild(p);
+        for (const error of errors) {
+            const p2 = document.createElement('p');
+            p2.className = 'danger-text';
+            p2.textContent = error;
+            fragment.appendChild(p2);
+        }
+        node.appendChild(fragment);
+    }
+
     _setCounts(dictionaryCounts, totalCounts) {
         const remainders = Object.assign({}, totalCounts);
         const keys = Object.keys(remainders);
@@ -608,10 +793,10 @@ class DictionaryController {
         }
     }
 
-    _createDictionaryEntry(index, dictionaryInfo) {
+    _createDictionaryEntry(index, dictionaryInfo, dictionaryOptions) {
         const fragment = this.instantiateTemplateFragment('dictionary');
 
-        const entry = new DictionaryEntry(this, fragment, index, dictionaryInfo);
+        const entry = new DictionaryEntry(this, fragment, index, dictionaryInfo, dictionaryOptions);
         this._dictionaryEntries.push(entry);
         entry.prepare();
 
@@ -704,6 +889,26 @@ class DictionaryController {
         await this._settingsController.modifyGlobalSettings(targets);
     }
 
+    async _setDictionaryLanguage(dictionaryTitle, key, value) {
+        // Languages are a property of the dictionary, so they are set for every profile
+        const optionsFull = await this._settingsController.getOptionsFull();
+        const {profiles} = optionsFull;
+        const targets = [];
+        for (let i = 0, ii = profiles.length; i < ii; ++i) {
+            const {options: {dictionaries}} = profiles[i];
+            for (let j = 0, jj = dictionaries.length; j < jj; ++j) {
+                if (dictionaries[j].name !== dictionaryTitle) { continue; }
+                targets.push({
+                    action: 'set',
+                    path: `profiles[${i}].options.dictionaries[${j}].${key}`,
+                    value
+                });
+            }
+        }
+        await this._settingsController.modifyGlobalSettings(targets);
+        await this._updateEntries();
+    }
+
     _triggerStorageChanged() {
         yomichan.trigger('storageChanged');
     }
@@ -34,6 +34,10 @@ class DictionaryImportController {
         this._errorContainer = null;
         this._spinner = null;
         this._purgeNotification = null;
+        this._incompleteImportsContainer = null;
+        this._incompleteImportList = null;
+        this._updateSummaryContainer = null;
+        this._updateSummaryList = null;
         this._errorToStringOverrides = [
             [
                 'A mutation operation was attempted on a database that did not allow mutations.',
@@ -55,11 +59,19 @@ class DictionaryImportController {
         this._errorContainer = document.querySelector('#dictionary-error');
         this._spinner = document.querySelector('#dictionary-spinner');
         this._purgeNotification = document.querySelector('#dictionary-delete-all-status');
+        this._incompleteImportsContainer = document.querySelector('#dictionary-incomplete-imports');
+        this._incompleteImportList = document.querySelector('#dictionary-incomplete-import-list');
+        this._updateSummaryContainer = document.querySelector('#dictionary-update-summary');
+        this._updateSummaryList = document.querySelector('#dictionary-update-summary-list');
 
         this._purgeButton.addEventListener('click', this._onPurgeButtonClick.bind(this), false);
         this._purgeConfirmButton.addEventListener('click', this._onPurgeConfirmButtonClick.bind(this), false);
         this._importFileButton.addEventListener('click', this._onImportButtonClick.bind(this), false);
         this._importFileInput.addEventListener('change', this._onImportFileChange.bind(this), false);
+        yomichan.on('databaseUpdated', this._onDatabaseUpdated.bind(this));
+        this._settingsController.on('dictionaryUpdateRequested', this._onDictionaryUpdateRequested.bind(this));
+
+        this._updateIncompleteImports();
     }
 
     // Private
@@ -79,6 +91,18 @@ class DictionaryImportController {
         this._purgeDatabase();
     }
 
+    _onDatabaseUpdated() {
+        this._updateIncompleteImports();
+    }
+
+    _onDictionaryUpdateRequested({dictionaryTitle, downloadUrl}) {
+        this._updateDictionary(dictionaryTitle, downloadUrl);
+    }
+
+    _onDiscardImportButtonClick(dictionaryTitle) {
+        this._discardImport(dictionaryTitle);
+    }
+
     _onImportFileChange(e) {
         const node = e.currentTarget;
         const files = [...node.files];
@@ -86,6 +110,52 @@ class DictionaryImportController {
         this._importDictionaries(files);
     }
 
+    async _updateIncompleteImports() {
+        let importStates;
+        try {
+            importStates = await new DictionaryWorker().getImportStates();
+        } catch (e) {
+            log.error(e);
+            return;
+        }
+
+        const fragment = document.createDocumentFragment();
+        for (const {title, revision} of importStates) {
+            const node = this._settingsController.instantiateTemplate('dictionary-incomplete-import');
+            node.querySelector('.dictionary-title').textContent = title;
+            node.querySelector('.dictionary-revision').textContent = `rev.${revision}`;
+            const button = node.querySelector('.dictionary-discard-import-button');
+            button.disabled = this._modifying;
+            button.addEventListener('click', this._onDiscardImportButtonClick.bind(this, title), false);
+            fragment.appendChild(node);
+        }
+
+        this._incompleteImportList.textContent = '';
+        this._incompleteImportList.appendChild(fragment);
+        this._incompleteImportsContainer.hidden = (importStates.length === 0);
+    }
+
+    async _discardImport(dictionaryTitle) {
+        if (this._modifying) { return; }
+
+        const prevention = this._preventPageExit();
+
+        try {
+            this._setModifying(true);
+            this._hideErrors();
+            this._setSpinnerVisible(true);
+
+            await new DictionaryWorker().discardImport(dictionaryTitle);
+        } catch (error) {
+            this._showErrors([error]);
+        } finally {
+            prevention.end();
+            this._setSpinnerVisible(false);
+            this._setModifying(false);
+            this._updateIncompleteImports();
+        }
+    }
+
     async _purgeDatabase() {
         if (this._modifying) { return; }
 
@@ -112,9 +182,35 @@ class DictionaryImportController {
             this._setSpinnerVisible(false);
             this._setModifying(false);
             this._triggerStorageChanged();
+            this._updateIncompleteImports();
         }
     }
 
+    async _updateDictionary(dictionaryTitle, downloadUrl) {
+        if (this._modifying) { return; }
+
+        const prevention = this._preventPageExit();
+        let file;
+
+        try {
+            this._setModifying(true);
+            this._hideErrors();
+            this._setSpinnerVisible(true);
+
+            file = await this._downloadFile(downloadUrl, `${dictionaryTitle}.zip`);
+        } catch (error) {
+            this._showErrors([new Error(`Failed to download ${dictionaryTitle}: ${error.message}`)]);
+            return;
+        } finally {
+            prevention.end();
+            this._setSpinnerVisible(false);
+            this._setModifying(false);
+        }
+
+        // The downloaded archive is imported as an update of the installed revision
+        await this._importDictionaries([file]);
+    }
+
     async _importDictionaries(files) {
         if (this._modifying) { return; }
 
@@ -131,6 +227,7 @@ class DictionaryImportController {
         try {
             this._setModifying(true);
             this._hideErrors();
+            this._hideUpdateSummary();
             this._setSpinnerVisible(true);
 
             for (const progress of progressContainers) { progress.hidden = false; }
@@ -158,7 +255,7 @@ class DictionaryImportController {
 
                 switch (stepIndex2) {
                     case -2: // Initialize
-                    case 5: // Data import
+                    case 2: // Data import
                         this._triggerStorageChanged();
                         break;
                 }
@@ -174,7 +271,7 @@ class DictionaryImportController {
                 statusPrefix = `Importing dictionary${fileCount > 1 ? ` (${i + 1} of ${fileCount})` : ''}`;
                 onProgress({
                     stepIndex: -1,
-                    stepCount: 6,
+                    stepCount: 3,
                     index: 0,
                     count: 0
                 });
@@ -195,6 +292,7 @@ class DictionaryImportController {
             this._setSpinnerVisible(false);
             this._setModifying(false);
             this._triggerStorageChanged();
+            this._updateIncompleteImports();
         }
     }
 
@@ -203,19 +301,23 @@ class DictionaryImportController {
             case -1:
             case 0: return 'Loading dictionary';
             case 1: return 'Loading schemas';
-            case 2: return 'Validating data';
-            case 3: return 'Formatting data';
-            case 4: return 'Importing media';
-            case 5: return 'Importing data';
+            case 2: return 'Importing data';
             default: return '';
         }
     }
 
     async _importDictionary(file, importDetails, onProgress) {
         const archiveContent = await this._readFile(file);
-        const {result, errors} = await new DictionaryWorker().importDictionary(archiveContent, importDetails, onProgress);
+        const {result, errors, previousResult} = await new DictionaryWorker().importDictionary(archiveContent, importDetails, onProgress);
         yomichan.api.triggerDatabaseUpdated('dictionary', 'import');
-        const errors2 = await this._addDictionarySettings(result.sequenced, result.title);
+
+        // The settings of an updated dictionary are kept, as they are associated with its title
+        let errors2 = [];
+        if (previousResult !== null) {
+            this._showUpdateSummary(previousResult, result);
+        } else {
+            errors2 = await this._addDictionarySettings(result.sequenced, result.title);
+        }
 
         if (errors.length > 0) {
             const allErrors = [...errors, ...errors2];
@@ -224,6 +326,36 @@ class DictionaryImportController {
         }
     }
 
+    _showUpdateSummary(previousResult, result) {
+        const node = this._settingsController.instantiateTemplate('dictionary-update-summary-entry');
+        node.querySelector('.dictionary-title').textContent = result.title;
+        node.querySelector('.dictionary-revisions').textContent = `rev.${previousResult.revision} \u2192 rev.${result.revision}`;
+        node.querySelector('.dictionary-count-differences').textContent = this._getCountDifferences(previousResult.counts, result.counts).join(', ');
+        this._updateSummaryList.appendChild(node);
+        this._updateSummaryContainer.hidden = false;
+    }
+
+    _hideUpdateSummary() {
+        this._updateSummaryList.textContent = '';
+        this._updateSummaryContainer.hidden = true;
+    }
+
+    _getCountDifferences(previousCounts, counts) {
+        const results = [];
+        for (const [key, {total}] of Object.entries(counts)) {
+            const previousTotal = (
+                typeof previousCounts === 'object' && previousCounts !== null && typeof previousCounts[key] === 'object' ?
+                previousCounts[key].total :
+                0
+            );
+            if (total === previousTotal && total === 0) { continue; }
+            const difference = total - previousTotal;
+            const differenceString = difference > 0 ? `+${difference}` : `${difference}`;
+            results.push(`${key}: ${previousTotal} \u2192 ${total} (${differenceString})`);
+        }
+        return results;
+    }
+
     async _addDictionarySettings(sequenced, title) {
         const optionsFull = await this._settingsController.getOptionsFull();
         const targets = [];
@@ -301,6 +433,24 @@ class DictionaryImportController {
         this._errorContainer.hidden = true;
     }
 
+    async _downloadFile(url, fileName) {
+        const response = await fetch(url, {
+            method: 'GET',
+            mode: 'cors',
+            cache: 'no-cache',
+            credentials: 'omit',
+            redirect: 'follow',
+            referrerPolicy: 'no-referrer'
+        });
+
+        if (!response.ok) {
+            throw new Error(`Invalid response: ${response.status}`);
+        }
+
+        const blob = await response.blob();
+        return new File([blob], fileName, {type: blob.type});
+    }
+
     _readFile(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
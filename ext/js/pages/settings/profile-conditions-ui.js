@@ -34,6 +34,8 @@ class ProfileConditionsUI extends EventDispatcher {
         const normalizeInteger = this._normalizeInteger.bind(this);
         const validateFlags = this._validateFlags.bind(this);
         const normalizeFlags = this._normalizeFlags.bind(this);
+        const validateLanguages = this._validateLanguages.bind(this);
+        const normalizeLanguages = this._normalizeLanguages.bind(this);
         this._descriptors = new Map([
             [
                 'popupLevel',
@@ -86,6 +88,17 @@ class ProfileConditionsUI extends EventDispatcher {
                         ['notInclude', {displayName: 'Don\'t Include', type: 'string', defaultValue: '', validate: validateFlags, normalize: normalizeFlags}]
                     ])
                 }
+            ],
+            [
+                'language',
+                {
+                    displayName: 'Detected Language',
+                    defaultOperator: 'equal',
+                    operators: new Map([
+                        ['equal',    {displayName: 'Is',     type: 'string', defaultValue: 'ja', resetDefaultOnChange: true, validate: validateLanguages, normalize: normalizeLanguages}],
+                        ['notEqual', {displayName: 'Is Not', type: 'string', defaultValue: 'ja', resetDefaultOnChange: true, validate: validateLanguages, normalize: normalizeLanguages}]
+                    ])
+                }
             ]
         ]);
         this._validFlags = new Set([
@@ -314,6 +327,14 @@ class ProfileConditionsUI extends EventDispatcher {
         return [...new Set(this.splitValue(value))].join(', ');
     }
 
+    _validateLanguages(value) {
+        return this.splitValue(value).length > 0;
+    }
+
+    _normalizeLanguages(value) {
+        return [...new Set(this.splitValue(value.toLowerCase()))].join(', ');
+    }
+
     _triggerConditionGroupCountChanged(count) {
         this.trigger('conditionGroupCountChanged', {count, profileIndex: this._profileIndex});
     }
@@ -94,7 +94,10 @@ async function setupGenericSettingsController(genericSettingController) {
         const storageController = new StorageController(persistentStorageController);
         storageController.prepare();
 
-        const dictionaryController = new DictionaryController(settingsController, modalController, statusFooter);
+        const localizationController = new LocalizationController(settingsController);
+        localizationController.prepare();
+
+        const dictionaryController = new DictionaryController(settingsController, modalController, statusFooter, localizationController);
         dictionaryController.prepare();
 
         const dictionaryImportController = new DictionaryImportController(settingsController, modalController, statusFooter);
@@ -139,9 +142,6 @@ async function setupGenericSettingsController(genericSettingController) {
         const languagesController = new LanguagesController(settingsController);
         languagesController.prepare();
 
-        const localizationController = new LocalizationController(settingsController);
-        localizationController.prepare();
-
         const textTransformationsController = new TextTransformationsController(settingsController);
         textTransformationsController.prepare();
 
@@ -68,7 +68,7 @@ async function setupGenericSettingsController(genericSettingController) {
         const localizationController = new LocalizationController(settingsController);
         preparePromises.push(localizationController.prepare());
 
-        const dictionaryController = new DictionaryController(settingsController, modalController, statusFooter);
+        const dictionaryController = new DictionaryController(settingsController, modalController, statusFooter, localizationController);
         dictionaryController.prepare();
 
         const dictionaryImportController = new DictionaryImportController(settingsController, modalController, statusFooter);
@@ -41,11 +41,16 @@ self.importScripts(
     '/js/general/object-property-accessor.js',
     '/js/general/regex-util.js',
     '/js/general/text-source-map.js',
+    '/js/language/compound-splitter.js',
+    '/js/language/inflection-feature-parser.js',
     '/js/language/deinflector.js',
     '/js/dictionary/dictionary-database.js',
     '/js/dictionary/dictionary-data-util.js',
+    '/js/dictionary/dictionary-update-checker.js',
     '/js/language/languages/ja/japanese-util.js',
+    '/js/language/languages/zh/chinese-util.js',
     '/js/language/translator.js',
+    '/js/language/word-segmenter.js',
     '/js/media/audio-downloader.js',
     '/js/media/media-util.js',
     '/js/templates/template-patcher.js',
@@ -0,0 +1,145 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const assert = require('assert');
+const {testMain} = require('../dev/util');
+const {VM} = require('../dev/vm');
+
+const vm = new VM();
+vm.execute([
+    'js/general/text-source-map.js',
+    'js/general/regex-util.js',
+    'js/language/languages/zh/chinese-util.js'
+]);
+const [ChineseUtil, TextSourceMap] = vm.get(['ChineseUtil', 'TextSourceMap']);
+const zh = new ChineseUtil();
+
+
+function testConvertSimplifiedToTraditional() {
+    const data = [
+        ['汉语', '漢語'],
+        ['我们学习中文', '我們學習中文'],
+        ['漢語', '漢語'],
+        ['abc', 'abc']
+    ];
+
+    for (const [text, expected] of data) {
+        assert.strictEqual(zh.convertSimplifiedToTraditional(text), expected);
+    }
+}
+
+function testConvertTraditionalToSimplified() {
+    const data = [
+        ['漢語', '汉语'],
+        ['我們學習中文', '我们学习中文'],
+        // Characters which are merged in simplified text
+        ['後來', '后来'],
+        ['頭髮', '头发'],
+        ['汉语', '汉语']
+    ];
+
+    for (const [text, expected] of data) {
+        assert.strictEqual(zh.convertTraditionalToSimplified(text), expected);
+    }
+}
+
+function testConvertToneNumbersToMarks() {
+    const data = [
+        ['ni3 hao3', 'nǐ hǎo'],
+        ['Ni3hao3', 'Nǐhǎo'],
+        ['nu:3 lv4', 'nǚ lǜ'],
+        ['dou1 shui3 gui4', 'dōu shuǐ guì'],
+        ['ma5', 'ma'],
+        ['mp3', 'mp3']
+    ];
+
+    for (const [text, expected] of data) {
+        assert.strictEqual(zh.convertToneNumbersToMarks(text), expected);
+    }
+}
+
+function testConvertToneMarksToNumbers() {
+    const data = [
+        ['nǐ hǎo', 'ni3 hao3', [0, 1, 1, 2, 3, 4, 4, 4, 6]],
+        ['kěnéng', 'ke3neng2', [0, 1, 1, 2, 3, 3, 3, 3, 6]],
+        ['tiānguó', 'tian1guo2', [0, 1, 2, 2, 2, 4, 5, 6, 6, 7]],
+        ['Xī\'ān', 'Xi1\'an1', [0, 1, 1, 2, 3, 3, 3, 5]],
+        ['hello', 'hello', [0, 1, 2, 3, 4, 5]]
+    ];
+
+    for (const [text, expected, sourceLengths] of data) {
+        const sourceMap = new TextSourceMap(text);
+        const actual = zh.convertToneMarksToNumbers(text, sourceMap);
+        assert.strictEqual(actual, expected);
+        assert.deepStrictEqual(sourceLengths.map((value, i) => sourceMap.getSourceLength(i)), sourceLengths);
+    }
+}
+
+function testDistributePinyin() {
+    const data = [
+        [
+            ['你好', 'ni3 hao3'],
+            [
+                {text: '你', reading: 'nǐ', tone: 3},
+                {text: '好', reading: 'hǎo', tone: 3}
+            ]
+        ],
+        [
+            ['天国', 'tiānguó'],
+            [
+                {text: '天', reading: 'tiān', tone: 1},
+                {text: '国', reading: 'guó', tone: 2}
+            ]
+        ],
+        [
+            ['一点儿', 'yi1 dian3 r5'],
+            [
+                {text: '一', reading: 'yī', tone: 1},
+                {text: '点', reading: 'diǎn', tone: 3},
+                {text: '儿', reading: 'r', tone: 5}
+            ]
+        ],
+        [
+            ['AA制', 'A A zhi4'],
+            [
+                {text: 'A', reading: '', tone: 5},
+                {text: 'A', reading: '', tone: 5},
+                {text: '制', reading: 'zhì', tone: 4}
+            ]
+        ],
+        [['你好', 'ni3'], null],
+        [['卡拉OK', 'ka3 la1 O K'], null],
+        [['hello', 'hello'], null]
+    ];
+
+    for (const [[term, reading], expected] of data) {
+        const actual = zh.distributePinyin(term, reading);
+        vm.assert.deepStrictEqual(actual, expected);
+    }
+}
+
+
+function main() {
+    testConvertSimplifiedToTraditional();
+    testConvertTraditionalToSimplified();
+    testConvertToneNumbersToMarks();
+    testConvertToneMarksToNumbers();
+    testDistributePinyin();
+}
+
+
+if (require.main === module) { testMain(main); }
@@ -0,0 +1,148 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const assert = require('assert');
+const {testMain} = require('../dev/util');
+const {VM} = require('../dev/vm');
+
+const vm = new VM();
+vm.execute([
+    'js/language/compound-splitter.js'
+]);
+const CompoundSplitter = vm.get('CompoundSplitter');
+
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+
+function testGetWord() {
+    const compoundSplitter = new CompoundSplitter();
+    assert.strictEqual(compoundSplitter.getWord('Haustürschlüssel liegt'), 'Haustürschlüssel');
+    assert.strictEqual(compoundSplitter.getWord('Haus.'), 'Haus');
+    assert.strictEqual(compoundSplitter.getWord(' Haus'), '');
+}
+
+function testGetCandidates() {
+    const compoundSplitter = new CompoundSplitter({minLength: 3});
+    const candidates = compoundSplitter.getCandidates('Haustür');
+    for (const term of ['Haus', 'haus', 'Tür', 'tür', 'Haustür', 'haustür', 'stür', 'Stür']) {
+        assert.ok(candidates.includes(term), `Missing candidate ${term}`);
+    }
+    assert.ok(!candidates.includes('Ha'));
+    assert.strictEqual(new Set(candidates).size, candidates.length);
+
+    // Words which are too short or too long are not split
+    assert.deepStrictEqual(clone(compoundSplitter.getCandidates('Hause')), []);
+    assert.deepStrictEqual(clone(new CompoundSplitter({maxLength: 6}).getCandidates('Haustür')), []);
+
+    // Parts are at most maxPartLength letters long
+    const candidates2 = new CompoundSplitter({minLength: 3, maxPartLength: 4}).getCandidates('Haustür');
+    assert.ok(candidates2.includes('Haus'));
+    assert.ok(!candidates2.includes('Haust'));
+    assert.ok(!candidates2.includes('Haustür'));
+
+    // Words with too many candidates are not split
+    assert.deepStrictEqual(clone(new CompoundSplitter({maxCandidates: 20}).getCandidates('Haustürschlüssel')), []);
+    assert.ok(compoundSplitter.getCandidates('Bundesverfassungsgericht').length > 0);
+    assert.deepStrictEqual(clone(compoundSplitter.getCandidates('Donaudampfschifffahrtsgesellschaft')), []);
+}
+
+function testSplit() {
+    const compoundSplitter = new CompoundSplitter({minLength: 3, linkingElements: ['s', 'en']});
+    const data = [
+        {
+            word: 'Haustürschlüssel',
+            knownTerms: ['Haus', 'Tür', 'Schlüssel'],
+            expected: [
+                {text: 'Haus', term: 'Haus'},
+                {text: 'tür', term: 'Tür'},
+                {text: 'schlüssel', term: 'Schlüssel'}
+            ]
+        },
+        {
+            // The fewest parts are preferred
+            word: 'Haustürschlüssel',
+            knownTerms: ['Haus', 'Tür', 'Haustür', 'Schlüssel'],
+            expected: [
+                {text: 'Haustür', term: 'Haustür'},
+                {text: 'schlüssel', term: 'Schlüssel'}
+            ]
+        },
+        {
+            // Linking elements are skipped
+            word: 'Arbeitsplatz',
+            knownTerms: ['Arbeit', 'Platz'],
+            expected: [
+                {text: 'Arbeit', term: 'Arbeit'},
+                {text: 'platz', term: 'Platz'}
+            ]
+        },
+        {
+            word: 'Sonnenschein',
+            knownTerms: ['Sonne', 'Schein'],
+            expected: null
+        },
+        {
+            // Parts which are too short are ignored
+            word: 'Eisbär',
+            knownTerms: ['Eis', 'Bär', 'Ei'],
+            expected: [
+                {text: 'Eis', term: 'Eis'},
+                {text: 'bär', term: 'Bär'}
+            ]
+        },
+        {
+            // Known whole words are not split
+            word: 'Haustür',
+            knownTerms: ['Haustür'],
+            expected: null
+        },
+        {
+            word: 'Haustürschlüssel',
+            knownTerms: ['Haus', 'Schlüssel'],
+            expected: null
+        }
+    ];
+
+    for (const {word, knownTerms, expected} of data) {
+        const parts = compoundSplitter.split(word, new Set(knownTerms));
+        assert.deepStrictEqual(clone(parts), expected, `Unexpected split of ${word}`);
+    }
+
+    // Parts longer than maxPartLength are not used
+    const shortParts = new CompoundSplitter({minLength: 3, maxPartLength: 7}).split('Haustürschlüssel', new Set(['Haustür', 'Haus', 'Tür', 'Schlüssel']));
+    assert.deepStrictEqual(clone(shortParts), null);
+
+    // Each language declares its own linking elements
+    const parts = new CompoundSplitter({linkingElements: ['n']}).split('Sonnenschein', new Set(['Sonne', 'Schein']));
+    assert.deepStrictEqual(clone(parts), [
+        {text: 'Sonne', term: 'Sonne'},
+        {text: 'schein', term: 'Schein'}
+    ]);
+}
+
+
+function main() {
+    testGetWord();
+    testGetCandidates();
+    testSplit();
+}
+
+
+if (require.main === module) { testMain(main); }
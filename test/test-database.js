@@ -17,7 +17,7 @@
 
 const path = require('path');
 const assert = require('assert');
-const {createDictionaryArchive, testMain} = require('../dev/util');
+const {createDictionaryArchive, testMain, JSZip} = require('../dev/util');
 const {DatabaseVM, DatabaseVMDictionaryImporterMediaLoader} = require('../dev/database-vm');
 
 
@@ -27,9 +27,10 @@ vm.execute([
     'js/general/cache-map.js',
     'js/data/json-schema.js',
     'js/media/media-util.js',
-    'js/language/dictionary-importer.js',
+    'js/dictionary/dictionary-data-util.js',
+    'js/dictionary/dictionary-importer.js',
     'js/data/database.js',
-    'js/language/dictionary-database.js'
+    'js/dictionary/dictionary-database.js'
 ]);
 const DictionaryImporter = vm.get('DictionaryImporter');
 const DictionaryDatabase = vm.get('DictionaryDatabase');
@@ -864,6 +865,287 @@ async function testDatabase3() {
 }
 
 
+async function createLargeTestDictionarySource(title, bankSizes, revision='test') {
+    const archive = new JSZip();
+    archive.file('index.json', JSON.stringify({title, format: 3, revision, sequenced: true}));
+    for (const [name, size] of Object.entries(bankSizes)) {
+        const entries = [];
+        for (let i = 0; i < size; ++i) {
+            entries.push(
+                name.startsWith('term_meta') ?
+                [`term${i}`, 'freq', i] :
+                [`term${i}`, '', '', '', 0, [`${name} definition ${i} rev.${revision}`], i, '']
+            );
+        }
+        archive.file(`${name}.json`, JSON.stringify(entries));
+    }
+    return await archive.generateAsync({type: 'arraybuffer'});
+}
+
+
+async function testDatabase4() {
+    // A dictionary with several banks which are larger than a transaction
+    const title = 'Large Test Dictionary';
+    const source = await createLargeTestDictionarySource(title, {term_bank_1: 2500, term_bank_2: 1200, term_meta_bank_1: 1500});
+
+    // Setup database
+    const dictionaryDatabase = new DictionaryDatabase();
+    await dictionaryDatabase.prepare();
+
+    const bulkAddCalls = [];
+    const dictionaryDatabaseProxy = Object.create(dictionaryDatabase);
+    dictionaryDatabaseProxy.bulkAdd = (objectStoreName, items, start, count) => {
+        bulkAddCalls.push({objectStoreName, count});
+        return dictionaryDatabase.bulkAdd(objectStoreName, items, start, count);
+    };
+
+    const progressIndices = [];
+    const dictionaryImporter = createDictionaryImporter(({stepIndex, index}) => {
+        if (stepIndex === 2) { progressIndices.push(index); }
+    });
+    const {result, errors} = await dictionaryImporter.importDictionary(dictionaryDatabaseProxy, source, {});
+    vm.assert.deepStrictEqual(errors, []);
+    vm.assert.deepStrictEqual(result.counts, {
+        terms: {total: 3700},
+        termMeta: {total: 1500, freq: 1500},
+        kanji: {total: 0},
+        kanjiMeta: {total: 0},
+        tagMeta: {total: 0},
+        media: {total: 0}
+    });
+
+    // Data is added in bounded chunks, and the summary after all of the data
+    assert.ok(bulkAddCalls.every(({count}) => count <= 1000));
+    assert.deepStrictEqual(
+        bulkAddCalls.map(({objectStoreName, count}) => `${objectStoreName}:${count}`),
+        ['terms:1000', 'terms:1000', 'terms:500', 'terms:1000', 'terms:200', 'termMeta:1000', 'termMeta:500', 'dictionaries:1']
+    );
+
+    // Progress is reported for each file
+    assert.ok(progressIndices.every((index, i) => i === 0 || index >= progressIndices[i - 1]));
+    for (const index of [1, 2, 3]) {
+        assert.ok(progressIndices.includes(index));
+    }
+
+    const counts = await dictionaryDatabase.getDictionaryCounts([title], false);
+    vm.assert.deepStrictEqual(counts.counts, [{kanji: 0, kanjiMeta: 0, terms: 3700, termMeta: 1500, tagMeta: 0, media: 0}]);
+
+    await dictionaryDatabase.close();
+}
+
+
+async function testDatabase5() {
+    const title = 'Large Test Dictionary';
+    const emptyCounts = {kanji: 0, kanjiMeta: 0, terms: 0, termMeta: 0, tagMeta: 0, media: 0};
+
+    // Setup database
+    const dictionaryDatabase = new DictionaryDatabase();
+    await dictionaryDatabase.prepare();
+
+    // Data is removed when an import fails
+    const invalidArchive = new JSZip();
+    invalidArchive.file('index.json', JSON.stringify({title, format: 3, revision: 'test', sequenced: true}));
+    invalidArchive.file('term_bank_1.json', JSON.stringify([['term', '', '', '', 0, ['definition'], 1, '']]));
+    invalidArchive.file('term_bank_2.json', JSON.stringify([['term', '', '', '', 0]]));
+    const invalidSource = await invalidArchive.generateAsync({type: 'arraybuffer'});
+    await assert.rejects(
+        async () => await createDictionaryImporter().importDictionary(dictionaryDatabase, invalidSource, {}),
+        /^Error: Dictionary has invalid data in 'term_bank_2\.json'/
+    );
+    vm.assert.deepStrictEqual((await dictionaryDatabase.getDictionaryCounts([title], false)).counts, [emptyCounts]);
+    vm.assert.deepStrictEqual(await dictionaryDatabase.getImportStates(), []);
+    assert.strictEqual(await dictionaryDatabase.dictionaryExists(title), false);
+
+    // An interrupted import is resumed from the last completed file
+    const source = await createLargeTestDictionarySource(title, {term_bank_1: 1500, term_bank_2: 1500, term_meta_bank_1: 10});
+    let interrupt;
+    const interrupted = new Promise((resolve) => { interrupt = resolve; });
+    const interruptedDatabase = Object.create(dictionaryDatabase);
+    let termBulkAddCount = 0;
+    interruptedDatabase.bulkAdd = (objectStoreName, items, start, count) => {
+        // Stop after the first file and part of the second file have been added
+        if (objectStoreName === 'terms' && ++termBulkAddCount > 3) {
+            interrupt();
+            return new Promise(() => {});
+        }
+        return dictionaryDatabase.bulkAdd(objectStoreName, items, start, count);
+    };
+    createDictionaryImporter().importDictionary(interruptedDatabase, source, {});
+    await interrupted;
+
+    const importStates = await dictionaryDatabase.getImportStates();
+    assert.deepStrictEqual(importStates.map(({title: title2, revision, fileCount}) => [title2, revision, fileCount]), [[title, 'test', 1]]);
+    assert.strictEqual((await dictionaryDatabase.getDictionaryCounts([title], false)).counts[0].terms, 2500);
+    assert.strictEqual(await dictionaryDatabase.dictionaryExists(title), false);
+
+    const bulkAddCalls = [];
+    const resumingDatabase = Object.create(dictionaryDatabase);
+    resumingDatabase.bulkAdd = (objectStoreName, items, start, count) => {
+        bulkAddCalls.push(`${objectStoreName}:${count}`);
+        return dictionaryDatabase.bulkAdd(objectStoreName, items, start, count);
+    };
+    const {result, errors} = await createDictionaryImporter().importDictionary(resumingDatabase, source, {});
+    vm.assert.deepStrictEqual(errors, []);
+    vm.assert.deepStrictEqual(bulkAddCalls, ['terms:1000', 'terms:500', 'termMeta:10', 'dictionaries:1']);
+    vm.assert.deepStrictEqual(result.counts.terms, {total: 3000});
+    vm.assert.deepStrictEqual(result.counts.termMeta, {total: 10, freq: 10});
+    vm.assert.deepStrictEqual(
+        (await dictionaryDatabase.getDictionaryCounts([title], false)).counts,
+        [Object.assign({}, emptyCounts, {terms: 3000, termMeta: 10})]
+    );
+    vm.assert.deepStrictEqual(await dictionaryDatabase.getImportStates(), []);
+
+    // Each term is only added once
+    const terms = await dictionaryDatabase.findTermsBulk(['term0', 'term1499'], new Map([[title, {priority: 0, allowSecondarySearches: false}]]), 'exact');
+    assert.strictEqual(terms.length, 4);
+
+    // Media which was added before an import was interrupted is not added again
+    const mediaTitle = 'Media Test Dictionary';
+    const mediaArchive = createTestDictionaryArchive('valid-dictionary1', mediaTitle);
+    mediaArchive.file('term_bank_2.json', await mediaArchive.file('term_bank_1.json').async('string'));
+    const mediaSource = await mediaArchive.generateAsync({type: 'arraybuffer'});
+    let interruptMedia;
+    const mediaInterrupted = new Promise((resolve) => { interruptMedia = resolve; });
+    const mediaInterruptedDatabase = Object.create(dictionaryDatabase);
+    let mediaTermBulkAddCount = 0;
+    mediaInterruptedDatabase.bulkAdd = (objectStoreName, items, start, count) => {
+        // Stop before the terms of the second file are added
+        if (objectStoreName === 'terms' && ++mediaTermBulkAddCount > 1) {
+            interruptMedia();
+            return new Promise(() => {});
+        }
+        return dictionaryDatabase.bulkAdd(objectStoreName, items, start, count);
+    };
+    createDictionaryImporter().importDictionary(mediaInterruptedDatabase, mediaSource, {});
+    await mediaInterrupted;
+
+    const getMediaCount = async () => (await dictionaryDatabase.getDictionaryCounts([mediaTitle], false)).counts[0].media;
+    assert.strictEqual(await getMediaCount(), 4);
+    const {result: mediaResult, errors: mediaErrors} = await createDictionaryImporter().importDictionary(dictionaryDatabase, mediaSource, {});
+    vm.assert.deepStrictEqual(mediaErrors, []);
+    assert.strictEqual(await getMediaCount(), 4);
+    vm.assert.deepStrictEqual(mediaResult.counts.media, {total: 4});
+
+    await dictionaryDatabase.close();
+}
+
+
+async function testDatabase6() {
+    const title = 'Large Test Dictionary';
+    const titles = new Map([[title, {priority: 0, allowSecondarySearches: false}]]);
+
+    // Setup database
+    const dictionaryDatabase = new DictionaryDatabase();
+    await dictionaryDatabase.prepare();
+
+    const getDefinitions = async (term) => {
+        const terms = await dictionaryDatabase.findTermsBulk([term], titles, 'exact');
+        return terms.map(({definitions}) => definitions[0]);
+    };
+
+    const source1 = await createLargeTestDictionarySource(title, {term_bank_1: 1500, term_meta_bank_1: 10}, '2');
+    const {previousResult: previousResult1} = await createDictionaryImporter().importDictionary(dictionaryDatabase, source1, {});
+    assert.strictEqual(previousResult1, null);
+
+    // A newer revision replaces the data of the installed one
+    // Until the update is complete, lookups only find the installed revision.
+    const source2 = await createLargeTestDictionarySource(title, {term_bank_1: 1200, term_bank_2: 100}, '10');
+    const updateLookups = [];
+    const bulkAdd = dictionaryDatabase.bulkAdd.bind(dictionaryDatabase);
+    dictionaryDatabase.bulkAdd = async (objectStoreName, ...args) => {
+        await bulkAdd(objectStoreName, ...args);
+        if (objectStoreName !== 'terms') { return; }
+        const info = await dictionaryDatabase.getDictionaryInfo();
+        updateLookups.push([info.map(({revision}) => revision), await getDefinitions('term0'), await getDefinitions('term1499')]);
+    };
+    let updateResults;
+    try {
+        updateResults = await createDictionaryImporter().importDictionary(dictionaryDatabase, source2, {});
+    } finally {
+        delete dictionaryDatabase.bulkAdd;
+    }
+    const {result, errors, previousResult} = updateResults;
+    assert.strictEqual(updateLookups.length, 3);
+    for (const updateLookup of updateLookups) {
+        vm.assert.deepStrictEqual(updateLookup, [['2'], ['term_bank_1 definition 0 rev.2'], ['term_bank_1 definition 1499 rev.2']]);
+    }
+    vm.assert.deepStrictEqual(errors, []);
+    assert.strictEqual(previousResult.revision, '2');
+    vm.assert.deepStrictEqual(previousResult.counts.terms, {total: 1500});
+    assert.strictEqual(result.revision, '10');
+    vm.assert.deepStrictEqual(result.counts.terms, {total: 1300});
+
+    const info = await dictionaryDatabase.getDictionaryInfo();
+    assert.deepStrictEqual(info.map(({title: title2, revision}) => [title2, revision]), [[title, '10']]);
+    vm.assert.deepStrictEqual(
+        (await dictionaryDatabase.getDictionaryCounts([title], false)).counts,
+        [{kanji: 0, kanjiMeta: 0, terms: 1300, termMeta: 0, tagMeta: 0, media: 0}]
+    );
+    vm.assert.deepStrictEqual(await getDefinitions('term0'), ['term_bank_1 definition 0 rev.10', 'term_bank_2 definition 0 rev.10']);
+    vm.assert.deepStrictEqual(await getDefinitions('term1499'), []);
+    vm.assert.deepStrictEqual(await dictionaryDatabase.getImportStates(), []);
+    vm.assert.deepStrictEqual((await dictionaryDatabase.getDictionaryCounts([], true)).total.terms, 1300);
+
+    // The same or an older revision is not imported
+    await assert.rejects(
+        async () => await createDictionaryImporter().importDictionary(dictionaryDatabase, source2, {}),
+        /^Error: Dictionary is already imported$/
+    );
+    await assert.rejects(
+        async () => await createDictionaryImporter().importDictionary(dictionaryDatabase, source1, {}),
+        /^Error: Dictionary is already imported with a newer revision: 10$/
+    );
+
+    // The installed revision is kept when an update fails
+    const invalidArchive = new JSZip();
+    invalidArchive.file('index.json', JSON.stringify({title, format: 3, revision: '11', sequenced: true}));
+    invalidArchive.file('term_bank_1.json', JSON.stringify([['term0', '', '', '', 0, ['definition'], 1, '']]));
+    invalidArchive.file('term_bank_2.json', JSON.stringify([['term0', '', '', '', 0]]));
+    const invalidSource = await invalidArchive.generateAsync({type: 'arraybuffer'});
+    await assert.rejects(
+        async () => await createDictionaryImporter().importDictionary(dictionaryDatabase, invalidSource, {}),
+        /^Error: Dictionary has invalid data in 'term_bank_2\.json'/
+    );
+    vm.assert.deepStrictEqual(
+        (await dictionaryDatabase.getDictionaryCounts([title], false)).counts,
+        [{kanji: 0, kanjiMeta: 0, terms: 1300, termMeta: 0, tagMeta: 0, media: 0}]
+    );
+    vm.assert.deepStrictEqual(await getDefinitions('term0'), ['term_bank_1 definition 0 rev.10', 'term_bank_2 definition 0 rev.10']);
+    vm.assert.deepStrictEqual(await dictionaryDatabase.getImportStates(), []);
+    // The data of the failed update is removed
+    vm.assert.deepStrictEqual((await dictionaryDatabase.getDictionaryCounts([], true)).total.terms, 1300);
+
+    // Discarding an interrupted update keeps the installed revision
+    const source3 = await createLargeTestDictionarySource(title, {term_bank_1: 1500, term_bank_2: 100}, '12');
+    let interrupt;
+    const interrupted = new Promise((resolve) => { interrupt = resolve; });
+    const interruptedDatabase = Object.create(dictionaryDatabase);
+    let termBulkAddCount = 0;
+    interruptedDatabase.bulkAdd = (objectStoreName, items, start, count) => {
+        // Stop after the first file has been added
+        if (objectStoreName === 'terms' && ++termBulkAddCount > 2) {
+            interrupt();
+            return new Promise(() => {});
+        }
+        return dictionaryDatabase.bulkAdd(objectStoreName, items, start, count);
+    };
+    createDictionaryImporter().importDictionary(interruptedDatabase, source3, {});
+    await interrupted;
+
+    const importStates = await dictionaryDatabase.getImportStates();
+    assert.deepStrictEqual(importStates.map(({title: title2, revision}) => [title2, revision]), [[title, '12']]);
+    vm.assert.deepStrictEqual((await dictionaryDatabase.getDictionaryCounts([], true)).total.terms, 2800);
+
+    await dictionaryDatabase.discardImport(title);
+    vm.assert.deepStrictEqual(await dictionaryDatabase.getImportStates(), []);
+    assert.deepStrictEqual((await dictionaryDatabase.getDictionaryInfo()).map(({revision}) => revision), ['10']);
+    vm.assert.deepStrictEqual((await dictionaryDatabase.getDictionaryCounts([], true)).total.terms, 1300);
+    vm.assert.deepStrictEqual(await getDefinitions('term0'), ['term_bank_1 definition 0 rev.10', 'term_bank_2 definition 0 rev.10']);
+
+    await dictionaryDatabase.close();
+}
+
+
 async function main() {
     const clearTimeout = 5000;
     try {
@@ -875,6 +1157,15 @@ async function main() {
 
         await testDatabase3();
         await clearDatabase(clearTimeout);
+
+        await testDatabase4();
+        await clearDatabase(clearTimeout);
+
+        await testDatabase5();
+        await clearDatabase(clearTimeout);
+
+        await testDatabase6();
+        await clearDatabase(clearTimeout);
     } catch (e) {
         console.log(e);
         process.exit(-1);
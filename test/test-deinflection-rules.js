@@ -0,0 +1,210 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const assert = require('assert');
+const {testMain} = require('../dev/util');
+const {GrammarVM} = require('../dev/grammar-vm');
+const {convertGrammarToJson} = require('../dev/grammar-to-json');
+
+
+async function testConversion(language) {
+    const grammarVM = new GrammarVM();
+    await grammarVM.prepare();
+    const {rulesData} = await convertGrammarToJson(grammarVM, language);
+    const jsonReasons = grammarVM.get('createDeinflectionReasonsFromJson')(JSON.parse(JSON.stringify(rulesData)));
+    const jsReasons = await grammarVM.getGrammarScriptDeinflectionReasons(language);
+
+    for (const [reason, jsVariants] of jsReasons) {
+        const jsonKey = [...jsonReasons.keys()].find((key) => JSON.stringify(key) === JSON.stringify(reason));
+        const convertibleVariants = jsVariants.filter(({type}) => typeof type === 'string');
+        if (convertibleVariants.length === 0) { continue; }
+
+        const jsonVariants = jsonReasons.get(jsonKey);
+        assert.ok(Array.isArray(jsonVariants), `Reason ${JSON.stringify(reason)} is missing after conversion`);
+        assert.strictEqual(jsonVariants.length, convertibleVariants.length);
+        for (let i = 0, ii = jsonVariants.length; i < ii; ++i) {
+            const expected = convertibleVariants[i];
+            const actual = jsonVariants[i];
+            assert.strictEqual(`${actual.inflected}`, `${expected.inflected}`);
+            assert.deepStrictEqual([...actual.rulesIn], [...expected.rulesIn]);
+            assert.deepStrictEqual([...actual.rulesOut], [...expected.rulesOut]);
+            const sample = `test${expected.affix}`;
+            assert.strictEqual(actual.uninflect(sample), expected.uninflect(sample));
+        }
+    }
+}
+
+async function testGrammarJson() {
+    const grammarVM = new GrammarVM();
+    await grammarVM.prepare();
+    const {languageUtil} = grammarVM;
+
+    // grammar.json files are served alongside the grammar.js files of the extension
+    const grammarJsonFiles = new Map([
+        ['/js/language/languages/sq/grammar.json', {
+            maxDepth: 4,
+            reasons: [
+                {name: 'plural', rules: [{type: 'suffix', inflected: 'ra', deinflected: '', rulesOut: ['noun']}]},
+                {name: 'diminutive', rules: [{type: 'suffix', inflected: 'th', deinflected: '', rulesOut: ['noun']}]}
+            ]
+        }],
+        ['/js/language/languages/it/grammar.json', {
+            reasons: [{name: 'invalid', rules: [{type: 'circumfix', inflected: 'a', deinflected: ''}]}]
+        }]
+    ]);
+    for (const languageInfo of languageUtil.languages) {
+        if (languageInfo.iso === 'sq' || languageInfo.iso === 'it') { languageInfo.grammarRules = true; }
+    }
+    const {fetchAsset} = grammarVM.context;
+    const fetchedUrls = [];
+    grammarVM.set({
+        fetchAsset: async (url) => {
+            fetchedUrls.push(url);
+            return grammarJsonFiles.has(url) ? JSON.stringify(grammarJsonFiles.get(url)) : await fetchAsset(url);
+        }
+    });
+    const errors = [];
+    grammarVM.set({console: Object.assign({}, console, {error: (error) => errors.push(error)})});
+
+    // Reasons of grammar.json are merged into those of grammar.js with the same name
+    const jsReasons = await grammarVM.getGrammarScriptDeinflectionReasons('sq');
+    const reasons = await languageUtil.getDeinflectionReasons('sq');
+    assert.strictEqual(reasons.size, jsReasons.size + 1);
+    assert.strictEqual(reasons.get('plural').length, jsReasons.get('plural').length + 1);
+    assert.strictEqual(reasons.get('diminutive').length, 1);
+    assert.strictEqual(await languageUtil.getMaxDeinflectionDepth('sq'), 4);
+
+    const {deinflections} = await grammarVM.createDeinflector().deinflect('malra', {language: 'sq', deinflectionPosFilter: true});
+    assert.ok([...deinflections].some(({term, reasons: reasons2}) => term === 'mal' && JSON.stringify(reasons2) === '["plural"]'));
+
+    // Invalid rules are reported and ignored
+    const itJsReasons = await grammarVM.getGrammarScriptDeinflectionReasons('it');
+    const itReasons = await languageUtil.getDeinflectionReasons('it');
+    assert.deepStrictEqual([...itReasons.keys()], [...itJsReasons.keys()]);
+    assert.strictEqual(errors.length, 1);
+    assert.ok(errors[0].message.startsWith('Invalid deinflection rules for language it'));
+
+    // Languages without grammarRules do not request a grammar.json
+    const deJsReasons = await grammarVM.getGrammarScriptDeinflectionReasons('de');
+    const deReasons = await languageUtil.getDeinflectionReasons('de');
+    assert.deepStrictEqual([...deReasons.keys()], [...deJsReasons.keys()]);
+    assert.ok(!fetchedUrls.includes('/js/language/languages/de/grammar.json'));
+    assert.ok(fetchedUrls.includes('/js/language/languages/sq/grammar.json'));
+    assert.strictEqual(errors.length, 1);
+}
+
+async function testConditions() {
+    const grammarVM = new GrammarVM();
+    const createDeinflectionReasonsFromJson = grammarVM.get('createDeinflectionReasonsFromJson');
+    const reasons = createDeinflectionReasonsFromJson({
+        reasons: [
+            {
+                name: 'aorist',
+                rules: [
+                    {type: 'suffix', inflected: 'a', deinflected: '', rulesOut: ['v'], conditions: {precededBy: '[^j]'}}
+                ]
+            }
+        ]
+    });
+
+    const [{inflected, uninflect}] = reasons.get('aorist');
+    assert.ok(inflected.test('vendosa'));
+    assert.strictEqual(uninflect('vendosa'), 'vendos');
+    assert.ok(!inflected.test('ndihmoja'));
+
+    assert.throws(() => createDeinflectionReasonsFromJson({
+        reasons: [{name: 'invalid', rules: [{type: 'circumfix', inflected: 'ge', deinflected: ''}]}]
+    }));
+}
+
+async function testChainLimits() {
+    const grammarVM = new GrammarVM();
+    const Deinflector = grammarVM.get('Deinflector');
+    const createDeinflectionReasonsFromJson = grammarVM.get('createDeinflectionReasonsFromJson');
+    const rulesData = {
+        maxDepth: 3,
+        reasons: [
+            {name: 'add', rules: [{type: 'suffix', inflected: 'a', deinflected: 'ab'}]},
+            {name: 'remove', rules: [{type: 'suffix', inflected: 'ab', deinflected: 'a'}]},
+            {name: 'strip', rules: [{type: 'suffix', inflected: 'x', deinflected: ''}]}
+        ]
+    };
+    const languageUtil = {
+        getDeinflectionReasons: async () => createDeinflectionReasonsFromJson(rulesData),
+        getRuleTypes: async () => null,
+        getMaxDeinflectionDepth: async () => rulesData.maxDepth
+    };
+    const deinflector = new Deinflector(languageUtil);
+    const options = {language: 'xx', deinflectionPosFilter: false};
+
+    // Rules which undo each other must not reach the same term twice
+    const {deinflections: loopDeinflections, limitReached: loopLimitReached} = await deinflector.deinflect('a', options);
+    assert.deepStrictEqual([...loopDeinflections].map(({term}) => term), ['a', 'ab']);
+    assert.strictEqual(loopLimitReached, false);
+
+    // Chains stop at the maximum depth
+    const {deinflections, limitReached} = await deinflector.deinflect('cxxxxx', options);
+    assert.deepStrictEqual([...deinflections].map(({term}) => term), ['cxxxxx', 'cxxxx', 'cxxx', 'cxx']);
+    assert.deepStrictEqual([...deinflections[3].reasons], ['strip', 'strip', 'strip']);
+    assert.strictEqual(limitReached, true);
+}
+
+async function testSentenceVariants() {
+    const grammarVM = new GrammarVM();
+    await grammarVM.prepare();
+    const {languageUtil} = grammarVM;
+    const deinflector = grammarVM.createDeinflector();
+    const getSentenceVariants = async (text, sentenceText) => {
+        const offset = sentenceText.indexOf(text);
+        return JSON.parse(JSON.stringify(await languageUtil.getSentenceVariants('de', text, {text: sentenceText, offset})));
+    };
+
+    // A prefix at the end of the clause is rejoined with the verb
+    const variants = await getSentenceVariants('fängt um acht', 'Der Film fängt um acht Uhr an, oder?');
+    assert.deepStrictEqual(variants, [{text: 'anfängt', originalLength: 5, reasons: ['separated-prefix']}]);
+    const {deinflections} = await deinflector.deinflect(variants[0].text, {language: 'de', deinflectionPosFilter: true});
+    assert.ok([...deinflections].some(({term}) => term === 'anfangen'));
+
+    assert.deepStrictEqual(await getSentenceVariants('Fängt der', 'Fängt der Film bald an?'), [{text: 'anfängt', originalLength: 5, reasons: ['separated-prefix']}]);
+
+    // The prefix must be in the same clause
+    assert.deepStrictEqual(await getSentenceVariants('fängt den', 'Er fängt den Ball, und wir kommen an.'), []);
+    assert.deepStrictEqual(await getSentenceVariants('kommt heute', 'Er kommt heute.'), []);
+
+    // Languages without the function have no variants
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(await languageUtil.getSentenceVariants('en', 'looks it', {text: 'He looks it up.', offset: 3}))), []);
+
+    // Text scanners only extract the sentence before a lookup for languages which use it
+    for (const [language, expected] of [['de', true], ['th', true], ['vi', true], ['en', false], ['el', false]]) {
+        const {lookupUsesSentence} = await languageUtil.getSentenceParsing(language);
+        assert.strictEqual(lookupUsesSentence, expected, `lookupUsesSentence of ${language}`);
+    }
+}
+
+
+async function main() {
+    for (const language of ['en', 'de', 'sq']) {
+        await testConversion(language);
+    }
+    await testGrammarJson();
+    await testConditions();
+    await testChainLimits();
+    await testSentenceVariants();
+}
+
+
+if (require.main === module) { testMain(main); }
@@ -0,0 +1,125 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const http = require('http');
+const assert = require('assert');
+const {testMain} = require('../dev/util');
+const {VM} = require('../dev/vm');
+
+const vm = new VM();
+vm.execute([
+    'js/dictionary/dictionary-data-util.js',
+    'js/dictionary/dictionary-update-checker.js'
+]);
+const DictionaryUpdateChecker = vm.get('DictionaryUpdateChecker');
+
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// Stand-in for the server hosting the dictionaries
+const remoteIndices = new Map([
+    ['/newer/index.json', {title: 'Newer', revision: '2023.10.2', downloadUrl: 'https://example.com/newer.zip'}],
+    ['/same/index.json', {title: 'Same', revision: '1.10'}],
+    ['/older/index.json', {title: 'Older', revision: '9'}],
+    ['/relative/index.json', {title: 'Relative', revision: '2', downloadUrl: 'relative.zip'}],
+    ['/mismatch/index.json', {title: 'Other', revision: '2'}],
+    ['/invalid/index.json', {title: 'Invalid', revision: 2}]
+]);
+
+function createServer() {
+    const requests = [];
+    const server = http.createServer((request, response) => {
+        requests.push(request.url);
+        const index = remoteIndices.get(request.url);
+        if (typeof index === 'undefined') {
+            response.writeHead(404);
+            response.end();
+            return;
+        }
+        response.writeHead(200, {'Content-Type': 'application/json'});
+        response.end(JSON.stringify(index));
+    });
+    return new Promise((resolve, reject) => {
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const {port} = server.address();
+            resolve({server, requests, baseUrl: `http://127.0.0.1:${port}`});
+        });
+    });
+}
+
+function closeServer(server) {
+    return new Promise((resolve) => server.close(resolve));
+}
+
+
+async function testCheckForUpdates(baseUrl, requests) {
+    const requestBuilder = {
+        fetchAnonymous: async (url, init) => await fetch(url, init)
+    };
+    const dictionaryUpdateChecker = new DictionaryUpdateChecker({requestBuilder});
+
+    const dictionaries = [
+        {title: 'Newer', revision: '2023.9.30', isUpdatable: true, indexUrl: `${baseUrl}/newer/index.json`, downloadUrl: `${baseUrl}/ignored.zip`},
+        {title: 'Same', revision: '1.10', isUpdatable: true, indexUrl: `${baseUrl}/same/index.json`, downloadUrl: `${baseUrl}/same.zip`},
+        {title: 'Older', revision: '10', isUpdatable: true, indexUrl: `${baseUrl}/older/index.json`},
+        {title: 'Relative', revision: '1', isUpdatable: true, indexUrl: `${baseUrl}/relative/index.json`},
+        {title: 'Missing', revision: '1', isUpdatable: true, indexUrl: `${baseUrl}/missing/index.json`},
+        {title: 'Mismatch', revision: '1', isUpdatable: true, indexUrl: `${baseUrl}/mismatch/index.json`},
+        {title: 'Invalid', revision: '1', isUpdatable: true, indexUrl: `${baseUrl}/invalid/index.json`},
+        // Dictionaries which cannot be updated are not fetched
+        {title: 'Not updatable', revision: '1', isUpdatable: false, indexUrl: `${baseUrl}/newer/index.json`},
+        {title: 'No index URL', revision: '1', isUpdatable: true},
+        {title: 'Default', revision: '1'}
+    ];
+
+    const results = clone(await dictionaryUpdateChecker.checkForUpdates(dictionaries));
+    assert.deepStrictEqual(results, [
+        {title: 'Newer', revision: '2023.9.30', latestRevision: '2023.10.2', downloadUrl: 'https://example.com/newer.zip', hasUpdate: true, error: null},
+        {title: 'Same', revision: '1.10', latestRevision: '1.10', downloadUrl: `${baseUrl}/same.zip`, hasUpdate: false, error: null},
+        {title: 'Older', revision: '10', latestRevision: '9', downloadUrl: null, hasUpdate: false, error: null},
+        {title: 'Relative', revision: '1', latestRevision: '2', downloadUrl: `${baseUrl}/relative/relative.zip`, hasUpdate: true, error: null},
+        {title: 'Missing', revision: '1', latestRevision: null, downloadUrl: null, hasUpdate: false, error: 'Invalid response: 404'},
+        {title: 'Mismatch', revision: '1', latestRevision: null, downloadUrl: null, hasUpdate: false, error: 'Index is for a different dictionary: Other'},
+        {title: 'Invalid', revision: '1', latestRevision: null, downloadUrl: null, hasUpdate: false, error: 'Invalid dictionary index'}
+    ]);
+
+    assert.deepStrictEqual([...requests].sort(), [
+        '/invalid/index.json',
+        '/mismatch/index.json',
+        '/missing/index.json',
+        '/newer/index.json',
+        '/older/index.json',
+        '/relative/index.json',
+        '/same/index.json'
+    ]);
+}
+
+
+async function main() {
+    const {server, requests, baseUrl} = await createServer();
+    try {
+        await testCheckForUpdates(baseUrl, requests);
+    } finally {
+        await closeServer(server);
+    }
+}
+
+
+if (require.main === module) { testMain(main); }
@@ -0,0 +1,142 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const {JSDOM} = require('jsdom');
+const {testMain} = require('../dev/util');
+const {VM} = require('../dev/vm');
+
+
+function createDisplayGenerator() {
+    const dom = new JSDOM();
+    const {window} = dom;
+    const templatesHtml = fs.readFileSync(path.join(__dirname, '..', 'ext', 'display-templates.html'), {encoding: 'utf8'});
+    const yomichan = {
+        api: {
+            getDisplayTemplatesHtml: async () => templatesHtml,
+            getLanguages: async () => [
+                {iso: 'ja', direction: 'ltr', orderedInflections: true},
+                {iso: 'es', direction: 'ltr'}
+            ]
+        }
+    };
+
+    const {document, Node, NodeFilter, DOMParser} = window;
+    const vm = new VM({window, document, Node, NodeFilter, DOMParser, yomichan});
+    vm.execute([
+        'js/dictionary/dictionary-data-util.js',
+        'js/dom/html-template-collection.js',
+        'js/display/sandbox/pronunciation-generator.js',
+        'js/display/sandbox/structured-content-generator.js',
+        'js/language/languages/zh/chinese-util.js',
+        'js/language/inflection-feature-parser.js',
+        'js/display/display-generator.js'
+    ]);
+    const [DisplayGenerator, InflectionFeatureParser] = vm.get(['DisplayGenerator', 'InflectionFeatureParser']);
+
+    // Terms are written in kana, so they are shown without furigana
+    const japaneseUtil = {
+        distributeFurigana: (term) => [{text: term, reading: ''}],
+        isCodePointKanji: () => false,
+        isStringPartiallyJapanese: () => true
+    };
+    return {
+        dom,
+        displayGenerator: new DisplayGenerator({japaneseUtil, contentManager: null}),
+        inflectionFeatureParser: new InflectionFeatureParser()
+    };
+}
+
+function createInflectionHypothesis(inflectionFeatureParser, source, inflections) {
+    // The same hypothesis as the one created by the translator
+    const {features, otherInflections} = inflectionFeatureParser.parse(inflections);
+    return {source, inflections, features, otherInflections};
+}
+
+function createTermDictionaryEntry(term, inflectionHypotheses) {
+    return {
+        type: 'term',
+        headwords: [{index: 0, term, reading: term, sources: [{originalText: term, transformedText: term, deinflectedText: term, matchType: 'exact', matchSource: 'term', isPrimary: true}], tags: [], wordClasses: []}],
+        inflectionHypotheses,
+        definitions: [],
+        frequencies: [],
+        pronunciations: []
+    };
+}
+
+function getInflectionLists(node) {
+    return [...node.querySelectorAll('.inflection-list')].map((list) => (
+        [...list.querySelectorAll('.inflection')].map((inflection) => inflection.textContent)
+    ));
+}
+
+
+async function testOrderedInflectionChains() {
+    const {dom, displayGenerator, inflectionFeatureParser} = createDisplayGenerator();
+    try {
+        await displayGenerator.prepare();
+        displayGenerator.setLanguage('ja');
+
+        // The order of the chain is meaningful, so its inflections are not merged into features
+        const node = displayGenerator.createTermEntry(createTermDictionaryEntry('たべる', [
+            createInflectionHypothesis(inflectionFeatureParser, 'algorithm', ['causative', 'potential or passive', 'negative']),
+            createInflectionHypothesis(inflectionFeatureParser, 'algorithm', ['polite', 'past', 'negative']),
+            createInflectionHypothesis(inflectionFeatureParser, 'dictionary', ['-te', 'polite', 'imperative'])
+        ]));
+
+        assert.deepStrictEqual(getInflectionLists(node), [
+            ['causative', 'potential or passive', 'negative'],
+            ['polite', 'past', 'negative'],
+            ['-te', 'polite', 'imperative']
+        ]);
+    } finally {
+        dom.window.close();
+    }
+}
+
+async function testInflectionFeatures() {
+    const {dom, displayGenerator, inflectionFeatureParser} = createDisplayGenerator();
+    try {
+        await displayGenerator.prepare();
+        displayGenerator.setLanguage('es');
+
+        const node = displayGenerator.createTermEntry(createTermDictionaryEntry('hablar', [
+            createInflectionHypothesis(inflectionFeatureParser, 'algorithm', ['clitic pronoun', 'present', 'third-person', 'singular']),
+            createInflectionHypothesis(inflectionFeatureParser, 'algorithm', ['first-person', 'clitic pronoun', 'plural'])
+        ]));
+
+        assert.deepStrictEqual(getInflectionLists(node), [
+            // Adjacent inflections which describe features are shown together, in their place in the chain
+            ['clitic pronoun', 'third singular present'],
+            // Inflections which are not adjacent keep their order
+            ['first-person', 'clitic pronoun', 'plural']
+        ]);
+    } finally {
+        dom.window.close();
+    }
+}
+
+
+async function main() {
+    await testOrderedInflectionChains();
+    await testInflectionFeatures();
+}
+
+
+if (require.main === module) { testMain(main); }
@@ -131,7 +131,9 @@ async function testDocumentTextScanningFunctions(dom, {DocumentUtil, TextSourceR
             sentenceScanExtent,
             sentence,
             hasImposter,
-            terminateAtNewlines
+            terminateAtNewlines,
+            abbreviations,
+            abbreviationSeparator
         } = testElement.dataset;
 
         const elementFromPointValue = querySelectorChildOrSelf(testElement, elementFromPointSelector);
@@ -143,6 +145,7 @@ async function testDocumentTextScanningFunctions(dom, {DocumentUtil, TextSourceR
         endOffset = parseInt(endOffset, 10);
         sentenceScanExtent = parseInt(sentenceScanExtent, 10);
         terminateAtNewlines = (terminateAtNewlines !== 'false');
+        abbreviations = (typeof abbreviations === 'string' ? abbreviations.split(abbreviationSeparator || ' ') : []);
 
         assert.notStrictEqual(elementFromPointValue, null);
         assert.notStrictEqual(caretRangeFromPointValue, null);
@@ -208,7 +211,8 @@ async function testDocumentTextScanningFunctions(dom, {DocumentUtil, TextSourceR
             terminateAtNewlines,
             terminatorMap,
             forwardQuoteMap,
-            backwardQuoteMap
+            backwardQuoteMap,
+            abbreviations
         ).text;
         assert.strictEqual(sentenceActual, sentence);
 
@@ -0,0 +1,132 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const {testMain} = require('../dev/util');
+const {VM} = require('../dev/vm');
+
+const vm = new VM();
+vm.execute([
+    'js/language/inflection-feature-parser.js'
+]);
+const InflectionFeatureParser = vm.get('InflectionFeatureParser');
+
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+
+function testParse() {
+    const inflectionFeatureParser = new InflectionFeatureParser();
+    const data = [
+        {
+            // Algorithm reasons
+            inflections: ['present', 'indicative', 'second-person', 'plural'],
+            expected: {
+                features: {person: 'second', number: 'plural', tense: 'present', mood: 'indicative'},
+                otherInflections: []
+            }
+        },
+        {
+            // Dictionary hypotheses describe the same features in free text
+            inflections: ['2nd person plural present indicative'],
+            expected: {
+                features: {person: 'second', number: 'plural', tense: 'present', mood: 'indicative'},
+                otherInflections: []
+            }
+        },
+        {
+            inflections: ['gen. pl.', 'fem'],
+            expected: {
+                features: {number: 'plural', gender: 'feminine', case: 'genitive'},
+                otherInflections: []
+            }
+        },
+        {
+            inflections: ['past participle'],
+            expected: {
+                features: {tense: 'past', verbForm: 'participle'},
+                otherInflections: []
+            }
+        },
+        {
+            // Inflections with unknown words are kept in order
+            inflections: ['causative', 'passive', 'past', 'inflection of'],
+            expected: {
+                features: {tense: 'past', voice: 'passive'},
+                otherInflections: ['causative', 'inflection of']
+            }
+        },
+        {
+            inflections: ['past (irregular)', 'non-past'],
+            expected: {
+                features: {tense: 'nonPast'},
+                otherInflections: ['past (irregular)']
+            }
+        },
+        {
+            // Features which are already set are not changed
+            inflections: ['singular', 'plural'],
+            expected: {
+                features: {number: 'singular'},
+                otherInflections: ['plural']
+            }
+        },
+        {
+            inflections: [],
+            expected: {
+                features: {},
+                otherInflections: []
+            }
+        }
+    ];
+
+    for (const {inflections, expected} of data) {
+        const result = inflectionFeatureParser.parse(inflections);
+        assert.deepStrictEqual(clone(result), expected, `Unexpected features for ${JSON.stringify(inflections)}`);
+        // Features are ordered for display
+        assert.deepStrictEqual(Object.keys(result.features), Object.keys(expected.features));
+    }
+}
+
+function testLabels() {
+    const featureValues = new InflectionFeatureParser().getFeatureValues();
+    const languagesDirectory = path.join(__dirname, '..', 'ext', 'js', 'language', 'languages');
+    for (const language of fs.readdirSync(languagesDirectory)) {
+        const fileName = path.join(languagesDirectory, language, 'i18n.json');
+        if (!fs.existsSync(fileName)) { continue; }
+        const {inflectionFeatures} = JSON.parse(fs.readFileSync(fileName, {encoding: 'utf8'}));
+        assert.deepStrictEqual(Object.keys(inflectionFeatures), [...featureValues.keys()]);
+        for (const [name, values] of featureValues) {
+            for (const value of values) {
+                assert.strictEqual(typeof inflectionFeatures[name][value], 'string', `Missing label for ${name} ${value} in ${language}`);
+            }
+        }
+    }
+}
+
+
+function main() {
+    testParse();
+    testLabels();
+}
+
+
+if (require.main === module) { testMain(main); }
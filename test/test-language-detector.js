@@ -0,0 +1,73 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const assert = require('assert');
+const {testMain} = require('../dev/util');
+const {VM} = require('../dev/vm');
+
+const vm = new VM();
+vm.execute(['js/language/language-detector.js']);
+const [LanguageDetector] = vm.get(['LanguageDetector']);
+
+
+function testDetect() {
+    const data = [
+        // Scripts which are used by a single language
+        ['รถไฟมาถึงแล้ว', null, 'th'],
+        ['ខ្ញុំអានសៀវភៅ', null, 'km'],
+        // Kana distinguish Japanese from Chinese
+        ['本を読みました。', null, 'ja'],
+        ['我在读书。', null, 'zh'],
+        ['我在读书。', 'ja', 'ja'],
+        // Letters which only some languages of a script use
+        ['Я читаю книгу.', null, 'ru'],
+        ['Читам књигу.', null, 'sh'],
+        ['Διαβάζω ένα βιβλίο.', null, 'el'],
+        ['Ἐν ἀρχῇ ἦν ὁ λόγος.', null, 'grc'],
+        ['قرأت الكتاب في المدينة', null, 'ar'],
+        ['کتاب را خواندم', null, 'fa'],
+        ['Tôi đọc sách.', null, 'vi'],
+        ['¿Dónde está el niño?', null, 'es'],
+        ['Die Straße ist groß.', null, 'de'],
+        // Latin letters without markers are only recognized from the page
+        ['I read a book.', null, null],
+        ['I read a book.', 'en-US', 'en'],
+        ['Ich lese ein Buch.', 'de', 'de'],
+        // The page language is kept for text which could be written in it
+        ['Das Mädchen liest.', 'de', 'de'],
+        ['Čitam knjigu.', 'hr', 'sh'],
+        // But not for text in another script, or with letters of another language only
+        ['本を読みました。', 'en', 'ja'],
+        ['El niño lee un libro.', 'en', 'es'],
+        // Text without letters
+        ['123 !?', 'fr', 'fr'],
+        ['123 !?', 'ko', null]
+    ];
+
+    const languageDetector = new LanguageDetector();
+    for (const [text, languageTag, expected] of data) {
+        assert.strictEqual(languageDetector.detect(text, languageTag), expected, `${text} (${languageTag})`);
+    }
+}
+
+
+function main() {
+    testDetect();
+}
+
+
+if (require.main === module) { testMain(main); }
@@ -866,6 +866,70 @@ function testSchemas() {
             ]
         },
 
+        // language tests
+        {
+            conditionGroups: [
+                {
+                    conditions: [
+                        {
+                            type: 'language',
+                            operator: 'equal',
+                            value: 'de, FR'
+                        }
+                    ]
+                }
+            ],
+            expectedSchema: {
+                properties: {
+                    language: {
+                        oneOf: [
+                            {const: 'de'},
+                            {const: 'fr'}
+                        ]
+                    }
+                },
+                required: ['language']
+            },
+            inputs: [
+                {expected: false, context: {}},
+                {expected: true,  context: {language: 'de'}},
+                {expected: true,  context: {language: 'fr'}},
+                {expected: false, context: {language: 'ja'}}
+            ]
+        },
+        {
+            conditionGroups: [
+                {
+                    conditions: [
+                        {
+                            type: 'language',
+                            operator: 'notEqual',
+                            value: 'ja'
+                        }
+                    ]
+                }
+            ],
+            expectedSchema: {
+                not: [
+                    {
+                        properties: {
+                            language: {
+                                oneOf: [
+                                    {const: 'ja'}
+                                ]
+                            }
+                        },
+                        required: ['language']
+                    }
+                ]
+            },
+            inputs: [
+                {expected: true,  context: {}},
+                {expected: true,  context: {language: 'de'}},
+                {expected: false, context: {language: 'ja'}}
+            ]
+        },
+
         // Multiple conditions tests
         {
             conditionGroups: [
@@ -0,0 +1,97 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const assert = require('assert');
+const {testMain} = require('../dev/util');
+const {VM} = require('../dev/vm');
+
+const vm = new VM();
+vm.execute([
+    'js/general/text-source-map.js',
+    'js/general/regex-util.js'
+]);
+const [TextSourceMap, RegexUtil] = vm.get(['TextSourceMap', 'RegexUtil']);
+
+
+function testApplyTextReplacement() {
+    const data = [
+        {
+            source: 'Straße',
+            replacements: [[/ß/g, 'ss']],
+            expected: 'Strasse',
+            // The scanned length of each prefix of the result
+            sourceLengths: [0, 1, 2, 3, 4, 4, 5, 6]
+        },
+        {
+            source: 'Strasse',
+            replacements: [[/ss/g, 'ß']],
+            expected: 'Straße',
+            sourceLengths: [0, 1, 2, 3, 4, 6, 7]
+        },
+        {
+            // Diacritics are combined with the letters they follow
+            source: 'вода\u0301 вода\u0301',
+            replacements: [[/([^\u0301]?)\u0301+/g, '$1']],
+            expected: 'вода вода',
+            sourceLengths: [0, 1, 2, 3, 5, 6, 7, 8, 9, 11]
+        },
+        {
+            source: '\u0648\u064E\u0644\u064E\u062F\u064E',
+            replacements: [[/([^\u064E-\u0650]?)[\u064E-\u0650]+/g, '$1']],
+            expected: '\u0648\u0644\u062F',
+            sourceLengths: [0, 2, 4, 6]
+        },
+        {
+            // Text removed from the end is combined with the preceding character
+            source: 'abc!!',
+            replacements: [[/!+$/, '']],
+            expected: 'abc',
+            sourceLengths: [0, 1, 2, 5]
+        },
+        {
+            source: 'İstanbul',
+            replacements: [[/İ/g, (c) => c.toLowerCase()]],
+            expected: 'i\u0307stanbul',
+            sourceLengths: [0, 0, 1, 2, 3, 4, 5, 6, 7, 8]
+        }
+    ];
+
+    for (const {source, replacements, expected, sourceLengths} of data) {
+        const sourceMap = new TextSourceMap(source);
+        let text = source;
+        for (const [pattern, replacement] of replacements) {
+            text = RegexUtil.applyTextReplacement(text, sourceMap, pattern, replacement);
+        }
+        assert.strictEqual(text, expected);
+        assert.deepStrictEqual(sourceLengths.map((value, i) => sourceMap.getSourceLength(i)), sourceLengths);
+
+        // The text is the same when the changes are not mapped
+        let text2 = source;
+        for (const [pattern, replacement] of replacements) {
+            text2 = RegexUtil.applyTextReplacement(text2, null, pattern, replacement);
+        }
+        assert.strictEqual(text2, expected);
+    }
+}
+
+
+function main() {
+    testApplyTextReplacement();
+}
+
+
+if (require.main === module) { testMain(main); }
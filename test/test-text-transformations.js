@@ -0,0 +1,116 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const assert = require('assert');
+const {testMain} = require('../dev/util');
+const {VM} = require('../dev/vm');
+
+const vm = new VM({window: {languages: {sh: {}, el: {}, grc: {}}}});
+vm.execute([
+    'js/general/text-source-map.js',
+    'js/general/regex-util.js'
+]);
+const TextSourceMap = vm.get('TextSourceMap');
+
+
+function getTextTransformations(language) {
+    vm.executeModule(`js/language/languages/${language}/textTransformations.js`);
+    const window = vm.get('window');
+    return new Map(window.languages[language].textTransformations.map((transformation) => [transformation.id, transformation]));
+}
+
+function testTransformations(textTransformations, data) {
+    for (const {id, source, expected, sourceLengths} of data) {
+        const {transform} = textTransformations.get(id);
+        const sourceMap = new TextSourceMap(source);
+        const actual = transform(source, sourceMap);
+        assert.strictEqual(actual, expected, `${id}: ${source}`);
+        if (typeof sourceLengths !== 'undefined') {
+            // The scanned length of each prefix of the result
+            const actualSourceLengths = [];
+            for (let i = 0; i <= actual.length; ++i) {
+                actualSourceLengths.push(sourceMap.getSourceLength(i));
+            }
+            assert.deepStrictEqual(actualSourceLengths, sourceLengths, `${id}: ${source}`);
+        }
+    }
+}
+
+
+function testSerboCroatian() {
+    testTransformations(getTextTransformations('sh'), [
+        {id: 'latinToCyrillic', source: 'ljubav', expected: 'љубав', sourceLengths: [0, 2, 3, 4, 5, 6]},
+        {id: 'latinToCyrillic', source: 'Njegoš', expected: 'Његош', sourceLengths: [0, 2, 3, 4, 5, 6]},
+        {id: 'latinToCyrillic', source: 'DŽEP', expected: 'ЏЕП', sourceLengths: [0, 2, 3, 4]},
+        {id: 'latinToCyrillic', source: 'odžak', expected: 'оџак', sourceLengths: [0, 1, 3, 4, 5]},
+        // 'dž' is two letters after the prefixes nad-, od-, pod- and pred-
+        {id: 'latinToCyrillic', source: 'nadživeti', expected: 'надживети', sourceLengths: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]},
+        {id: 'latinToCyrillic', source: 'Odžaliti', expected: 'Оджалити'},
+        {id: 'latinToCyrillic', source: 'PODŽANR', expected: 'ПОДЖАНР'},
+        {id: 'latinToCyrillic', source: 'predželudac', expected: 'преджелудац'},
+        // The prefixes are only recognized at the start of a word
+        {id: 'latinToCyrillic', source: 'gradživeti', expected: 'граџивети'},
+
+        {id: 'cyrillicToLatin', source: 'љубав', expected: 'ljubav', sourceLengths: [0, 0, 1, 2, 3, 4, 5]},
+        {id: 'cyrillicToLatin', source: 'Џеп', expected: 'Džep', sourceLengths: [0, 0, 1, 2, 3]},
+        {id: 'cyrillicToLatin', source: 'ЏЕП', expected: 'DŽEP'},
+        {id: 'cyrillicToLatin', source: 'Џ', expected: 'Dž'},
+        {id: 'cyrillicToLatin', source: 'оџак', expected: 'odžak'},
+        {id: 'cyrillicToLatin', source: 'надживети', expected: 'nadživeti', sourceLengths: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]}
+    ]);
+}
+
+function testGreek() {
+    testTransformations(getTextTransformations('el'), [
+        {id: 'polytonicToMonotonic', source: 'ἄνθρωπος', expected: 'άνθρωπος', sourceLengths: [0, 1, 2, 3, 4, 5, 6, 7, 8]},
+        // Monosyllables lose their accent
+        {id: 'polytonicToMonotonic', source: 'τῶν', expected: 'των', sourceLengths: [0, 1, 2, 3]},
+        {id: 'polytonicToMonotonic', source: 'τω\u0342ν', expected: 'των', sourceLengths: [0, 1, 3, 4]},
+        {id: 'polytonicToMonotonic', source: 'ᾠδή', expected: 'ωδή', sourceLengths: [0, 1, 2, 3]},
+        {id: 'polytonicToMonotonic', source: 'ὁ τῶν ἀνθρώπων λόγος', expected: 'ο των ανθρώπων λόγος'},
+        {id: 'polytonicToMonotonic', source: 'ἢ', expected: 'ή'},
+        {id: 'polytonicToMonotonic', source: 'καὶ', expected: 'και'},
+
+        {id: 'normalizeTonos', source: '\u1f71\u03c4\u03bf\u03bc\u03bf\u03bd', expected: '\u03ac\u03c4\u03bf\u03bc\u03bf\u03bd', sourceLengths: [0, 1, 2, 3, 4, 5, 6]},
+
+        {id: 'normalizeFinalSigma', source: 'λογοσ', expected: 'λογος'},
+        {id: 'normalizeFinalSigma', source: 'σοφοςς σοφός', expected: 'σοφοσς σοφός'},
+        {id: 'normalizeFinalSigma', source: 'ϲοφόϲ', expected: 'σοφός'},
+        {id: 'normalizeFinalSigma', source: 'ϹΟΦΟϹ', expected: 'ΣΟΦΟΣ'}
+    ]);
+}
+
+function testAncientGreek() {
+    testTransformations(getTextTransformations('grc'), [
+        {id: 'removeLengthMarks', source: 'μᾱ́χη', expected: 'μάχη', sourceLengths: [0, 1, 3, 4, 5]},
+        {id: 'removeLengthMarks', source: 'ῐ̔́ππος', expected: 'ἵππος', sourceLengths: [0, 3, 4, 5, 6, 7]},
+        {id: 'removeBreathings', source: 'ῥήτωρ', expected: 'ρήτωρ', sourceLengths: [0, 1, 2, 3, 4, 5]},
+        {id: 'graveToAcute', source: 'καλὸς', expected: 'καλός'},
+        {id: 'normalizeTonos', source: '\u1f71', expected: '\u03ac'},
+        {id: 'normalizeFinalSigma', source: 'ϲοφόϲ', expected: 'σοφός'}
+    ]);
+}
+
+
+function main() {
+    testSerboCroatian();
+    testGreek();
+    testAncientGreek();
+}
+
+
+if (require.main === module) { testMain(main); }
@@ -0,0 +1,89 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const assert = require('assert');
+const {testMain} = require('../dev/util');
+const {TranslatorStubVM} = require('../dev/translator-stub-vm');
+
+const vm = new TranslatorStubVM();
+
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// Every dictionary has an entry for "rat"; the last two do not declare their language in their index
+const dictionaryInfo = [
+    {title: 'German', revision: '1', sourceLanguage: 'de', targetLanguage: 'en'},
+    {title: 'Russian', revision: '1', sourceLanguage: 'ru', targetLanguage: 'en'},
+    {title: 'Untagged', revision: '1'},
+    {title: 'Tagged', revision: '1'}
+];
+
+const entries = dictionaryInfo.map(({title}, id) => vm.createTermEntry(id, 'rat', {definitions: [`${title} definition`], dictionary: title}));
+
+function createDatabase(getDictionaryInfoCalls) {
+    return Object.assign(vm.createDatabase(entries), {
+        getDictionaryInfo: async () => {
+            getDictionaryInfoCalls.push(true);
+            return dictionaryInfo;
+        }
+    });
+}
+
+function createOptions(language) {
+    return vm.createFindTermsOptions({
+        deinflect: false,
+        mainDictionary: 'German',
+        enabledDictionaryMap: new Map([
+            ['German', {index: 0, priority: 0}],
+            ['Russian', {index: 1, priority: 0, sourceLanguage: 'de'}],
+            ['Untagged', {index: 2, priority: 0, sourceLanguage: ''}],
+            ['Tagged', {index: 3, priority: 0, sourceLanguage: 'ru'}]
+        ]),
+        language
+    });
+}
+
+async function findDictionaries(translator, language) {
+    const {dictionaryEntries} = await translator.findTerms('simple', 'rat', createOptions(language));
+    return clone(dictionaryEntries).map(({definitions: [{dictionary}]}) => dictionary).sort();
+}
+
+async function testDictionaryLanguages() {
+    const getDictionaryInfoCalls = [];
+    const translator = vm.createTranslator(createDatabase(getDictionaryInfoCalls));
+
+    // The language of the index is used over the one tagged in the settings, and untagged dictionaries are always used
+    assert.deepStrictEqual(await findDictionaries(translator, 'de'), ['German', 'Untagged']);
+    assert.deepStrictEqual(await findDictionaries(translator, 'ru'), ['Russian', 'Tagged', 'Untagged']);
+    assert.deepStrictEqual(await findDictionaries(translator, 'en'), ['Untagged']);
+
+    // The dictionary info is read again only after the database changes
+    assert.strictEqual(getDictionaryInfoCalls.length, 1);
+    translator.clearDatabaseCaches();
+    await findDictionaries(translator, 'de');
+    assert.strictEqual(getDictionaryInfoCalls.length, 2);
+}
+
+
+async function main() {
+    await testDictionaryLanguages();
+}
+
+
+if (require.main === module) { testMain(main); }
@@ -0,0 +1,109 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const assert = require('assert');
+const {testMain} = require('../dev/util');
+const {TranslatorStubVM} = require('../dev/translator-stub-vm');
+
+const vm = new TranslatorStubVM();
+
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function createEntry(id, term, dictionary, formOf=null, inflectionHypotheses=null) {
+    return vm.createTermEntry(id, term, {
+        definitionTags: formOf !== null ? ['non-lemma'] : [],
+        definitions: [formOf !== null ? `form of ${formOf}` : `definition of ${term}`],
+        dictionary,
+        formOf,
+        inflectionHypotheses
+    });
+}
+
+// "gone" is a form of "go" in one dictionary, "went" is a form of "gone" in another,
+// and "loop" and "pool" are forms of each other.
+const entries = [
+    createEntry(1, 'went', 'Forms', 'gone', [['past']]),
+    createEntry(2, 'gone', 'Wiktionary', 'go', [['past participle']]),
+    createEntry(3, 'go', 'Wiktionary'),
+    createEntry(4, 'loop', 'Forms', 'pool'),
+    createEntry(5, 'pool', 'Forms', 'loop')
+];
+
+function createOptions(nonLemmaEntries) {
+    return vm.createFindTermsOptions({
+        deinflect: false,
+        mainDictionary: 'Wiktionary',
+        enabledDictionaryMap: new Map([
+            ['Wiktionary', {index: 0, priority: 0}],
+            ['Forms', {index: 1, priority: 0}]
+        ]),
+        nonLemmaEntries
+    });
+}
+
+async function findTerms(text, nonLemmaEntries) {
+    const translator = vm.createTranslator(vm.createDatabase(entries));
+    const {dictionaryEntries} = await translator.findTerms('simple', text, createOptions(nonLemmaEntries));
+    return clone(dictionaryEntries);
+}
+
+async function testHide() {
+    // Only one pointer is followed, and the non-lemma entries themselves are not shown
+    const dictionaryEntries = await findTerms('went', 'hide');
+    assert.deepStrictEqual(dictionaryEntries, []);
+
+    const dictionaryEntries2 = await findTerms('gone', 'hide');
+    assert.deepStrictEqual(dictionaryEntries2.map(({headwords: [{term}]}) => term), ['go']);
+}
+
+async function testShow() {
+    const dictionaryEntries = await findTerms('gone', 'show');
+    assert.deepStrictEqual(dictionaryEntries.map(({headwords: [{term}]}) => term).sort(), ['go', 'gone']);
+}
+
+async function testFollow() {
+    const dictionaryEntries = await findTerms('went', 'follow');
+    assert.deepStrictEqual(dictionaryEntries.map(({headwords: [{term}]}) => term), ['go']);
+    assert.deepStrictEqual(dictionaryEntries[0].inflectionHypotheses, [
+        {
+            source: 'dictionary',
+            inflections: ['past', 'past participle'],
+            features: {tense: 'past', verbForm: 'participle'},
+            otherInflections: [],
+            formOfChain: [
+                {term: 'went', formOf: 'gone', dictionary: 'Forms'},
+                {term: 'gone', formOf: 'go', dictionary: 'Wiktionary'}
+            ]
+        }
+    ]);
+
+    // Pointers which form a cycle end without finding a lemma
+    assert.deepStrictEqual(await findTerms('loop', 'follow'), []);
+}
+
+
+async function main() {
+    await testHide();
+    await testShow();
+    await testFollow();
+}
+
+
+if (require.main === module) { testMain(main); }
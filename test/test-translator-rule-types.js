@@ -0,0 +1,77 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const assert = require('assert');
+const {testMain} = require('../dev/util');
+const {GrammarVM} = require('../dev/grammar-vm');
+const {TranslatorStubVM} = require('../dev/translator-stub-vm');
+
+const vm = new TranslatorStubVM();
+const grammarVM = new GrammarVM();
+
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// Rule names are stored as they are written in the dictionary, whatever the language of the profile
+const entries = [
+    vm.createTermEntry(1, 'たかい', {rules: ['adj-i']}),
+    vm.createTermEntry(2, 'たかい', {rules: ['adj'], dictionary: 'Other'}),
+    vm.createTermEntry(3, 'たかい', {rules: ['v1'], dictionary: 'Verbs'})
+];
+
+async function findTerms(language) {
+    const ruleTypes = await grammarVM.languageUtil.getRuleTypes(language);
+    const languageUtil = vm.createLanguageUtil({
+        getDeinflectionReasons: async () => [
+            ['-ku', [{inflected: /く$/, uninflect: (term) => `${term.substring(0, term.length - 1)}い`, rulesIn: [], rulesOut: ['adj']}]]
+        ],
+        getRuleTypes: async () => ruleTypes
+    });
+    const translator = vm.createTranslator(vm.createDatabase(entries), languageUtil);
+    translator.prepare();
+    const options = vm.createFindTermsOptions({
+        language,
+        deinflectionSource: 'algorithm',
+        deinflectionPosFilter: true,
+        enabledDictionaryMap: new Map([
+            ['Test', {index: 0, priority: 0}],
+            ['Other', {index: 1, priority: 0}],
+            ['Verbs', {index: 2, priority: 0}]
+        ])
+    });
+    const {dictionaryEntries} = await translator.findTerms('simple', 'たかく', options);
+    return clone(dictionaryEntries).map(({definitions: [{dictionary}]}) => dictionary);
+}
+
+
+async function testRuleAliases() {
+    // "adj-i" is an alias of "adj" in the rule types of Japanese
+    assert.deepStrictEqual(await findTerms('ja'), ['Test', 'Other']);
+    // Languages which do not declare the alias only match the rule names they know
+    assert.deepStrictEqual(await findTerms('en'), ['Other']);
+}
+
+
+async function main() {
+    await grammarVM.prepare();
+    await testRuleAliases();
+}
+
+
+if (require.main === module) { testMain(main); }
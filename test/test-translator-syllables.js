@@ -0,0 +1,74 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const assert = require('assert');
+const {testMain} = require('../dev/util');
+const {TranslatorStubVM} = require('../dev/translator-stub-vm');
+
+const vm = new TranslatorStubVM();
+
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+const entries = ['đọc', 'đọc sách', 'sách', 'thư', 'thư viện', 'viện', 'ở'].map((term, id) => vm.createTermEntry(id, term));
+
+const languageUtil = vm.createLanguageUtil({
+    getMultiSyllableWords: async (language) => (language === 'vi' ? {maxSyllables: 3} : null)
+});
+
+async function findTerms(language, sentenceText, offset, scanLength) {
+    const lookups = [];
+    const translator = vm.createTranslator(vm.createDatabase(entries, lookups), languageUtil);
+    const text = sentenceText.substring(offset, offset + scanLength);
+    const options = vm.createFindTermsOptions({language, sentence: {text: sentenceText, offset}});
+    const {dictionaryEntries, originalTextLength} = await translator.findTerms('simple', text, options);
+    const foundTerms = clone(dictionaryEntries).map(({headwords: [{term}]}) => term);
+    return {foundTerms, originalTextLength, lookups};
+}
+
+async function testSyllableLookups() {
+    // Only whole syllables are looked up
+    const {foundTerms, lookups} = await findTerms('vi', 'đọc sách ở thư viện', 0, 8);
+    assert.deepStrictEqual(lookups, [['đọc sách ở', 'đọc sách', 'đọc']]);
+    // The longest match comes first
+    assert.deepStrictEqual(foundTerms, ['đọc sách', 'đọc']);
+}
+
+async function testScanForward() {
+    // The scanned text ends inside "viện", but the word is found from the sentence
+    const {foundTerms, originalTextLength} = await findTerms('vi', 'đọc sách ở thư viện.', 11, 6);
+    assert.deepStrictEqual(foundTerms, ['thư viện', 'thư']);
+    assert.strictEqual(originalTextLength, 8);
+}
+
+async function testSpaceSeparatedLanguage() {
+    // Other languages look up every prefix of the scanned text
+    const {lookups} = await findTerms('en', 'đọc sách', 0, 5);
+    assert.deepStrictEqual(lookups, [['đọc s', 'đọc ', 'đọc', 'đọ', 'đ']]);
+}
+
+
+async function main() {
+    await testSyllableLookups();
+    await testScanForward();
+    await testSpaceSeparatedLanguage();
+}
+
+
+if (require.main === module) { testMain(main); }
@@ -0,0 +1,131 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const assert = require('assert');
+const {testMain} = require('../dev/util');
+const {TranslatorStubVM} = require('../dev/translator-stub-vm');
+
+const vm = new TranslatorStubVM();
+const RegexUtil = vm.get('RegexUtil');
+
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+const entries = ['strasse', 'Strasse', 'stras', 'haus'].map((term, id) => vm.createTermEntry(id, term));
+
+const textTransformations = {
+    decapitalize: {
+        id: 'decapitalize',
+        transform: (text) => text.toLowerCase()
+    },
+    sharpSToSS: {
+        id: 'sharpSToSS',
+        transform: (text, sourceMap) => RegexUtil.applyTextReplacement(text, sourceMap, /ß/g, 'ss')
+    }
+};
+
+function createOptions(settings, maxResults) {
+    const options = vm.createFindTermsOptions({language: 'de', maxResults});
+    for (const [id, setting] of Object.entries(settings)) {
+        options.textTransformations[id] = Object.assign({setting}, textTransformations[id]);
+    }
+    return options;
+}
+
+async function findTerms(text, settings, maxResults=32) {
+    const lookups = [];
+    const translator = vm.createTranslator(vm.createDatabase(entries, lookups));
+    const {dictionaryEntries, originalTextLength} = await translator.findTerms('simple', text, createOptions(settings, maxResults));
+    const foundTerms = clone(dictionaryEntries).map(({headwords: [{term}]}) => term).sort();
+    return {foundTerms, originalTextLength, lookups};
+}
+
+async function testDuplicateVariants() {
+    // Lower case text is the same with and without decapitalization, so it is only searched once
+    const {foundTerms, lookups} = await findTerms('haus', {decapitalize: 'variant'});
+    assert.deepStrictEqual(foundTerms, ['haus']);
+    assert.deepStrictEqual(lookups, [['haus', 'hau', 'ha', 'h']]);
+}
+
+async function testCostOrder() {
+    // The text as written is searched before its variants, and the most changed variant is searched last
+    const {foundTerms, lookups} = await findTerms('Straße', {decapitalize: 'variant', sharpSToSS: 'variant'});
+    assert.deepStrictEqual(foundTerms, ['Strasse', 'stras', 'strasse']);
+    assert.strictEqual(lookups[0][0], 'Straße');
+    assert.strictEqual(lookups[lookups.length - 1][0], 'strasse');
+    assert.strictEqual(lookups.length, 4);
+}
+
+async function testEarlyStop() {
+    // Variants are not searched once enough entries are found
+    const {foundTerms, lookups} = await findTerms('Strasse', {decapitalize: 'variant'}, 1);
+    assert.deepStrictEqual(foundTerms, ['Strasse']);
+    assert.strictEqual(lookups.length, 1);
+}
+
+async function testOriginalTextLength() {
+    // The longest match, "strasse", is created from "Straße", the first six characters of the text
+    const {foundTerms, originalTextLength} = await findTerms('Straßen', {decapitalize: 'true', sharpSToSS: 'true'});
+    assert.deepStrictEqual(foundTerms, ['stras', 'strasse']);
+    assert.strictEqual(originalTextLength, 6);
+}
+
+async function testDeinflectionLimit() {
+    // Texts which reach the deinflection limit are counted in the debug stats instead of being reported one by one
+    const languageUtil = vm.createLanguageUtil({
+        getDeinflectionReasons: async () => [
+            ['-s', [{inflected: /s$/, uninflect: (term) => term.substring(0, term.length - 1), rulesIn: [], rulesOut: []}]]
+        ],
+        getMaxDeinflectionDepth: async () => 1
+    });
+    const translator = vm.createTranslator(vm.createDatabase(entries), languageUtil);
+    translator.prepare();
+    const options = vm.createFindTermsOptions({deinflectionSource: 'algorithm', debugInfo: true});
+
+    const debugMessages = [];
+    const warnings = [];
+    vm.set({
+        console: Object.assign(Object.create(console), {debug: (message) => debugMessages.push(message)}),
+        log: {warn: (error) => warnings.push(error)},
+        performance
+    });
+    try {
+        // Only "hauss" has a deinflection, "haus", which could be deinflected further
+        const {dictionaryEntries} = await translator.findTerms('simple', 'hauss', options);
+        assert.deepStrictEqual(clone(dictionaryEntries).map(({headwords: [{term}]}) => term), ['haus']);
+    } finally {
+        vm.set({console});
+    }
+
+    assert.strictEqual(warnings.length, 0);
+    assert.strictEqual(debugMessages.length, 1);
+    assert.ok(debugMessages[0].includes('deinflection limit reached for 1 texts'));
+}
+
+
+async function main() {
+    await testDuplicateVariants();
+    await testCostOrder();
+    await testEarlyStop();
+    await testOriginalTextLength();
+    await testDeinflectionLimit();
+}
+
+
+if (require.main === module) { testMain(main); }
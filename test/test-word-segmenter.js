@@ -0,0 +1,150 @@
+/*
+ * Copyright (C) 2023  Yezichak Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const assert = require('assert');
+const {testMain} = require('../dev/util');
+const {TranslatorStubVM} = require('../dev/translator-stub-vm');
+
+const vm = new TranslatorStubVM();
+const WordSegmenter = vm.get('WordSegmenter');
+
+
+const thaiSegmentation = {leadingCharacters: 'เแโใไ', followingCharacters: 'ะาำๅ'};
+const khmerSegmentation = {leadingCharacters: '\u17d2'};
+const arabicSegmentation = {spaceDelimited: true};
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function getClusters(wordSegmenter, text) {
+    const clusters = [];
+    for (let i = 0; i < text.length; i = wordSegmenter.getClusterEnd(text, i)) {
+        clusters.push(text.substring(i, wordSegmenter.getClusterEnd(text, i)));
+    }
+    return clusters;
+}
+
+
+function testClusters() {
+    const data = [
+        // Combining vowels and tone marks stay with their consonant
+        [thaiSegmentation, 'กินข้าว', ['กิ', 'น', 'ข้า', 'ว']],
+        // Vowels written before a consonant belong to it
+        [thaiSegmentation, 'เรียน', ['เรี', 'ย', 'น']],
+        [thaiSegmentation, 'ไทย', ['ไท', 'ย']],
+        // A coeng joins the following consonant to the cluster
+        [khmerSegmentation, 'ខ្មែរ', ['ខ្មែ', 'រ']],
+        // Text without settings is split only at combining marks
+        [{}, 'abc', ['a', 'b', 'c']]
+    ];
+
+    for (const [details, text, expected] of data) {
+        const wordSegmenter = new WordSegmenter(details);
+        assert.deepStrictEqual(getClusters(wordSegmenter, text), expected);
+    }
+}
+
+function testClusterStart() {
+    const wordSegmenter = new WordSegmenter(thaiSegmentation);
+    const text = 'กินข้าว';
+    assert.deepStrictEqual([...text].map((c, i) => wordSegmenter.getClusterStart(text, i)), [0, 0, 2, 3, 3, 3, 6]);
+    assert.strictEqual(wordSegmenter.isClusterBoundary(text, 0), true);
+    assert.strictEqual(wordSegmenter.isClusterBoundary(text, text.length), true);
+}
+
+function testRunStart() {
+    const wordSegmenter = new WordSegmenter(thaiSegmentation);
+    const text = 'ผม 2 คน กินข้าว';
+    assert.strictEqual(wordSegmenter.getRunStart(text, text.length), 8);
+    assert.strictEqual(wordSegmenter.getRunStart(text, 7), 5);
+    assert.strictEqual(wordSegmenter.getRunStart(text, 2), 0);
+
+    // Zero width non-joiners are part of words
+    assert.strictEqual(wordSegmenter.getRunStart('کتاب\u200cها', 6), 0);
+}
+
+
+const entries = ['ฉัน', 'กิน', 'ข้าว', 'ข้า', 'กินข้าว', 'كتاب'].map((term, id) => vm.createTermEntry(id, term));
+
+const languageUtil = vm.createLanguageUtil({
+    getWordSegmentation: async (language) => ({th: thaiSegmentation, ar: arabicSegmentation})[language] || null
+});
+
+async function findTerms(language, sentenceText, offset, scanLength) {
+    const lookups = [];
+    const translator = vm.createTranslator(vm.createDatabase(entries, lookups), languageUtil);
+    const text = sentenceText.substring(offset, offset + scanLength);
+    const options = vm.createFindTermsOptions({language, sentence: {text: sentenceText, offset}});
+    const {dictionaryEntries, originalTextLength, originalTextOffset} = await translator.findTerms('simple', text, options);
+    const foundTerms = clone(dictionaryEntries).map(({headwords: [{term}]}) => term).sort();
+    return {foundTerms, originalTextLength, originalTextOffset, lookups};
+}
+
+async function testWordUnderCursor() {
+    const sentenceText = 'ฉันกินข้าว';
+
+    // The cursor is on the last letter of "กิน", which starts two characters earlier
+    let result = await findTerms('th', sentenceText, 5, 5);
+    assert.deepStrictEqual(result.foundTerms, ['กิน']);
+    assert.strictEqual(result.originalTextOffset, 2);
+    assert.strictEqual(result.originalTextLength, 3);
+    // The terms before the cursor are looked up in a single query, before the word itself is looked up
+    assert.deepStrictEqual(result.lookups, [
+        ['ฉั', 'ฉัน', 'ฉันกิ', 'น', 'นกิ', 'นกิน', 'กิ', 'กิน'],
+        ['กินข้', 'กิน', 'กิ']
+    ]);
+
+    // The cursor is at the start of a word
+    result = await findTerms('th', sentenceText, 3, 7);
+    assert.deepStrictEqual(result.foundTerms, ['กิน', 'กินข้าว']);
+    assert.strictEqual(result.originalTextOffset, 0);
+    assert.strictEqual(result.originalTextLength, 7);
+
+    // Languages which separate words with spaces are not segmented
+    result = await findTerms('en', sentenceText, 5, 5);
+    assert.deepStrictEqual(result.foundTerms, []);
+    assert.strictEqual(result.originalTextOffset, 0);
+}
+
+async function testSpaceDelimitedWords() {
+    // The cursor is inside "كتابها", so the word is scanned from its start
+    const {foundTerms, originalTextLength, originalTextOffset} = await findTerms('ar', 'قرأت كتابها', 7, 4);
+    assert.deepStrictEqual(foundTerms, ['كتاب']);
+    assert.strictEqual(originalTextOffset, 2);
+    assert.strictEqual(originalTextLength, 4);
+}
+
+async function testClusterPrefixes() {
+    // Prefixes of "ข้าว" which end inside the cluster "ข้า" are not looked up
+    const {foundTerms, lookups} = await findTerms('th', 'ข้าว', 0, 4);
+    assert.deepStrictEqual(foundTerms, ['ข้า', 'ข้าว']);
+    assert.deepStrictEqual(lookups, [['ข้าว', 'ข้า']]);
+}
+
+
+async function main() {
+    testClusters();
+    testClusterStart();
+    testRunStart();
+    await testWordUnderCursor();
+    await testSpaceDelimitedWords();
+    await testClusterPrefixes();
+}
+
+
+if (require.main === module) { testMain(main); }